@@ -48,6 +48,16 @@ const Sirkey = (() => {
     IPV4_REG: /^(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]\d|\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]\d|\d)$/,
     URL_MASK_REG: /([?&](token|key|auth|password|secret|access_token|api_key|session_id|credential|bearer|x-api-key|x-token|authorization)=)[^&]+/gi,
     SENSITIVE_KEY_REG: /password|token|key|secret|auth|credential|access|bearer|authorization|cookie|session/i,
+    // 节点倍率识别：倍率:3 / [0.5倍] / x2 / 10x / ×1.5；x 形式两侧须为空白、括号、竖线等分隔符或中文，超过 RATIO_MAX 的数值不视为倍率
+    RATIO_REGS: [
+      /(?<![a-z])(?:倍率|ratio|rate)\s*[:：]?\s*(\d+(?:\.\d+)?)/i,
+      /(\d+(?:\.\d+)?)\s*倍/,
+      /(?:^|[\s[(（【|｜/,，\u4e00-\u9fff])[x×]\s*(\d+(?:\.\d+)?)(?=$|[\s\])）】|｜/,，\u4e00-\u9fff])/i,
+      /(?:^|[\s[(（【|｜/,，\u4e00-\u9fff])(\d+(?:\.\d+)?)\s*[x×](?=$|[\s\])）】|｜/,，\u4e00-\u9fff])/i
+    ],
+    RATIO_MAX: 20,
+    BUILTIN_POLICIES: new Set(["DIRECT", "REJECT", "REJECT-DROP", "PASS", "COMPATIBLE", "GLOBAL"]),
+    RULE_OPTIONS: new Set(["no-resolve", "src"]),
     DEBUG: false
   });
 
@@ -149,6 +159,26 @@ const Sirkey = (() => {
     safeSet: (obj, key, val) => { if (obj && key) obj[key] = val; },
     escapeRegex: (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
     regexToMihomo: (re) => (re instanceof RegExp ? (re.ignoreCase ? "(?i)" + re.source : re.source) : String(re)),
+    /** 从节点名称解析倍率，未标注时返回 null */
+    parseRatio: (name) => {
+      const n = String(name ?? "");
+      for (const re of CONSTANTS.RATIO_REGS) {
+        const m = n.match(re);
+        if (m) {
+          const v = parseFloat(m[1]);
+          if (Number.isFinite(v) && v > 0 && v <= CONSTANTS.RATIO_MAX) return v;
+        }
+      }
+      return null;
+    },
+    namesToFilter: (names) => names.map(n => `^${Utils.escapeRegex(n)}$`).join("|"),
+    base64ToBytes: (b64) => {
+      if (typeof Buffer !== "undefined") return new Uint8Array(Buffer.from(b64, "base64"));
+      const bin = atob(b64);
+      const bytes = new Uint8Array(bin.length);
+      for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+      return bytes;
+    },
     getProxyGroupBase: () => ({
       interval: Config.common?.proxyGroup?.interval ?? 300,
       timeout: Config.common?.proxyGroup?.timeout ?? 3000,
@@ -300,15 +330,27 @@ const Config = {
   adaptive: true,
   
   enable: true,
-  privacy: { geoExternalLookup: true, systemDnsOnly: false, trustedGeoEndpoints: [], githubMirrorEnabled: true },
+  privacy: {
+    geoExternalLookup: true, systemDnsOnly: false, githubMirrorEnabled: true,
+    // 外部 GeoIP 只请求 https 且列于此处的主机 (或 URL 前缀)，默认为空即不请求；如 ["ipwho.is", "ipapi.co", "ipinfo.io"]
+    // geoQuorum 为采纳结果所需的一致数据源数；ipApiKey 为 ip-api pro 密钥 (https 端点 pro.ip-api.com 需要)
+    trustedGeoEndpoints: [], geoQuorum: 1, ipApiKey: null,
+    // 离线 GeoIP 数据库：文件路径 (Node) 或 "store:<key>" (持久化存储中的 base64)；配置后不再调用外部接口
+    geoDatabase: { country: null, asn: null },
+    // GeoIP 结果库：ttl 单位秒，file 为 Node 环境的持久化文件；blocking 开启后 main 返回 Promise，最多等待 budget 毫秒完成查询
+    geoCache: { ttl: 604800, file: null, blocking: false, budget: 3000 }
+  },
+  // 持久化存储 (节点统计、学习权重等缓存)：backend 为 auto / persistentStore / localStorage / file / memory
+  // file 为 Node 环境的存储文件，format 为 json 或 ndjson (每行一个键)；maxBytes 为单个文档的大小上限，超出时先截短历史记录，仍超出再丢弃最旧的记录
+  storage: { backend: "auto", file: null, format: "json", maxBytes: 4194304 },
   aiOptions: {
       enable: true,
       // 基础权重配置
       scoring: { latencyWeight: 0.35, bandwidthWeight: 0.15, stabilityWeight: 0.25, jitterWeight: 0.15, uptimeWeight: 0.1 },
       // 场景感知配置
       scenes: {
-        gaming: { latencyWeight: 0.6, jitterWeight: 0.3, stabilityWeight: 0.1, bandwidthWeight: 0 },
-        streaming: { bandwidthWeight: 0.6, stabilityWeight: 0.3, latencyWeight: 0.1, jitterWeight: 0 },
+        gaming: { latencyWeight: 0.6, jitterWeight: 0.3, stabilityWeight: 0.1, bandwidthWeight: 0, classWeight: 0.1, tailWeight: 0.2 },
+        streaming: { bandwidthWeight: 0.6, stabilityWeight: 0.3, latencyWeight: 0.1, jitterWeight: 0, classWeight: 0.2 },
         browsing: { latencyWeight: 0.4, stabilityWeight: 0.3, bandwidthWeight: 0.2, jitterWeight: 0.1 },
         download: { bandwidthWeight: 0.8, stabilityWeight: 0.2, latencyWeight: 0, jitterWeight: 0 }
       },
@@ -320,9 +362,32 @@ const Config = {
         baseTolerance: 50,   // 基础容差 (ms)
         sampleSize: 10       // 样本数量
       },
+      // 网络类型亲和度 (0-100)：按场景为 residential / hosting / cdn / transit 打分，经 classWeight 计入总分
+      classAffinity: {
+        default: { residential: 70, hosting: 60, cdn: 40, transit: 80 },
+        streaming: { residential: 100, hosting: 40, cdn: 20 },
+        gaming: { transit: 100, residential: 60, hosting: 50, cdn: 30 }
+      },
       protection: { cooldown: 300, maxSwitches24h: 20, failIsolationH: 12, threatDetection: true },
+      // 节点挑选：tiers 按评分分档；ucb1 / thompson 为多臂老虎机，兼顾试用样本不足的节点与利用已知优质节点
+      // explorationBudget 为入选名额中留给探索的比例，latencyTarget 内的测速记为完全成功，隔离与锁定在各模式下同样生效
+      selection: { mode: "tiers", maxSelected: 3, explorationBudget: 0.34, latencyTarget: 300 },
       cache: { levels: 3, strategy: "LRU+TTL", verifyInterval: 3600 },
-      trendAnalysis: true
+      trendAnalysis: true,
+      // 时段模型：按一周中的小时 (0-167) 分桶记录延迟 / 丢包 EWMA，评分时将当前小时与下一小时的桶按 blend 混入整体指标
+      // 桶越久未更新越快被新样本覆盖，读取时置信度按 halfLifeDays 半衰期衰减
+      timeOfDay: { enable: true, alpha: 0.3, halfLifeDays: 14, minSamples: 3, blend: 0.6, nextHourWeight: 0.4 },
+      // 变点检测 (单侧 CUSUM)：以最早 warmup 个样本为基线，累积超出 drift 个标准差的偏离，超过 threshold 判定劣化
+      // threshold 越小越灵敏；偏移不足 minShift 的不计，minShift 的一半同时作为标准差下限，避免平稳节点因微小噪声报警
+      changePoint: { warmup: 10, drift: 0.5, threshold: 5, minShift: { latency: 50, loss: 0.02 } },
+      // 权重学习：手动切换 (chosen 优于当时自动选中的 rejected) 作为成对排序样本，按场景在线修正权重
+      // 各权重相对场景初始值最多偏移 maxDeviation；reset 为 true 时清空已学习的权重并暂停学习，exportFile 为导出路径 (仅 Node)
+      learning: { enable: true, rate: 0.05, margin: 2, maxDeviation: 0.15, reset: false, exportFile: null },
+      // 延迟分位数：节点统计中按对数分桶记录延迟草图 (相对误差 accuracy，计数按 halfLifeH 小时半衰)
+      // latency 为延迟分量采用的统计量 (ewma / p50 / p95 / p99)，可按场景指定，草图样本不足 minSamples 时退回 ewma；
+      // 权重项 tailWeight 对应尾部离散度 (P99 - P50) 分量
+      percentiles: { accuracy: 0.02, halfLifeH: 24, maxBuckets: 128, minSamples: 10, latency: { default: "ewma", gaming: "p95" } },
+      statsFile: null // 节点统计文件 (由 mihomo节点统计采集脚本.js 生成)，Node 环境下构建时加载
     },
   ruleOptions: {
     autoDiscover: true, // 自动发现并启用规则
@@ -332,26 +397,57 @@ const Config = {
   regionOptions: { 
     geoIpGrouping: true, 
     autoDiscover: true, // 自动发现新区域
-    excludeHighPercentage: true, 
-    ratioLimit: 2, 
+    excludeHighPercentage: true, // 超过 ratioLimit 的节点不进入地区组与自动选择
+    ratioLimit: 2,
+    highRatioGroup: "高倍率节点",
+    lowRatioGroup: null, // 设为组名 (如 "低倍率") 时额外生成 ≤1x 节点组
+    matchConfidence: 0.5, // 名称识别的最低置信度 (见 RegionMatcher)
+    subRegionMinNodes: 8, // 地区节点数达到该值时按 subRegions 拆分子地区组
+    // 地区组策略：type 为 url-test / fallback / load-balance / select；tolerance 仅 url-test、strategy 仅 load-balance 使用
+    // 单个地区可通过 regions[].groupStrategy 覆盖其中的字段
+    groupStrategy: { type: "url-test", tolerance: 50, strategy: "consistent-hashing" },
+    // 地区按 code 经 RegionMatcher 识别；可额外提供 regex 补充匹配
     regions: [
-      { name: "HK香港", regex: /港|🇭🇰|hk|hongkong|hkg/i, code: "HK", icon: ICONS.HongKong },
-      { name: "TW台湾省", regex: /台|🇹🇼|tw|taiwan|tpe/i, code: "TW", icon: ICONS.Taiwan },
-      { name: "JP日本", regex: /日|🇯🇵|jp|japan|nrt|hnd|kix/i, code: "JP", icon: ICONS.Japan },
-      { name: "SG新加坡", regex: /新|🇸🇬|sg|singapore|sin/i, code: "SG", icon: ICONS.Singapore },
-      { name: "US美国", regex: /美|🇺🇸|us|united states|america|lax|sfo|jfk/i, code: "US", icon: ICONS.UnitedStates },
-      { name: "KR韩国", regex: /韩|🇰🇷|kr|korea|sel|icn/i, code: "KR", icon: ICONS.Korea },
-      { name: "CN中国大陆", regex: /中|🇨🇳|cn|china|mainland/i, code: "CN", icon: ICONS.ChinaMap },
-      { name: "GB英国", regex: /英|🇬🇧|uk|united kingdom|great britain|lhr/i, code: "GB", icon: ICONS.UnitedKingdom },
-      { name: "DE德国", regex: /德|🇩🇪|de|germany|fra/i, code: "DE", icon: ICONS.Germany },
-      { name: "FR法国", regex: /法|🇫🇷|fr|france|cdg/i, code: "FR", icon: ICONS.France },
-      { name: "MY马来西亚", regex: /马|🇲🇾|my|malaysia|kul/i, code: "MY", icon: ICONS.Malaysia },
-      { name: "TR土耳其", regex: /土|🇹🇷|tr|turkey|ist/i, code: "TR", icon: ICONS.Turkey },
-      { name: "RU俄罗斯", regex: /俄|🇷🇺|ru|russia|mow/i, code: "RU", icon: ICONS.Russia },
-      { name: "CA加拿大", regex: /加|🇨🇦|ca|canada|yvr|yyz/i, code: "CA", icon: ICONS.Canada },
-      { name: "AU澳大利亚", regex: /澳|🇦🇺|au|australia|syd|mel/i, code: "AU", icon: ICONS.Australia }
+      { name: "HK香港", code: "HK", icon: ICONS.HongKong },
+      { name: "TW台湾省", code: "TW", icon: ICONS.Taiwan },
+      { name: "JP日本", code: "JP", icon: ICONS.Japan, subRegions: [
+        { name: "东京", keys: ["tokyo", "东京", "東京", "nrt", "hnd", "tyo"] },
+        { name: "大阪", keys: ["osaka", "大阪", "kix", "itm", "osa"] }
+      ] },
+      { name: "SG新加坡", code: "SG", icon: ICONS.Singapore },
+      { name: "US美国", code: "US", icon: ICONS.UnitedStates, subRegions: [
+        { name: "美西", keys: ["美西", "洛杉矶", "圣何塞", "旧金山", "硅谷", "西雅图", "波特兰", "拉斯维加斯", "凤凰城", "los angeles", "san jose", "san francisco", "silicon valley", "seattle", "portland", "las vegas", "phoenix", "lax", "sfo", "sjc", "sea", "pdx", "las", "phx", "slc"] },
+        { name: "美中", keys: ["美中", "达拉斯", "休斯顿", "芝加哥", "丹佛", "堪萨斯", "dallas", "houston", "chicago", "denver", "kansas city", "dfw", "iah", "ord", "chi", "den", "mci"] },
+        { name: "美东", keys: ["美东", "纽约", "新泽西", "阿什本", "华盛顿", "亚特兰大", "迈阿密", "波士顿", "new york", "new jersey", "ashburn", "washington", "atlanta", "miami", "boston", "jfk", "ewr", "lga", "nyc", "iad", "atl", "mia", "bos"] }
+      ] },
+      { name: "KR韩国", code: "KR", icon: ICONS.Korea },
+      { name: "CN中国大陆", code: "CN", icon: ICONS.ChinaMap },
+      { name: "GB英国", code: "GB", icon: ICONS.UnitedKingdom },
+      { name: "DE德国", code: "DE", icon: ICONS.Germany },
+      { name: "FR法国", code: "FR", icon: ICONS.France },
+      { name: "MY马来西亚", code: "MY", icon: ICONS.Malaysia },
+      { name: "TR土耳其", code: "TR", icon: ICONS.Turkey },
+      { name: "RU俄罗斯", code: "RU", icon: ICONS.Russia },
+      { name: "CA加拿大", code: "CA", icon: ICONS.Canada },
+      { name: "AU澳大利亚", code: "AU", icon: ICONS.Australia }
     ]
   },
+  // 节点网络类型：residentialGroup / transitGroup 为组名 (null 不生成)，asn 中可补充自定义 ASN 归类
+  nodeClassOptions: {
+    enable: true,
+    residentialGroup: "家宽/原生IP",
+    transitGroup: null,
+    asn: { residential: [], hosting: [], cdn: [] }
+  },
+  // 中转链路：克隆名称匹配 landing 的落地节点，以 dialer-proxy 经 transit (代理组或节点) 拨号，克隆节点汇总到 group 组
+  // 例: { landing: /US.*落地/i, transit: "HK香港" }；transit 也可以是前一条链路生成的节点名，实现多跳
+  chainOptions: {
+    group: "中转链路",
+    chains: []
+  },
+  // 订阅列表：生成 proxy-providers 及其 health-check / override，regions 限定该订阅参与的地区组，group 生成订阅独立组
+  // 例: { name: "airport", url: "https://...", prefix: "[A] ", udp: true, skipCertVerify: false, regions: ["HK", "JP"], group: "url-test" }
+  subscriptions: [],
   dns: {
     enable: true, listen: "127.0.0.1:1053", ipv6: true, "prefer-h3": true, "use-hosts": true, "use-system-hosts": true,
     "respect-rules": true, "enhanced-mode": "fake-ip", "fake-ip-range": "198.18.0.1/16", "cache-algorithm": "arc",
@@ -369,32 +465,32 @@ const Config = {
   },
   services: [
     // AI Services
-    { id:"openai", rule:["DOMAIN-SUFFIX,openai.com,国外AI","RULE-SET,ai,国外AI"], name:"国外AI", icon: ICONS.ChatGPT, ruleProvider:{ name:"ai", url: URLS.rulesets.ai(), behavior: "domain" } },
-    { id:"claude", rule:["RULE-SET,claude,Claude"], name:"Claude", icon: ICONS.Claude, ruleProvider:{ name:"claude", url: URLS.rulesets.claude(), behavior: "domain" } },
-    { id:"gemini", rule:["RULE-SET,gemini,Gemini"], name:"Gemini", icon: ICONS.Gemini, ruleProvider:{ name:"gemini", url: URLS.rulesets.gemini(), behavior: "domain" } },
+    { id:"openai", rule:["DOMAIN-SUFFIX,openai.com,国外AI","RULE-SET,ai,国外AI"], name:"国外AI", url:"https://chat.openai.com/cdn-cgi/trace", icon: ICONS.ChatGPT, regions:{ prefer:["US","JP","SG"], exclude:["HK","CN"] }, ruleProvider:{ name:"ai", url: URLS.rulesets.ai(), behavior: "domain" } },
+    { id:"claude", rule:["RULE-SET,claude,Claude"], name:"Claude", url:"https://claude.ai/cdn-cgi/trace", icon: ICONS.Claude, regions:{ prefer:["US","JP","SG"], exclude:["HK","CN"] }, ruleProvider:{ name:"claude", url: URLS.rulesets.claude(), behavior: "domain" } },
+    { id:"gemini", rule:["RULE-SET,gemini,Gemini"], name:"Gemini", icon: ICONS.Gemini, regions:{ prefer:["US","JP","SG"], exclude:["HK","CN"] }, ruleProvider:{ name:"gemini", url: URLS.rulesets.gemini(), behavior: "domain" } },
     
     // Streaming
-    { id:"youtube", rule:["RULE-SET,youtube,YouTube"], name:"YouTube", icon: ICONS.YouTube, ruleProvider:{ name:"youtube", url: URLS.rulesets.youtube(), behavior: "domain" } },
-    { id:"netflix", rule:["RULE-SET,netflix,NETFLIX"], name:"NETFLIX", icon: ICONS.Netflix, ruleProvider:{ name:"netflix", url: URLS.rulesets.netflix(), behavior: "domain" } },
-
-    { id:"disney", rule:["RULE-SET,disney,Disney+"], name:"Disney+", icon: ICONS.DisneyPlus, ruleProvider:{ name:"disney", url: URLS.rulesets.disney(), behavior: "domain" } },
-    { id:"primevideo", rule:["GEOSITE,primevideo,Prime Video"], name:"Prime Video", icon: ICONS.PrimeVideo },
-    { id:"hbo", rule:["GEOSITE,hbo,HBO"], name:"HBO", icon: ICONS.HBO },
-    { id:"hulu", rule:["GEOSITE,hulu,Hulu"], name:"Hulu", icon: ICONS.Hulu },
-    { id:"tiktok", rule:["GEOSITE,tiktok,Tiktok"], name:"Tiktok", icon: ICONS.TikTok },
-    { id:"biliintl", rule:["GEOSITE,biliintl,哔哩哔哩东南亚"], name:"哔哩哔哩东南亚", icon: ICONS.Bilibili3, proxiesOrder:["默认节点","DIRECT"] },
-    { id:"bahamut", rule:["GEOSITE,bahamut,巴哈姆特"], name:"巴哈姆特", icon: ICONS.Bahamut, proxiesOrder:["默认节点","DIRECT"] },
-    { id:"tvb", rule:["GEOSITE,tvb,TVB"], name:"TVB", icon: ICONS.TVB },
-    { id:"pixiv", rule:["GEOSITE,pixiv,Pixiv"], name:"Pixiv", icon: ICONS.Pixiv },
-    { id:"spotify", rule:["RULE-SET,spotify,Spotify"], name:"Spotify", icon: ICONS.Spotify, ruleProvider:{ name:"spotify", url: URLS.rulesets.spotify(), behavior: "domain" } },
+    { id:"youtube", rule:["RULE-SET,youtube,YouTube"], name:"YouTube", url:"https://www.youtube.com/s/desktop/494dd881/img/favicon.ico", icon: ICONS.YouTube, ruleProvider:{ name:"youtube", url: URLS.rulesets.youtube(), behavior: "domain" } },
+    { id:"netflix", rule:["RULE-SET,netflix,NETFLIX"], name:"NETFLIX", url:"https://api.fast.com/netflix/speedtest/v2?https=true", icon: ICONS.Netflix, ruleProvider:{ name:"netflix", url: URLS.rulesets.netflix(), behavior: "domain" } },
+
+    { id:"disney", rule:["RULE-SET,disney,Disney+"], name:"Disney+", url:"https://disney.api.edge.bamgrid.com/devices", expectedStatus:"200-499", icon: ICONS.DisneyPlus, regions:{ exclude:["CN"] }, ruleProvider:{ name:"disney", url: URLS.rulesets.disney(), behavior: "domain" } },
+    { id:"primevideo", rule:["GEOSITE,primevideo,Prime Video"], name:"Prime Video", url:"https://m.media-amazon.com/images/G/01/digital/video/web/logo-min-remaster.png", icon: ICONS.PrimeVideo, regions:{ prefer:["US","JP"] } },
+    { id:"hbo", rule:["GEOSITE,hbo,HBO"], name:"HBO", url:"https://www.hbo.com/favicon.ico", icon: ICONS.HBO, regions:{ prefer:["US"] } },
+    { id:"hulu", rule:["GEOSITE,hulu,Hulu"], name:"Hulu", url:"https://auth.hulu.com/v4/web/password/authenticate", expectedStatus:"200-499", icon: ICONS.Hulu, regions:{ prefer:["US","JP"] } },
+    { id:"tiktok", rule:["GEOSITE,tiktok,Tiktok"], name:"Tiktok", url:"https://www.tiktok.com/", icon: ICONS.TikTok, regions:{ exclude:["HK","CN"] } },
+    { id:"biliintl", rule:["GEOSITE,biliintl,哔哩哔哩东南亚"], name:"哔哩哔哩东南亚", url:"https://www.bilibili.tv/", icon: ICONS.Bilibili3, regions:{ prefer:["SG","MY","TW"] }, proxiesOrder:["默认节点","DIRECT"] },
+    { id:"bahamut", rule:["GEOSITE,bahamut,巴哈姆特"], name:"巴哈姆特", url:"https://ani.gamer.com.tw/ajax/getdeviceid.php", icon: ICONS.Bahamut, regions:{ prefer:["TW"], allow:["TW"] }, proxiesOrder:["默认节点","DIRECT"] },
+    { id:"tvb", rule:["GEOSITE,tvb,TVB"], name:"TVB", url:"https://www.tvb.com/logo_b.svg", icon: ICONS.TVB, regions:{ prefer:["HK"] } },
+    { id:"pixiv", rule:["GEOSITE,pixiv,Pixiv"], name:"Pixiv", url:"https://www.pixiv.net/favicon.ico", icon: ICONS.Pixiv },
+    { id:"spotify", rule:["RULE-SET,spotify,Spotify"], name:"Spotify", url:"http://spclient.wg.spotify.com/signup/public/v1/account", icon: ICONS.Spotify, ruleProvider:{ name:"spotify", url: URLS.rulesets.spotify(), behavior: "domain" } },
     { id:"streaming", rule:["RULE-SET,streaming,全球主流媒体"], name:"全球主流媒体", icon: ICONS.StreamingNotCN, ruleProvider:{ name:"streaming", url: URLS.rulesets.streaming(), behavior: "domain" } },
     { id:"china_media", rule:["RULE-SET,china_media,国内媒体"], name:"国内媒体", icon: ICONS.StreamingCN, ruleProvider:{ name:"china_media", url: URLS.rulesets.china_media(), behavior: "domain" }, proxiesOrder:["DIRECT","默认节点"] },
 
     // Social & Communication
-    { id:"telegram", rule:["GEOIP,telegram,Telegram","RULE-SET,telegram,Telegram"], name:"Telegram", icon: ICONS.Telegram, ruleProvider:{ name:"telegram", url: URLS.rulesets.telegram(), behavior: "domain" } },
+    { id:"telegram", rule:["GEOIP,telegram,Telegram","RULE-SET,telegram,Telegram"], name:"Telegram", url:"http://www.telegram.org/img/website_icon.svg", icon: ICONS.Telegram, ruleProvider:{ name:"telegram", url: URLS.rulesets.telegram(), behavior: "domain" } },
     { id:"discord", rule:["RULE-SET,discord,Discord"], name:"Discord", icon: ICONS.Discord, ruleProvider:{ name:"discord", url: URLS.rulesets.discord(), behavior: "domain" } },
-    { id:"whatsapp", rule:["GEOSITE,whatsapp,WhatsApp"], name:"WhatsApp", icon: ICONS.WhatsApp },
-    { id:"line", rule:["GEOSITE,line,Line"], name:"Line", icon: ICONS.Line },
+    { id:"whatsapp", rule:["GEOSITE,whatsapp,WhatsApp"], name:"WhatsApp", url:"https://web.whatsapp.com/data/manifest.json", icon: ICONS.WhatsApp },
+    { id:"line", rule:["GEOSITE,line,Line"], name:"Line", url:"https://line.me/page-data/app-data.json", icon: ICONS.Line },
     { id:"slack", rule:["GEOSITE,slack,Slack"], name:"Slack", icon: ICONS.Slack },
     
     // Tools & Games
@@ -405,10 +501,10 @@ const Config = {
     { id:"apps", rule:["RULE-SET,apple,应用软件","RULE-SET,microsoft,应用软件","RULE-SET,google,应用软件"], name:"应用软件", icon: ICONS.Apple2 },
 
     // Infrastructure
-    { id:"github", rule:["RULE-SET,github,Github"], name:"Github", icon: ICONS.GitHub, ruleProvider:{ name:"github", url: URLS.rulesets.github(), behavior: "domain" } },
-    { id:"google", rule:["RULE-SET,google,谷歌服务"], name:"谷歌服务", icon: ICONS.GoogleSearch, ruleProvider:{ name:"google", url: URLS.rulesets.google(), behavior: "domain" } },
-    { id:"microsoft", rule:["RULE-SET,microsoft,微软服务"], name:"微软服务", icon: ICONS.Microsoft, ruleProvider:{ name:"microsoft", url: URLS.rulesets.microsoft(), behavior: "domain" } },
-    { id:"apple", rule:["RULE-SET,apple,苹果服务"], name:"苹果服务", icon: ICONS.Apple2, ruleProvider:{ name:"apple", url: URLS.rulesets.apple(), behavior: "domain" } },
+    { id:"github", rule:["RULE-SET,github,Github"], name:"Github", url:"https://github.com/robots.txt", icon: ICONS.GitHub, ruleProvider:{ name:"github", url: URLS.rulesets.github(), behavior: "domain" } },
+    { id:"google", rule:["RULE-SET,google,谷歌服务"], name:"谷歌服务", url:"http://www.google.com/generate_204", expectedStatus:"204", icon: ICONS.GoogleSearch, ruleProvider:{ name:"google", url: URLS.rulesets.google(), behavior: "domain" } },
+    { id:"microsoft", rule:["RULE-SET,microsoft,微软服务"], name:"微软服务", url:"http://www.msftconnecttest.com/connecttest.txt", icon: ICONS.Microsoft, ruleProvider:{ name:"microsoft", url: URLS.rulesets.microsoft(), behavior: "domain" } },
+    { id:"apple", rule:["RULE-SET,apple,苹果服务"], name:"苹果服务", url:"http://www.apple.com/library/test/success.html", icon: ICONS.Apple2, ruleProvider:{ name:"apple", url: URLS.rulesets.apple(), behavior: "domain" } },
     { id:"scholar", rule:["RULE-SET,scholar,学术网站"], name:"学术网站", icon: ICONS.Book, ruleProvider:{ name:"scholar", url: URLS.rulesets.scholar(), behavior: "domain" } },
     { id:"proxy", rule:["RULE-SET,proxy,全球加速"], name:"全球加速", icon: ICONS.Proxy, ruleProvider:{ name:"proxy", url: URLS.rulesets.proxy(), behavior: "domain" } },
     { id:"gfw", rule:["RULE-SET,gfw,GFW列表"], name:"GFW列表", icon: ICONS.Firewall, ruleProvider:{ name:"gfw", url: URLS.rulesets.gfw(), behavior: "domain" } },
@@ -439,7 +535,10 @@ const Config = {
   },
   common: {
     ruleProvider: { type: "http", interval: 86400 },
-    proxyGroup: { interval: 300, timeout: 3000, url: "https://cp.cloudflare.com/generate_204", lazy: true },
+    proxyProvider: { interval: 86400, healthCheck: { enable: true, url: "https://cp.cloudflare.com/generate_204", interval: 300, timeout: 3000, lazy: true, "expected-status": 204 } },
+    proxyGroup: { interval: 300, timeout: 3000, url: "https://cp.cloudflare.com/generate_204", lazy: true, serviceExpectedStatus: "200-399" },
+    // 服务组默认类型；url-test / fallback 时携带 url 的服务使用自身端点探测，服务可用 groupType 单独指定
+    serviceGroupType: "select",
     defaultProxyGroups: [
       { name:"下载软件", icon: ICONS.Download, proxies:["DIRECT","REJECT","默认节点","国内网站"] },
       { name:"其他外网", icon: ICONS.StreamingNotCN, proxies:["默认节点","国内网站"] },
@@ -449,8 +548,266 @@ const Config = {
   }
 };
 
+/* ============== 用户覆写层 ============== */
+/**
+ * ConfigOverrides: 将用户覆写合并进 Config，脚本升级后覆写依然有效
+ *
+ * 来源 (优先级由低到高): 持久化存储 sirkey_overrides → 订阅中的 x-sirkey 字段 → 脚本参数
+ * 合并语义:
+ *   - 对象深度合并，标量直接替换
+ *   - 数组直接给出时整体替换；也可使用指令对象 { $append, $prepend, $replace, $remove, $patch }
+ *   - services 以 id、regionOptions.regions 以 code 为键：$append 同键覆盖，$remove 按键禁用，$patch 按键局部修改
+ *   - 字段按 Config 现有结构校验，未知字段与类型不符会带路径报告并跳过
+ */
+class ConfigOverrides {
+  static PROFILE_KEY = "x-sirkey";
+  static STORE_KEY = "sirkey_overrides";
+  static ARRAY_DIRECTIVES = new Set(["$append", "$prepend", "$replace", "$remove", "$patch"]);
+  static KEYED_ARRAYS = { services: "id", "regionOptions.regions": "code", subscriptions: "name" };
+  // 这些路径下允许 Config 中不存在的字段 (透传给 Mihomo 或按服务 id 开关)
+  static OPEN_PATHS = ["ruleOptions", "dns", "system"];
+  // 可改写原型链的字段名，任何层级一律拒绝
+  static RESERVED_KEYS = new Set(["__proto__", "constructor", "prototype"]);
+
+  /**
+   * 收集各来源的覆写对象，按优先级依次合并
+   */
+  static collect(profile, args) {
+    const sources = [];
+    if (typeof $persistentStore !== "undefined") {
+      try {
+        const stored = $persistentStore.read(this.STORE_KEY);
+        if (stored) sources.push(["store", JSON.parse(stored)]);
+      } catch (e) {
+        Logger.warn("Overrides", `持久化覆写解析失败: ${e.message}`);
+      }
+    }
+    if (profile?.[this.PROFILE_KEY]) sources.push(["profile", profile[this.PROFILE_KEY]]);
+    if (args && typeof args === "object") sources.push(["argument", args]);
+    return sources;
+  }
+
+  /**
+   * 应用覆写并返回还原函数；校验错误会记录但不中断其余字段的合并
+   */
+  static apply(sources) {
+    const snapshot = new Map();
+    const errors = [];
+
+    for (const [origin, overrides] of sources) {
+      if (!this._isPlainObject(overrides)) {
+        errors.push({ path: origin, message: "覆写必须是对象" });
+        continue;
+      }
+      const applied = [];
+      for (const [key, patch] of Object.entries(overrides)) {
+        if (this.RESERVED_KEYS.has(key)) {
+          errors.push({ path: `${origin}.${key}`, message: "保留字段，不允许覆写" });
+          continue;
+        }
+        if (!Object.hasOwn(Config, key)) {
+          errors.push({ path: `${origin}.${key}`, message: "未知字段" });
+          continue;
+        }
+        if (!snapshot.has(key)) snapshot.set(key, Config[key]);
+        Config[key] = this._merge(Config[key], patch, key, `${origin}.${key}`, errors);
+        applied.push(key);
+      }
+      if (applied.length) Logger.info("Overrides", `已应用覆写 (${origin}): ${applied.join(", ")}`);
+    }
+
+    errors.forEach(e => Logger.warn("Overrides.Schema", `${e.path}: ${e.message}`));
+    return {
+      errors,
+      restore: () => snapshot.forEach((val, key) => { Config[key] = val; })
+    };
+  }
+
+  static _merge(base, patch, path, origin, errors) {
+    if (patch === undefined) return base;
+    if (Array.isArray(base)) return this._mergeArray(base, patch, path, origin, errors);
+    if (typeof base === "function") {
+      // 图标等惰性值允许直接以字符串覆写
+      if (typeof patch === "string" || typeof patch === "function") return patch;
+      errors.push({ path: origin, message: "应为字符串" });
+      return base;
+    }
+    if (this._isPlainObject(base)) {
+      if (!this._isPlainObject(patch)) {
+        errors.push({ path: origin, message: "应为对象" });
+        return base;
+      }
+      const open = this.OPEN_PATHS.some(p => path === p || path.startsWith(`${p}.`));
+      const result = { ...base };
+      for (const [key, val] of Object.entries(patch)) {
+        if (this.RESERVED_KEYS.has(key)) {
+          errors.push({ path: `${origin}.${key}`, message: "保留字段，不允许覆写" });
+          continue;
+        }
+        const known = Object.hasOwn(base, key);
+        if (!known && !open) {
+          errors.push({ path: `${origin}.${key}`, message: "未知字段" });
+          continue;
+        }
+        result[key] = known ? this._merge(base[key], val, `${path}.${key}`, `${origin}.${key}`, errors) : val;
+      }
+      return result;
+    }
+    if (base !== null && base !== undefined && patch !== null && typeof patch !== typeof base) {
+      errors.push({ path: origin, message: `类型应为 ${typeof base}，实际为 ${typeof patch}` });
+      return base;
+    }
+    return patch;
+  }
+
+  static _mergeArray(base, patch, path, origin, errors) {
+    const keyName = this.KEYED_ARRAYS[path];
+    const normalize = (items, at) => (Array.isArray(items) ? items : [])
+      .map((item, i) => this._normalizeItem(path, item, `${origin}${at && `.${at}`}[${i}]`, errors))
+      .filter(item => item !== undefined);
+
+    if (Array.isArray(patch)) return normalize(patch, "");
+    if (!this._isPlainObject(patch)) {
+      errors.push({ path: origin, message: "应为数组或数组指令对象" });
+      return base;
+    }
+
+    for (const key of Object.keys(patch)) {
+      if (!this.ARRAY_DIRECTIVES.has(key)) errors.push({ path: `${origin}.${key}`, message: `未知数组指令，可用: ${[...this.ARRAY_DIRECTIVES].join(" ")}` });
+    }
+
+    const keyOf = (item) => (keyName ? item?.[keyName] : item);
+    let result = "$replace" in patch ? normalize(patch.$replace, "$replace") : [...base];
+
+    if ("$remove" in patch) {
+      const removed = new Set(Array.isArray(patch.$remove) ? patch.$remove : [patch.$remove]);
+      result = result.filter(item => !removed.has(keyOf(item)));
+    }
+    if ("$patch" in patch) {
+      if (!keyName || !this._isPlainObject(patch.$patch)) {
+        errors.push({ path: `${origin}.$patch`, message: keyName ? "应为 { 键: 局部字段 } 对象" : "该数组不支持 $patch" });
+      } else {
+        for (const [k, partial] of Object.entries(patch.$patch)) {
+          const idx = result.findIndex(item => keyOf(item) === k);
+          if (idx < 0) {
+            errors.push({ path: `${origin}.$patch.${k}`, message: "目标不存在" });
+            continue;
+          }
+          const merged = this._normalizeItem(path, { ...result[idx], ...partial }, `${origin}.$patch.${k}`, errors);
+          if (merged !== undefined) result[idx] = merged;
+        }
+      }
+    }
+
+    const upsert = (items, prepend) => {
+      for (const item of items) {
+        const idx = keyName ? result.findIndex(r => keyOf(r) === keyOf(item)) : -1;
+        if (idx >= 0) result[idx] = item;
+        else if (prepend) result.unshift(item);
+        else result.push(item);
+      }
+    };
+    if ("$prepend" in patch) upsert(normalize(patch.$prepend, "$prepend").reverse(), true);
+    if ("$append" in patch) upsert(normalize(patch.$append, "$append"), false);
+    return result;
+  }
+
+  /**
+   * 校验并规范化带键数组中的元素；返回 undefined 表示丢弃
+   */
+  static _normalizeItem(path, item, origin, errors) {
+    const fail = (message) => { errors.push({ path: origin, message }); return undefined; };
+    const isStrArr = (v) => Array.isArray(v) && v.every(x => typeof x === "string");
+
+    if (path === "services") {
+      if (!this._isPlainObject(item)) return fail("服务定义应为对象");
+      if (typeof item.id !== "string" || !item.id) return fail("缺少 id");
+      if (item.rule !== undefined && !isStrArr(item.rule)) return fail("rule 应为字符串数组");
+      if (item.proxiesOrder !== undefined && !isStrArr(item.proxiesOrder)) return fail("proxiesOrder 应为字符串数组");
+      if (item.url !== undefined && typeof item.url !== "string") return fail("url 应为字符串");
+      if (item.groupType !== undefined && !["select", "url-test", "fallback"].includes(item.groupType)) return fail("groupType 应为 select / url-test / fallback");
+      if (item.expectedStatus !== undefined && !["string", "number"].includes(typeof item.expectedStatus)) return fail("expectedStatus 应为状态码或范围字符串");
+      if (item.regions !== undefined) {
+        if (!this._isPlainObject(item.regions)) return fail("regions 应为 { prefer, allow, exclude } 对象");
+        const bad = Object.entries(item.regions).find(([k, v]) => !["prefer", "allow", "exclude"].includes(k) || !isStrArr(v));
+        if (bad) return fail(`regions.${bad[0]} 应为地区代码数组 (prefer / allow / exclude)`);
+      }
+      if (item.ruleProvider !== undefined && (typeof item.ruleProvider?.name !== "string" || typeof item.ruleProvider?.url !== "string")) {
+        return fail("ruleProvider 需要 name 与 url");
+      }
+      return { name: item.id, ...item };
+    }
+
+    if (path === "subscriptions") {
+      if (!this._isPlainObject(item)) return fail("订阅定义应为对象");
+      if (typeof item.name !== "string" || !item.name) return fail("缺少 name");
+      if (typeof item.url !== "string") return fail("缺少 url");
+      if (item.regions !== undefined && !isStrArr(item.regions)) return fail("regions 应为地区代码数组");
+      if (item.group !== undefined && ![true, false, "select", "url-test", "fallback", "load-balance"].includes(item.group)) return fail("group 应为布尔值或组类型");
+      return item;
+    }
+
+    if (path === "chainOptions.chains") {
+      if (!this._isPlainObject(item)) return fail("链路定义应为对象");
+      let landing = item.landing;
+      if (typeof landing === "string") {
+        try { landing = new RegExp(landing, "i"); } catch (e) { return fail(`landing 无效: ${e.message}`); }
+      }
+      if (!(landing instanceof RegExp)) return fail("缺少 landing");
+      if (typeof item.transit !== "string" || !item.transit) return fail("缺少 transit");
+      return { ...item, landing };
+    }
+
+    if (path === "regionOptions.regions") {
+      if (!this._isPlainObject(item)) return fail("地区定义应为对象");
+      if (typeof item.name !== "string" || !item.name) return fail("缺少 name");
+      let regex = item.regex;
+      if (typeof regex === "string") {
+        try { regex = new RegExp(regex, "i"); } catch (e) { return fail(`regex 无效: ${e.message}`); }
+      }
+      if (regex !== undefined && !(regex instanceof RegExp)) return fail("regex 应为正则或字符串");
+      const code = item.code ? String(item.code).toUpperCase() : item.code;
+      if (!code && !regex) return fail("缺少 code 或 regex");
+      if (code && !RegionMatcher.index.codes.has(code)) return fail(`未知的地区代码: ${code}`);
+      if (item.subRegions !== undefined) {
+        if (!Array.isArray(item.subRegions)) return fail("subRegions 应为数组");
+        const bad = item.subRegions.findIndex(s => !this._isPlainObject(s) || typeof s.name !== "string" || !s.name || !isStrArr(s.keys) || !s.keys.length);
+        if (bad >= 0) return fail(`subRegions[${bad}] 需要 name 与非空 keys 字符串数组`);
+      }
+      if (item.groupStrategy !== undefined) {
+        const err = RegionAutoManager.validateGroupStrategy(item.groupStrategy);
+        if (err) return fail(`groupStrategy: ${err}`);
+      }
+      return { ...item, regex, code, icon: item.icon ?? (code ? RegionMatcher.flagIcon(code) : ICONS.WorldMap) };
+    }
+
+    return item;
+  }
+
+  static _isPlainObject(v) {
+    return !!v && typeof v === "object" && !Array.isArray(v) && !(v instanceof RegExp);
+  }
+}
+
 /* ============== 优化后的统一配置构建器 ============== */
 class ConfigBuilder {
+  static _lastAudit = null;
+  static _lastGeoReport = null;
+  static _lastChains = null;
+  static _lastScoreReport = null;
+
+  /** 最近一次构建的引用完整性审计报告 */
+  static get lastAudit() { return this._lastAudit; }
+
+  /** 最近一次构建中 GeoIP 命中与回退到名称匹配的节点 */
+  static get lastGeoReport() { return this._lastGeoReport; }
+
+  /** 最近一次构建生成的中转链路：[{ transit, landing, clones, skipped? }] */
+  static get lastChains() { return this._lastChains; }
+
+  /** 最近一次构建的节点评分报告 (见 RegionAutoManager.scoreReport)，可交给 ScoreReport.render 渲染 */
+  static get lastScoreReport() { return this._lastScoreReport; }
+
   static build(baseConfig, context = null) {
     const config = Utils.deepClone(baseConfig);
     
@@ -459,6 +816,8 @@ class ConfigBuilder {
       this._applyAdaptiveOptimizations(config, context);
     }
 
+    this._mergeProxyProviders(config);
+
     if (!this._validateConfig(config)) {
       // 验证失败时尝试补全基础配置
       if (Config.autoIntervention) {
@@ -470,12 +829,13 @@ class ConfigBuilder {
 
     this._mergeSystemConfig(config);
 
-    const { regions, regionProxyGroups, otherProxyNames } = this._discoverAndBuildRegions(config, context);
+    const { regions, regionProxyGroups, subRegionGroups, otherProxyNames } = this._discoverAndBuildRegions(config, context);
     const regionGroupNames = this._buildRegionGroupNames(regionProxyGroups, otherProxyNames);
 
     this._ensureSystemProxies(config);
 
-    config["proxy-groups"] = this._buildProxyGroups(config, regionGroupNames, regionProxyGroups, otherProxyNames);
+    config["proxy-groups"] = this._buildProxyGroups(config, regionGroupNames, regionProxyGroups, otherProxyNames, regions, subRegionGroups);
+    this._applyChains(config);
 
     const { rules, ruleProviders } = this._buildRules(config, regionGroupNames, context);
     config.rules = rules;
@@ -497,7 +857,8 @@ class ConfigBuilder {
     const aiOpts = Config.aiOptions;
     if (aiOpts?.enable && aiOpts.scenes?.[scene]) {
       Logger.info("ConfigBuilder.Adaptive", `检测到场景: ${scene}, 动态调整评估权重`);
-      aiOpts.scoring = { ...aiOpts.scoring, ...aiOpts.scenes[scene] };
+      // 场景权重 (含学习修正) 由 AIEngine.explainWeights 按当前场景取用，不再覆盖全局 scoring
+      context?.regionAutoManager?.ai.setScene(scene);
     }
   }
 
@@ -539,6 +900,188 @@ class ConfigBuilder {
     if (Array.isArray(config.rules)) {
       config.rules = config.rules.filter(r => typeof r === "string" && r.split(",").length >= 2);
     }
+
+    // 引用完整性检查与修复
+    this._lastAudit = this._auditReferences(config);
+  }
+
+  /**
+   * 引用完整性审计：检查代理组成员、规则目标、RULE-SET 与 rule-providers、DNS 策略之间的引用，
+   * 能修复的就地修复 (目标改投默认节点、补建或移除 Provider)，并记录每一处悬空引用及其来源
+   */
+  static _auditReferences(config) {
+    const issues = [];
+    const report = (kind, source, ref, action) => {
+      issues.push({ kind, source, ref, action });
+      Logger.warn("ConfigBuilder.Audit", `${kind}: ${source} -> ${ref} (${action})`);
+    };
+
+    const groups = Array.isArray(config["proxy-groups"]) ? config["proxy-groups"] : [];
+    const proxyProviders = (config["proxy-providers"] && typeof config["proxy-providers"] === "object") ? config["proxy-providers"] : {};
+    if (!config["rule-providers"] || typeof config["rule-providers"] !== "object") config["rule-providers"] = {};
+    const ruleProviders = config["rule-providers"];
+
+    const policies = new Set(CONSTANTS.BUILTIN_POLICIES);
+    (Array.isArray(config.proxies) ? config.proxies : []).forEach(p => p?.name && policies.add(p.name));
+    groups.forEach(g => g?.name && policies.add(g.name));
+    const fallback = policies.has("默认节点") ? "默认节点" : "DIRECT";
+
+    // 1. 代理组成员与 use 引用
+    for (const g of groups) {
+      if (!g?.name) continue;
+      if (Array.isArray(g.proxies)) {
+        g.proxies = g.proxies.filter(n => {
+          if (n === g.name) { report("self-reference", `proxy-groups[${g.name}].proxies`, n, "removed"); return false; }
+          if (policies.has(n)) return true;
+          report("dangling-member", `proxy-groups[${g.name}].proxies`, n, "removed");
+          return false;
+        });
+      }
+      if (Array.isArray(g.use)) {
+        g.use = g.use.filter(n => {
+          if (proxyProviders[n]) return true;
+          report("dangling-provider", `proxy-groups[${g.name}].use`, n, "removed");
+          return false;
+        });
+        if (!g.use.length) delete g.use;
+      }
+      const hasSource = g.proxies?.length || g.use?.length || g["include-all"] || g["include-all-proxies"] || g["include-all-providers"];
+      if (!hasSource) {
+        g.proxies = ["DIRECT"];
+        report("empty-group", `proxy-groups[${g.name}]`, "-", "filled with DIRECT");
+      }
+    }
+
+    // 1.1 节点的 dialer-proxy 引用
+    for (const p of Array.isArray(config.proxies) ? config.proxies : []) {
+      const dialer = p?.["dialer-proxy"];
+      if (dialer && !policies.has(dialer)) {
+        report("dangling-dialer", `proxies[${p.name}].dialer-proxy`, dialer, "removed");
+        delete p["dialer-proxy"];
+      }
+    }
+
+    // 2. 规则目标与 RULE-SET 引用
+    const usedProviders = new Set();
+    const ensureProvider = (name, source) => {
+      if (ruleProviders[name]) return true;
+      const recovered = this._recoverRuleProvider(name);
+      if (recovered) {
+        ruleProviders[name] = recovered;
+        report("missing-rule-provider", source, name, "recreated");
+        return true;
+      }
+      report("missing-rule-provider", source, name, "rule dropped");
+      return false;
+    };
+
+    if (Array.isArray(config.rules)) {
+      const rules = [];
+      config.rules.forEach((raw, i) => {
+        const rule = this._parseRule(raw);
+        const source = `rules[${i}]`;
+        const type = rule.type.toUpperCase();
+
+        const setRefs = type === "RULE-SET" ? [rule.payload]
+          : (/^(AND|OR|NOT)$/.test(type) ? Array.from(rule.payload.matchAll(/RULE-SET,([^,()]+)/gi), m => m[1].trim()) : []);
+        if (!setRefs.every(name => ensureProvider(name, source))) return;
+        setRefs.forEach(name => usedProviders.add(name));
+
+        if (type !== "SUB-RULE" && !policies.has(rule.target)) {
+          report("dangling-target", source, rule.target ?? "(empty)", `retargeted to ${fallback}`);
+          rule.target = fallback;
+          raw = this._formatRule(rule);
+        }
+        rules.push(raw);
+      });
+      config.rules = rules;
+    }
+
+    // 3. DNS nameserver-policy 中的 rule-set 引用
+    const policy = config.dns?.["nameserver-policy"];
+    if (policy && typeof policy === "object") {
+      const nextPolicy = {};
+      for (const [key, servers] of Object.entries(policy)) {
+        if (!key.startsWith("rule-set:")) { nextPolicy[key] = servers; continue; }
+        const names = key.slice("rule-set:".length).split(",").map(n => n.trim()).filter(n => {
+          if (ruleProviders[n]) return true;
+          report("missing-rule-provider", `dns.nameserver-policy[${key}]`, n, "removed");
+          return false;
+        });
+        names.forEach(n => usedProviders.add(n));
+        if (names.length) nextPolicy[`rule-set:${names.join(",")}`] = servers;
+      }
+      // dns 与 Config.dns 共享引用，替换而非原地修改
+      config.dns = { ...config.dns, "nameserver-policy": nextPolicy };
+    }
+
+    // 4. rule-providers 自身的 proxy 引用与孤立 Provider
+    for (const [name, rp] of Object.entries(ruleProviders)) {
+      if (!usedProviders.has(name)) {
+        report("orphan-rule-provider", `rule-providers[${name}]`, name, "removed");
+        delete ruleProviders[name];
+        continue;
+      }
+      if (rp?.proxy && !policies.has(rp.proxy)) {
+        report("dangling-target", `rule-providers[${name}].proxy`, rp.proxy, "retargeted to DIRECT");
+        rp.proxy = "DIRECT";
+      }
+    }
+
+    if (issues.length) Logger.info("ConfigBuilder.Audit", `引用审计完成，共处理 ${issues.length} 处悬空引用`);
+    return { ok: issues.length === 0, issues };
+  }
+
+  /**
+   * 解析规则字符串，兼容逻辑规则 (AND/OR/NOT) 与 payload 内含逗号的正则规则
+   */
+  static _parseRule(raw) {
+    const logic = raw.match(/^(AND|OR|NOT),(\(.*\)),([^,()]+)((?:,[^,()]+)*)$/i);
+    if (logic) {
+      return { type: logic[1], payload: logic[2], target: logic[3].trim(), options: logic[4] ? logic[4].slice(1).split(",") : [] };
+    }
+    const parts = raw.split(",").map(s => s.trim());
+    const type = parts.shift();
+    const options = [];
+    while (parts.length > 1 && CONSTANTS.RULE_OPTIONS.has(parts[parts.length - 1])) options.unshift(parts.pop());
+    if (type.toUpperCase() === "MATCH") return { type, payload: null, target: parts[0], options };
+    const target = parts.length > 1 ? parts.pop() : undefined;
+    return { type, payload: parts.join(","), target, options };
+  }
+
+  static _formatRule({ type, payload, target, options }) {
+    return [type, ...(payload === null ? [] : [payload]), target, ...options].join(",");
+  }
+
+  /**
+   * 为缺失的 RULE-SET 尝试补建 Provider：优先使用服务定义，其次使用 URLS.rulesets
+   */
+  static _recoverRuleProvider(name) {
+    const svcRP = (Config.services || []).find(s => s?.ruleProvider?.name === name)?.ruleProvider;
+    let url = svcRP?.url;
+    if (!url) {
+      const fn = URLS.rulesets[name] ?? URLS.rulesets.loyalsoldier?.[name];
+      if (typeof fn === "function") url = fn();
+    }
+    if (!url) return null;
+    const isMrs = url.endsWith(".mrs");
+    const format = isMrs ? "mrs" : (svcRP?.format || (url.endsWith(".yaml") ? "yaml" : "text"));
+    return {
+      ...this._ruleProviderBase(),
+      behavior: svcRP?.behavior || (isMrs ? "domain" : "classical"),
+      format,
+      url,
+      path: `./ruleset/${name}.${format === "text" ? "list" : format}`
+    };
+  }
+
+  static _ruleProviderBase() {
+    return {
+      type: "http",
+      interval: Config.common?.ruleProvider?.interval ?? 86400,
+      format: "text",
+      proxy: "默认节点"
+    };
   }
 
   static _validateConfig(config) {
@@ -554,23 +1097,155 @@ class ConfigBuilder {
     return true;
   }
 
+  /**
+   * 由 Config.subscriptions 生成 proxy-providers，并为缺少 health-check 的 Provider 补全探测配置
+   */
+  static _mergeProxyProviders(config) {
+    const subs = Array.isArray(Config.subscriptions) ? Config.subscriptions : [];
+    const opts = Config.common?.proxyProvider || {};
+    const providers = (config["proxy-providers"] && typeof config["proxy-providers"] === "object") ? config["proxy-providers"] : {};
+
+    for (const sub of subs) {
+      if (!sub?.name || !Utils.sanitizeUrl(sub.url)) {
+        Logger.warn("ConfigBuilder.Providers", `忽略无效订阅: ${sub?.name || "(未命名)"} (缺失 name 或 url 无效)`);
+        continue;
+      }
+      const override = {};
+      if (sub.prefix) override["additional-prefix"] = sub.prefix;
+      if (sub.suffix) override["additional-suffix"] = sub.suffix;
+      if (typeof sub.udp === "boolean") override.udp = sub.udp;
+      if (typeof sub.skipCertVerify === "boolean") override["skip-cert-verify"] = sub.skipCertVerify;
+
+      providers[sub.name] = {
+        type: "http",
+        url: sub.url,
+        path: `./providers/${sub.name}.yaml`,
+        interval: sub.interval ?? opts.interval ?? 86400,
+        proxy: sub.proxy ?? "DIRECT",
+        ...(sub.filter && { filter: Utils.regexToMihomo(sub.filter) }),
+        ...(sub.excludeFilter && { "exclude-filter": Utils.regexToMihomo(sub.excludeFilter) }),
+        ...(Object.keys(override).length && { override })
+      };
+    }
+
+    for (const provider of Object.values(providers)) {
+      if (provider && typeof provider === "object" && !provider["health-check"] && opts.healthCheck?.enable) {
+        provider["health-check"] = { ...opts.healthCheck };
+      }
+    }
+    if (Object.keys(providers).length) config["proxy-providers"] = providers;
+  }
+
   static _discoverAndBuildRegions(config, context = null) {
     const regionAuto = context?.regionAutoManager || new RegionAutoManager(context?.httpClient, context?.lruCache);
     let regions = Config.regionOptions?.regions || [];
     const proxies = config.proxies || [];
+    this._lastGeoReport = null;
     
     // 自动配置补全：自动发现新区域
     if (Config.regionOptions?.autoDiscover || Config.autoIntervention) {
       try {
         const discovered = regionAuto.discoverRegionsFromProxies(proxies);
+        this._lastGeoReport = regionAuto.geoReport;
         regions = regionAuto.mergeNewRegions(regions, discovered);
       } catch (e) { 
         Logger.warn("ConfigBuilder.regionDiscover", e?.message || e); 
       }
     }
 
-    const { regionProxyGroups, otherProxyNames } = regionAuto.buildRegionGroups(config, regions, proxies);
-    return { regions, regionProxyGroups, otherProxyNames };
+    const { regionProxyGroups, subRegionGroups, otherProxyNames } = regionAuto.buildRegionGroups(config, regions, proxies);
+    this._lastScoreReport = regionAuto.scoreReport;
+    return { regions, regionProxyGroups, subRegionGroups, otherProxyNames };
+  }
+
+  /**
+   * 中转链路：克隆匹配 landing 的落地节点并设置 dialer-proxy 指向 transit，汇总到 chainOptions.group 组
+   * transit 须为已生成的代理组或节点；会形成拨号环路的链路整条跳过。克隆节点从 include-all 组中排除，避免被中转组自身选中
+   */
+  static _applyChains(config) {
+    const opts = Config.chainOptions || {};
+    const chains = Array.isArray(opts.chains) ? opts.chains : [];
+    const groupName = opts.group || "中转链路";
+    this._lastChains = [];
+    if (!chains.length) return;
+
+    const proxies = Array.isArray(config.proxies) ? config.proxies : (config.proxies = []);
+    const groups = Array.isArray(config["proxy-groups"]) ? config["proxy-groups"] : [];
+    const groupMap = new Map(groups.map(g => [g.name, g]));
+    if (groupMap.has(groupName)) {
+      Logger.warn("ConfigBuilder.Chain", `链路组名 ${groupName} 与已有代理组重名，已跳过全部链路`);
+      return;
+    }
+    const originals = proxies.filter(p => p?.name);
+    const proxyMap = new Map(originals.map(p => [p.name, p]));
+    const clones = [];
+    // 链路组预先登记 (默认节点也会引用它)，使环路检测覆盖 "中转 → 默认节点 → 中转链路 → 克隆节点"
+    const chainGroup = { ...Utils.getProxyGroupBase(), name: groupName, type: "select", proxies: [], icon: ICON_VAL(ICONS.Proxy) };
+    const defaultGroup = groupMap.get("默认节点");
+    const defaultMembers = Array.isArray(defaultGroup?.proxies) ? defaultGroup.proxies : null;
+    defaultMembers?.splice(Math.max(0, defaultMembers.indexOf("DIRECT")), 0, groupName);
+    groupMap.set(groupName, chainGroup);
+
+    for (const { landing, transit } of chains) {
+      const entry = { transit, landing: String(landing), clones: [] };
+      this._lastChains.push(entry);
+      const skip = (reason) => {
+        entry.skipped = reason;
+        Logger.warn("ConfigBuilder.Chain", `${transit} → ${landing}: ${reason}，已跳过`);
+      };
+      if (!(landing instanceof RegExp)) { skip("landing 应为正则"); continue; }
+      if (transit === groupName) { skip("中转不能指向链路组自身"); continue; }
+      if (!groupMap.has(transit) && !proxyMap.has(transit)) { skip("中转组或节点不存在"); continue; }
+
+      const batch = originals
+        .filter(p => p.name !== transit && landing.test(p.name))
+        .map(p => ({ ...Object.fromEntries(Object.entries(p).filter(([k]) => !k.startsWith("_"))), name: `${transit}→${p.name}`, "dialer-proxy": transit }))
+        .filter(c => !proxyMap.has(c.name));
+      if (!batch.length) { skip("没有匹配的落地节点"); continue; }
+      chainGroup.proxies.push(...batch.map(c => c.name));
+      if (this._reachesAny(transit, new Set(batch.map(c => c.name)), groupMap, proxyMap, originals)) {
+        chainGroup.proxies.splice(-batch.length);
+        skip("中转会经过链路节点自身，形成拨号环路");
+        continue;
+      }
+
+      batch.forEach(c => proxyMap.set(c.name, c));
+      clones.push(...batch);
+      entry.clones = batch.map(c => c.name);
+    }
+    if (!clones.length) {
+      if (defaultMembers) defaultGroup.proxies = defaultMembers.filter(n => n !== groupName);
+      return;
+    }
+
+    const cloneNames = clones.map(c => c.name);
+    const cloneFilter = Utils.namesToFilter(cloneNames);
+    for (const g of groups) {
+      if (!g["include-all"] && !g["include-all-proxies"]) continue;
+      g["exclude-filter"] = g["exclude-filter"] ? `(${g["exclude-filter"]})|(${cloneFilter})` : cloneFilter;
+    }
+    proxies.push(...clones);
+    groups.push(chainGroup);
+    Logger.info("ConfigBuilder.Chain", `生成 ${clones.length} 个中转链路节点`);
+  }
+
+  /** 沿代理组成员与 dialer-proxy 从 start 出发遍历，命中 targets 即存在拨号环路 (include-all 组按全部原始节点保守展开) */
+  static _reachesAny(start, targets, groupMap, proxyMap, originals) {
+    const seen = new Set(), stack = [start];
+    while (stack.length) {
+      const n = stack.pop();
+      if (targets.has(n)) return true;
+      if (seen.has(n)) continue;
+      seen.add(n);
+      const g = groupMap.get(n);
+      if (g) {
+        stack.push(...(g.proxies || []));
+        if (g["include-all"] || g["include-all-proxies"]) stack.push(...originals.map(p => p.name));
+      } else if (proxyMap.get(n)?.["dialer-proxy"]) {
+        stack.push(proxyMap.get(n)["dialer-proxy"]);
+      }
+    }
+    return false;
   }
 
   static _mergeSystemConfig(config) {
@@ -596,7 +1271,7 @@ class ConfigBuilder {
     config.proxies ??= [];
   }
 
-  static _buildProxyGroups(config, regionGroupNames, regionProxyGroups, otherProxyNames) {
+  static _buildProxyGroups(config, regionGroupNames, regionProxyGroups, otherProxyNames, regions = [], subRegionGroups = []) {
     const groupBase = {
       interval: Config.common?.proxyGroup?.interval ?? 300,
       timeout: Config.common?.proxyGroup?.timeout ?? 3000,
@@ -615,6 +1290,9 @@ class ConfigBuilder {
 
     const services = Array.isArray(Config?.services) ? Config.services : [];
     const defaultOrder = ["默认节点", "国内网站", "DIRECT", "REJECT"];
+    const regionCodes = new Map(regions.filter(r => r?.name && r.code).map(r => [r.name, String(r.code).toUpperCase()]));
+    // 自动测速的服务组只测地区组与具体节点：选择组 (默认节点、国内网站等) 或 DIRECT 不应被测速选中
+    const testable = new Set([...regions.map(r => r?.name), ...(config.proxies || []).map(p => p?.name)].filter(Boolean));
     
     for (const svc of services) {
       try {
@@ -624,14 +1302,24 @@ class ConfigBuilder {
           ? svc.proxiesOrder
           : (Array.isArray(svc.proxies) ? svc.proxies : defaultOrder);
         
-        // 确保基础节点存在
-        const proxies = Array.from(new Set([...(base || []), ...regionGroupNames]));
+        // 确保基础节点存在，并按服务的地区偏好排序与过滤
+        const proxies = this._orderServiceMembers(svc, base || [], regionGroupNames, regionCodes);
         
+        let healthCheck = this._serviceHealthCheck(svc), members = proxies;
+        if (healthCheck.type !== "select") {
+          members = proxies.filter(n => testable.has(n));
+          if (!members.length) {
+            Logger.warn("ConfigBuilder.serviceGroup", `${svc.id}: 没有可测速的地区组或节点，回退为 select`);
+            healthCheck = { ...healthCheck, type: "select" };
+            delete healthCheck.tolerance;
+            members = proxies;
+          }
+        }
         proxyGroups.push({
           ...groupBase,
+          ...healthCheck,
           name: groupName,
-          type: "select",
-          proxies,
+          proxies: members,
           icon: ICON_VAL(svc.icon)
         });
       } catch (e) {
@@ -651,27 +1339,75 @@ class ConfigBuilder {
       }
     }
 
-    // 注入地区组，并添加健康检查优化
+    // 注入地区组 (子地区组只挂在国家组下，不进入候选列表)，并添加健康检查优化
     if (regionProxyGroups.length) {
-      regionProxyGroups.forEach(g => {
-        if (g.type === "url-test" || g.type === "fallback") {
-          Object.assign(g, { ...groupBase, tolerance: 50 });
+      [...regionProxyGroups, ...subRegionGroups].forEach(g => {
+        if (["url-test", "fallback", "load-balance"].includes(g.type)) {
+          Object.assign(g, { ...groupBase, ...(g.type === "url-test" && { tolerance: g.tolerance ?? 50 }) });
         }
       });
-      proxyGroups.push(...regionProxyGroups);
+      proxyGroups.push(...regionProxyGroups, ...subRegionGroups);
     }
 
     return proxyGroups;
   }
 
+  /**
+   * 服务组健康检查：携带 url 的服务以自身端点替代全局探测地址，可选升级为 url-test / fallback
+   */
+  static _serviceHealthCheck(svc) {
+    let type = svc.groupType ?? Config.common?.serviceGroupType ?? "select";
+    if (!["select", "url-test", "fallback"].includes(type)) {
+      Logger.warn("ConfigBuilder.serviceGroup", `${svc.id}: 不支持的组类型 ${type}，回退为 select`);
+      type = "select";
+    }
+    const check = { type };
+    if (svc.url) {
+      check.url = svc.url;
+      check["expected-status"] = svc.expectedStatus ?? Config.common?.proxyGroup?.serviceExpectedStatus ?? "200-399";
+    }
+    if (type === "url-test") check.tolerance = 50;
+    return check;
+  }
+
+  /**
+   * 服务组成员排序：prefer 中的地区组置于最前；仅有 prefer 时其余成员照常保留
+   * 声明 allow / exclude 时只保留通过过滤的地区组与 DIRECT / REJECT：默认节点、自动选择、其他节点、高倍率节点等汇总组
+   * 可能含被排除地区的节点，一并去掉；DIRECT 经本机出口，按 CN 参与过滤
+   */
+  static _orderServiceMembers(svc, base, regionGroupNames, regionCodes) {
+    const pref = svc.regions;
+    if (!pref) return Array.from(new Set([...base, ...regionGroupNames]));
+
+    const upper = (list) => (Array.isArray(list) ? list.map(c => String(c).toUpperCase()) : null);
+    const prefer = upper(pref.prefer) || [];
+    const allow = upper(pref.allow);
+    const exclude = new Set(upper(pref.exclude) || []);
+    const restricted = !!allow || exclude.size > 0;
+
+    const permitted = (name) => {
+      const code = name === "DIRECT" ? "CN" : regionCodes.get(name);
+      if (!code) return !restricted || name === "REJECT";
+      if (exclude.has(code)) return false;
+      return !allow || allow.includes(code) || prefer.includes(code);
+    };
+    const preferred = prefer.flatMap(code => regionGroupNames.filter(n => regionCodes.get(n) === code));
+    const ordered = restricted ? [...preferred, ...regionGroupNames, ...base] : [...preferred, ...base, ...regionGroupNames];
+    const members = Array.from(new Set(ordered)).filter(permitted);
+
+    if (prefer.length && !preferred.length) {
+      Logger.debug("ConfigBuilder.serviceGroup", `${svc.id}: 未找到偏好地区 ${prefer.join("/")} 的节点组`);
+    }
+    if (!members.length) {
+      Logger.warn("ConfigBuilder.serviceGroup", `${svc.id}: 没有满足地区限制的节点组，仅保留 REJECT`);
+      return ["REJECT"];
+    }
+    return members;
+  }
+
   static _buildRules(config, regionGroupNames, context = null) {
     const ruleProviders = {}, rules = [];
-    const baseRP = { 
-      type: "http", 
-      interval: Config.common?.ruleProvider?.interval ?? 86400,
-      format: "text",
-      proxy: "默认节点"
-    };
+    const baseRP = this._ruleProviderBase();
     const opts = Config.ruleOptions || {};
 
     // 自动配置补全：自动发现并注入规则
@@ -771,102 +1507,1611 @@ class ConfigBuilder {
   }
 }
 
-/* ============== GeoIP 服务 ============== */
-class GeoIPService {
-  _http;
-  _cache;
-  _api = "http://ip-api.com/batch?fields=status,message,country,countryCode,query";
-  _eventQueue = [];
-  _isProcessing = false;
+/* ============== 构建差异报告 (Dry-Run) ============== */
+/**
+ * ConfigDiff: 对比输入配置与构建结果，输出结构化差异，可渲染为 Markdown 或 JSON
+ */
+class ConfigDiff {
+  static SECTION_KEYS = new Set(["proxies", "proxy-groups", "rules", "rule-providers", "dns"]);
 
-  constructor(httpClient, cache) {
-    this._http = httpClient;
-    this._cache = cache;
+  static compare(before, after) {
+    const b = before || {}, a = after || {};
+    return {
+      proxyGroups: this._diffNamed(b["proxy-groups"], a["proxy-groups"]),
+      rules: this._diffRules(b.rules, a.rules),
+      ruleProviders: this._diffKeys(b["rule-providers"], a["rule-providers"]),
+      dns: this._diffKeys(b.dns, a.dns),
+      system: this._diffKeys(this._pickSystem(b), this._pickSystem(a))
+    };
   }
 
-  /**
-   * 增强 GeoIP 隐私保护 (Privacy Strengthening)
-   * 事件驱动逻辑，管理隐私及安全风险。
-   */
-  _handlePrivacyEvent(type, data) {
-    const security = CentralManager.getInstance().security;
-    
-    // 如果是批量查询，分析样本风险
-    if (type === "GeoLookup" && data.proxies) {
-      const sample = data.proxies.slice(0, 5); // 采样前5个
-      for (const p of sample) {
-        if (security.analyzeThreat({ ip: p.server, domain: p.name }) > 0.5) {
-          Logger.warn("GeoIP.Privacy", `检测到高风险节点 (${p.name}), 启动隐私保护`);
-          return false;
-        }
-      }
-    }
-    
-    const riskScore = security.analyzeThreat(data);
-    if (riskScore > 0.6) {
-      Logger.warn("GeoIP.Privacy", `检测到高风险请求 (${type}), 启动隐私保护，跳过外部查询`);
-      return false;
-    }
-    return true;
+  static isEmpty(diff) {
+    const { proxyGroups: g, rules: r, ruleProviders: rp, dns, system } = diff;
+    return ![g, rp, dns, system].some(d => d.added.length || d.removed.length || d.changed.length) && !r.ops.length;
   }
 
-  lookupBatch(proxies) {
-    if (!Config.privacy?.geoExternalLookup) return new Map();
-    
-    // 隐私事件驱动校验 (同步版，如果是异步则在后台处理)
-    const canLookup = this._handlePrivacyEvent("GeoLookup", { proxies });
-    if (canLookup === false) return new Map();
+  static render(diff, format = "markdown") {
+    if (format === "json") return JSON.stringify(diff, null, 2);
+    if (this.isEmpty(diff)) return "# 配置差异报告\n\n无变化\n";
+
+    const fmt = (v) => `\`${this._stringify(v)}\``;
+    const lines = ["# 配置差异报告", ""];
+    const keyed = (title, d, detail) => {
+      if (!d.added.length && !d.removed.length && !d.changed.length) return;
+      lines.push(`## ${title}`, "");
+      d.added.forEach(k => lines.push(`- ➕ \`${k}\``));
+      d.removed.forEach(k => lines.push(`- ➖ \`${k}\``));
+      d.changed.forEach(c => {
+        lines.push(`- ✏️ \`${c.name}\``);
+        detail(c).forEach(l => lines.push(`  - ${l}`));
+      });
+      lines.push("");
+    };
 
-    const servers = Array.from(new Set(proxies.map(p => p.server).filter(s => s && !Utils.isPrivateIP(s))));
-    const results = new Map();
-    const toLookup = [];
+    keyed("代理组 (proxy-groups)", diff.proxyGroups, c => Object.entries(c.fields).map(([field, f]) => (
+      f.added || f.removed
+        ? `${field}: ${f.added.length ? `+[${f.added.join(", ")}] ` : ""}${f.removed.length ? `-[${f.removed.join(", ")}]` : ""}${f.reordered ? " (顺序变化)" : ""}`.trim()
+        : `${field}: ${fmt(f.before)} → ${fmt(f.after)}`
+    )));
 
-    for (const s of servers) {
-      const cached = this._cache.get(`geo:${s}`);
-      if (cached) results.set(s, cached);
-      else toLookup.push(s);
+    if (diff.rules.ops.length) {
+      lines.push("## 规则 (rules)", "", `共 ${diff.rules.before} → ${diff.rules.after} 条，新增 ${diff.rules.added}，移除 ${diff.rules.removed}`, "", "```diff");
+      diff.rules.ops.forEach(op => lines.push(`${op.op === "add" ? "+" : "-"} [${op.index}] ${op.rule}`));
+      lines.push("```", "");
     }
 
-    if (toLookup.length > 0) {
-      // 异步查询优化：后台执行，不阻塞主线程
-      this._doAsyncLookup(toLookup);
-    }
-    return results;
+    const valueDetail = c => [`${fmt(c.before)} → ${fmt(c.after)}`];
+    keyed("规则集 (rule-providers)", diff.ruleProviders, valueDetail);
+    keyed("DNS", diff.dns, valueDetail);
+    keyed("系统设置", diff.system, valueDetail);
+    return lines.join("\n");
   }
 
-  /**
-   * 内部私有方法：执行后台异步查询
-   */
-  async _doAsyncLookup(toLookup) {
-    for (let i = 0; i < toLookup.length; i += 100) {
-      const batch = toLookup.slice(i, i + 100);
-      try {
-        const resp = await this._http.safeFetch(this._api, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(batch)
-        });
-        const data = await resp.json();
-        if (Array.isArray(data)) {
-          data.forEach(item => {
-            if (item.status === "success") {
-              const info = { country: item.country, code: item.countryCode };
-              this._cache.set(`geo:${item.query}`, info, 8.64e7);
-            }
-          });
+  static _pickSystem(cfg) {
+    return Object.fromEntries(Object.entries(cfg).filter(([k]) => !this.SECTION_KEYS.has(k)));
+  }
+
+  static _diffNamed(before, after) {
+    const toMap = (list) => new Map((Array.isArray(list) ? list : []).filter(g => g?.name).map(g => [g.name, g]));
+    const b = toMap(before), a = toMap(after);
+    const added = [...a.keys()].filter(k => !b.has(k));
+    const removed = [...b.keys()].filter(k => !a.has(k));
+    const changed = [];
+
+    for (const [name, next] of a) {
+      const prev = b.get(name);
+      if (!prev) continue;
+      const fields = {};
+      for (const field of new Set([...Object.keys(prev), ...Object.keys(next)])) {
+        const pv = prev[field], nv = next[field];
+        if (this._stringify(pv) === this._stringify(nv)) continue;
+        if (Array.isArray(pv) && Array.isArray(nv)) {
+          fields[field] = {
+            added: nv.filter(x => !pv.includes(x)),
+            removed: pv.filter(x => !nv.includes(x)),
+            reordered: pv.length === nv.length && pv.every(x => nv.includes(x))
+          };
+        } else {
+          fields[field] = { before: pv, after: nv };
         }
-      } catch (e) {
-        Logger.warn("GeoIP", `批量查询后台执行失败: ${e.message}`);
       }
+      if (Object.keys(fields).length) changed.push({ name, fields });
     }
+    return { added, removed, changed };
   }
-}
 
-/* ============== 自适应节点分流与质量评估系统 ============== */
+  static _diffKeys(before, after) {
+    const b = (before && typeof before === "object") ? before : {};
+    const a = (after && typeof after === "object") ? after : {};
+    const added = Object.keys(a).filter(k => !(k in b));
+    const removed = Object.keys(b).filter(k => !(k in a));
+    const changed = Object.keys(a)
+      .filter(k => k in b && this._stringify(a[k]) !== this._stringify(b[k]))
+      .map(k => ({ name: k, before: b[k], after: a[k] }));
+    return { added, removed, changed };
+  }
 
-/**
- * SceneDetector: 业务场景识别
- */
+  /**
+   * 基于 LCS 的有序规则差异，保留移除/新增的位置 (移除为原索引，新增为新索引)
+   */
+  static _diffRules(before, after) {
+    const b = Array.isArray(before) ? before : [], a = Array.isArray(after) ? after : [];
+    const n = b.length, m = a.length;
+    // 规则映射为整数再比较；Hirschberg 分治求 LCS，时间 O(n·m)，内存只占两行 O(m)，上万条规则也不会耗尽内存
+    const ids = new Map(), id = (rule) => { if (!ids.has(rule)) ids.set(rule, ids.size); return ids.get(rule); };
+    const B = Int32Array.from(b, id), A = Int32Array.from(a, id);
+    const ops = [];
+    const remove = (i) => ops.push({ op: "remove", index: i, rule: b[i] });
+    const add = (j) => ops.push({ op: "add", index: j, rule: a[j] });
+
+    // LCS 长度行：正向为 B[i0, i1) 与 A[j0, j0 + k)，反向为 B[i0, i1) 与 A[j1 - k, j1)
+    const lcsRow = (i0, i1, j0, j1, reverse) => {
+      const w = j1 - j0;
+      let prev = new Uint32Array(w + 1), cur = new Uint32Array(w + 1);
+      for (let s = 0; s < i1 - i0; s++) {
+        const x = reverse ? B[i1 - 1 - s] : B[i0 + s];
+        for (let k = 1; k <= w; k++) {
+          cur[k] = x === (reverse ? A[j1 - k] : A[j0 + k - 1]) ? prev[k - 1] + 1 : Math.max(prev[k], cur[k - 1]);
+        }
+        [prev, cur] = [cur, prev];
+      }
+      return prev;
+    };
+
+    const walk = (i0, i1, j0, j1) => {
+      while (i0 < i1 && j0 < j1 && B[i0] === A[j0]) { i0++; j0++; }
+      while (i0 < i1 && j0 < j1 && B[i1 - 1] === A[j1 - 1]) { i1--; j1--; }
+      if (i0 === i1) { for (let j = j0; j < j1; j++) add(j); return; }
+      if (j0 === j1) { for (let i = i0; i < i1; i++) remove(i); return; }
+      if (i1 - i0 === 1) {
+        const hit = A.subarray(j0, j1).indexOf(B[i0]);
+        if (hit < 0) remove(i0);
+        for (let j = j0; j < j1; j++) if (j !== j0 + hit) add(j);
+        return;
+      }
+      const mid = (i0 + i1) >> 1, w = j1 - j0;
+      const head = lcsRow(i0, mid, j0, j1, false), tail = lcsRow(mid, i1, j0, j1, true);
+      let split = 0;
+      for (let k = 1; k <= w; k++) if (head[k] + tail[w - k] > head[split] + tail[w - split]) split = k;
+      walk(i0, mid, j0, j0 + split);
+      walk(mid, i1, j0 + split, j1);
+    };
+    walk(0, n, 0, m);
+
+    return {
+      before: n, after: m,
+      added: ops.filter(o => o.op === "add").length,
+      removed: ops.filter(o => o.op === "remove").length,
+      ops
+    };
+  }
+
+  /** 稳定序列化：对象键排序，RegExp 按源码输出 */
+  static _stringify(v) {
+    if (v === undefined) return "undefined";
+    return JSON.stringify(v, (_, val) => {
+      if (val instanceof RegExp) return String(val);
+      if (val && typeof val === "object" && !Array.isArray(val)) {
+        return Object.fromEntries(Object.keys(val).sort().map(k => [k, val[k]]));
+      }
+      return val;
+    });
+  }
+}
+
+/**
+ * ScoreReport: 渲染节点评分报告 (ConfigBuilder.lastScoreReport)，逐地区列出节点的分量得分、基准、故障风险与组决策
+ */
+class ScoreReport {
+  static COMPONENT_LABELS = { latency: "延迟", loss: "丢包", jitter: "抖动", bandwidth: "带宽", uptime: "在线", class: "类别", tail: "尾部" };
+  static WEIGHT_LABELS = { latencyWeight: "延迟", stabilityWeight: "丢包", jitterWeight: "抖动", bandwidthWeight: "带宽", uptimeWeight: "在线", classWeight: "类别", tailWeight: "尾部" };
+  static DECISION_LABELS = { selected: "✅ 入选", explore: "🧪 探索入选", filter: "🔎 过滤器纳入", excluded: "⛔ 排除", fallback: "↩️ 回退全部" };
+
+  static render(report, format = "markdown") {
+    if (format === "json") return JSON.stringify(report, null, 2);
+    if (!report) return "# 节点评分报告\n\nAI 评分未启用或无可评分节点\n";
+
+    const num = (v, d = 2) => Number.isFinite(v) ? Number(v.toFixed(d)) : "-";
+    const cell = (v) => String(v).replace(/\|/g, "\\|");
+    const { weights } = report;
+    const lines = ["# 节点评分报告", "", `- 生成时间: ${report.generatedAt}`, `- 场景: ${weights.scene ?? "全局权重"} · 网络状态: ${weights.networkState}`];
+    const joinWeights = (w) => Object.entries(w).map(([k, v]) => `${this.WEIGHT_LABELS[k] ?? k} ${num(v)}`).join(" · ");
+    lines.push(`- ${weights.learned ? `基础权重 (已根据 ${weights.learned.updates} 次手动切换修正)` : "基础权重"}: ${joinWeights(weights.base)}`);
+    if (Object.keys(weights.compensation).length) {
+      lines.push(`- 网络补偿: ${Object.entries(weights.compensation).map(([k, v]) => `${this.WEIGHT_LABELS[k] ?? k} ${v > 0 ? "+" : ""}${v}`).join(" · ")}`);
+    }
+    lines.push(`- 最终权重: ${joinWeights(weights.final)}`, "");
+
+    const comps = Object.keys(this.COMPONENT_LABELS);
+    for (const region of report.regions) {
+      const b = region.baselines;
+      lines.push(`## ${region.region} (${region.type})`, "");
+      lines.push(`- 组决策: ${region.best ? `首选 \`${region.best}\`${region.sticky ? ` (维持当前节点 \`${region.sticky}\`)` : ""}` : "无入选节点，保留全部地区节点"} · 入选 ${region.selected}/${region.total} · 策略 ${region.mode}${region.explored ? `，探索 ${region.explored}` : ""}`);
+      if (b) lines.push(`- 基准 (${b.source === "p80" ? `P80, ${b.samples} 个样本` : "默认"}): 延迟 ${num(b.latency, 0)}ms · 丢包 ${num(b.loss, 3)} · 抖动 ${num(b.jitter, 0)}ms · 尾部 ${num(b.tail, 0)}ms`);
+      lines.push("", `| 节点 | 得分 | ${comps.map(c => this.COMPONENT_LABELS[c]).join(" | ")} | 故障风险 | 状态 | 决策 |`, `|${" --- |".repeat(comps.length + 5)}`);
+      for (const n of region.nodes) {
+        const c = n.explain.components, t = n.explain.transition;
+        const parts = comps.map(k => `${num(c[k].score, 0)}×${num(c[k].weight)}=${num(c[k].contribution, 1)}`);
+        const status = `${t.from && t.from !== t.to ? `${t.from}→` : ""}${t.to}${t.tier !== t.to ? ` (档位 ${t.tier})` : ""}: ${t.reason}`;
+        lines.push(`| ${cell(n.id)} | ${n.score} | ${parts.join(" | ")} | ${num(n.explain.failureRisk)} | ${cell(status)} | ${this.DECISION_LABELS[n.decision] ?? n.decision} |`);
+      }
+      lines.push("");
+    }
+    return lines.join("\n");
+  }
+}
+
+/* ============== 离线 GeoIP 数据库 (MMDB) ============== */
+/**
+ * MMDBReader: 纯 JS 的 MaxMind DB 读取器，兼容 GeoLite2 Country/ASN 与 MetaCubeX geoip.metadb
+ * 查询全程在本地完成，不产生任何网络请求
+ */
+class MMDBReader {
+  static METADATA_MARKER = [0xab, 0xcd, 0xef, 0x4d, 0x61, 0x78, 0x4d, 0x69, 0x6e, 0x64, 0x2e, 0x63, 0x6f, 0x6d]; // \xAB\xCD\xEFMaxMind.com
+  static _loaded = new Map();
+
+  constructor(bytes) {
+    this._buf = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    this._utf8Decoder = typeof TextDecoder !== "undefined" ? new TextDecoder("utf-8") : null;
+
+    const metaStart = this._findMetadata();
+    if (metaStart < 0) throw new SirkeyError("无效的 MMDB 文件: 缺少元数据段", "MMDB_INVALID");
+    this.metadata = this._decode(metaStart, metaStart).value || {};
+
+    const { node_count: nodeCount, record_size: recordSize, ip_version: ipVersion } = this.metadata;
+    if (![24, 28, 32].includes(recordSize) || !(nodeCount > 0)) {
+      throw new SirkeyError(`不支持的 MMDB 结构 (record_size=${recordSize})`, "MMDB_INVALID");
+    }
+    this._nodeCount = nodeCount;
+    this._recordSize = recordSize;
+    this._nodeBytes = recordSize / 4;
+    this._dataStart = nodeCount * this._nodeBytes + 16;
+    this._ipv4Start = 0;
+    if (ipVersion === 6) {
+      let node = 0;
+      for (let i = 0; i < 96 && node < nodeCount; i++) node = this._readRecord(node, 0);
+      this._ipv4Start = node;
+    }
+  }
+
+  /**
+   * 加载数据库，按来源缓存
+   * @param {string|Uint8Array|ArrayBuffer} source 文件路径 (Node)、"store:<key>" (持久化存储中的 base64) 或原始字节
+   */
+  static load(source) {
+    if (!source) return null;
+    if (typeof source !== "string") return new MMDBReader(source);
+    if (this._loaded.has(source)) return this._loaded.get(source);
+
+    let bytes;
+    if (source.startsWith("store:")) {
+      const raw = typeof $persistentStore !== "undefined" ? $persistentStore.read(source.slice(6)) : null;
+      if (!raw) throw new SirkeyError(`持久化存储中未找到数据库: ${source}`, "MMDB_NOT_FOUND");
+      bytes = Utils.base64ToBytes(raw);
+    } else if (Env.isNode) {
+      bytes = require("fs").readFileSync(source);
+    } else {
+      throw new SirkeyError("当前环境无法读取本地文件，请改用 store:<key>", "MMDB_NOT_FOUND");
+    }
+
+    const reader = new MMDBReader(bytes);
+    this._loaded.set(source, reader);
+    Logger.info("MMDB", `已加载 ${reader.metadata.database_type || "MMDB"} (${reader._nodeCount} 节点)`);
+    return reader;
+  }
+
+  /** 查询原始记录，未命中返回 null */
+  lookup(ip) {
+    let bytes = MMDBReader.parseIP(ip);
+    if (!bytes) return null;
+    // IPv4-mapped (::ffff:a.b.c.d) 按 IPv4 查询
+    if (bytes.length === 16 && bytes.slice(0, 10).every(b => b === 0) && bytes[10] === 0xff && bytes[11] === 0xff) bytes = bytes.slice(12);
+    if (bytes.length === 16 && this.metadata.ip_version === 4) return null;
+
+    let node = bytes.length === 4 ? this._ipv4Start : 0;
+    const bits = bytes.length * 8;
+    for (let i = 0; i < bits && node < this._nodeCount; i++) {
+      node = this._readRecord(node, (bytes[i >> 3] >> (7 - (i & 7))) & 1);
+    }
+    if (node <= this._nodeCount) return null;
+    return this._decode(this._dataStart + node - this._nodeCount - 16, this._dataStart).value;
+  }
+
+  /** 查询并归一化为 { code, country, asn, org } */
+  lookupGeo(ip) {
+    return MMDBReader.normalize(this.lookup(ip));
+  }
+
+  /**
+   * 归一化不同数据库的记录格式：
+   * MaxMind 为 { country: { iso_code, names } }，sing-geoip 为代码字符串，Meta-geoip0 为代码数组
+   */
+  static normalize(record) {
+    if (!record) return null;
+    if (typeof record === "string" || Array.isArray(record)) {
+      const code = [].concat(record).find(c => /^[a-z]{2}$/i.test(c));
+      return code ? { code: code.toUpperCase(), country: code.toUpperCase() } : null;
+    }
+    const out = {};
+    const country = record.country || record.registered_country || record.represented_country;
+    if (country?.iso_code) {
+      out.code = country.iso_code.toUpperCase();
+      out.country = country.names?.en || out.code;
+    }
+    if (record.autonomous_system_number) {
+      out.asn = record.autonomous_system_number;
+      out.org = record.autonomous_system_organization || "";
+    }
+    return Object.keys(out).length ? out : null;
+  }
+
+  /** 解析 IPv4 / IPv6 文本为字节数组 */
+  static parseIP(ip) {
+    const s = String(ip ?? "").trim().replace(/^\[|\]$/g, "").replace(/%.*$/, "");
+    if (Utils.isIPv4(s)) return s.split(".").map(Number);
+    if (!s.includes(":")) return null;
+
+    const halves = s.split("::");
+    if (halves.length > 2) return null;
+    const parseGroups = (part) => {
+      const groups = [];
+      for (const g of part ? part.split(":") : []) {
+        if (g.includes(".")) {
+          if (!Utils.isIPv4(g)) return null;
+          const [a, b, c, d] = g.split(".").map(Number);
+          groups.push((a << 8) | b, (c << 8) | d);
+        } else if (/^[0-9a-f]{1,4}$/i.test(g)) {
+          groups.push(parseInt(g, 16));
+        } else {
+          return null;
+        }
+      }
+      return groups;
+    };
+    const head = parseGroups(halves[0]), tail = halves.length === 2 ? parseGroups(halves[1]) : [];
+    if (!head || !tail) return null;
+    const fill = halves.length === 2 ? 8 - head.length - tail.length : 0;
+    if (fill < 0 || head.length + fill + tail.length !== 8) return null;
+    return [...head, ...new Array(fill).fill(0), ...tail].flatMap(g => [g >> 8, g & 0xff]);
+  }
+
+  _findMetadata() {
+    const buf = this._buf, marker = MMDBReader.METADATA_MARKER;
+    // 元数据位于文件末尾 128KB 内
+    const stop = Math.max(0, buf.length - 128 * 1024);
+    for (let i = buf.length - marker.length; i >= stop; i--) {
+      let ok = true;
+      for (let j = 0; j < marker.length; j++) {
+        if (buf[i + j] !== marker[j]) { ok = false; break; }
+      }
+      if (ok) return i + marker.length;
+    }
+    return -1;
+  }
+
+  _readRecord(node, bit) {
+    const b = this._buf, off = node * this._nodeBytes;
+    if (this._recordSize === 24) {
+      const o = off + bit * 3;
+      return (b[o] << 16) | (b[o + 1] << 8) | b[o + 2];
+    }
+    if (this._recordSize === 28) {
+      return bit === 0
+        ? ((b[off + 3] & 0xf0) << 20) | (b[off] << 16) | (b[off + 1] << 8) | b[off + 2]
+        : ((b[off + 3] & 0x0f) << 24) | (b[off + 4] << 16) | (b[off + 5] << 8) | b[off + 6];
+    }
+    return this._uint(off + bit * 4, 4);
+  }
+
+  _uint(offset, size) {
+    let v = 0;
+    for (let i = 0; i < size; i++) v = v * 256 + this._buf[offset + i];
+    return v;
+  }
+
+  /**
+   * 解码数据段中的一个值，返回 { value, next }；base 为指针的基准偏移
+   */
+  _decode(offset, base) {
+    const buf = this._buf;
+    const ctrl = buf[offset++];
+    let type = ctrl >> 5;
+
+    if (type === 1) {
+      const ss = (ctrl >> 3) & 3, vvv = ctrl & 7;
+      const ptr = ss === 0 ? (vvv << 8) | buf[offset]
+        : ss === 1 ? ((vvv << 16) | (buf[offset] << 8) | buf[offset + 1]) + 2048
+        : ss === 2 ? (vvv * 0x1000000 + this._uint(offset, 3)) + 526336
+        : this._uint(offset, 4);
+      return { value: this._decode(base + ptr, base).value, next: offset + ss + 1 };
+    }
+
+    if (type === 0) type = 7 + buf[offset++];
+    let size = ctrl & 0x1f;
+    if (size >= 29) {
+      const extra = size - 28;
+      size = size === 29 ? 29 + buf[offset] : (size === 30 ? 285 + this._uint(offset, 2) : 65821 + this._uint(offset, 3));
+      offset += extra;
+    }
+
+    switch (type) {
+      case 2: {
+        const bytes = buf.subarray(offset, offset + size);
+        const value = this._utf8Decoder
+          ? this._utf8Decoder.decode(bytes)
+          : decodeURIComponent(escape(String.fromCharCode(...bytes)));
+        return { value, next: offset + size };
+      }
+      case 3: return { value: new DataView(buf.buffer, buf.byteOffset + offset, 8).getFloat64(0), next: offset + 8 };
+      case 4: return { value: buf.subarray(offset, offset + size), next: offset + size };
+      case 5: case 6: case 9: case 10: return { value: this._uint(offset, size), next: offset + size };
+      case 8: {
+        const v = this._uint(offset, size);
+        return { value: size === 4 ? v | 0 : v, next: offset + size };
+      }
+      case 7: {
+        const map = {};
+        for (let i = 0; i < size; i++) {
+          const key = this._decode(offset, base);
+          const val = this._decode(key.next, base);
+          map[key.value] = val.value;
+          offset = val.next;
+        }
+        return { value: map, next: offset };
+      }
+      case 11: {
+        const arr = [];
+        for (let i = 0; i < size; i++) {
+          const item = this._decode(offset, base);
+          arr.push(item.value);
+          offset = item.next;
+        }
+        return { value: arr, next: offset };
+      }
+      case 14: return { value: size !== 0, next: offset };
+      case 15: return { value: new DataView(buf.buffer, buf.byteOffset + offset, 4).getFloat32(0), next: offset + 4 };
+      default: return { value: null, next: offset + size };
+    }
+  }
+}
+
+/* ============== DoH 解析 ============== */
+/**
+ * DnsResolver: 在 GeoIP 查询前将域名形式的节点 server 解析为 IP
+ * 解析器取自 Config.dns (proxy-server-nameserver → nameserver → fallback 中的 https 条目)，
+ * 结果按 TTL 写入 LRUCache；构建流程为同步，未命中缓存的域名在后台解析，下次构建生效
+ * 解析失败同样缓存 (NEGATIVE_TTL)，请求失败的解析器在 DOWN_TTL 内不再使用；解析结果仅供 GeoIP 查询，不用于节点去重
+ */
+class DnsResolver {
+  static TYPES = { A: 1, CNAME: 5, AAAA: 28 };
+  static MAX_CNAME_DEPTH = 5;
+  static NEGATIVE_TTL = 300000;
+  static DOWN_TTL = 300000;
+  static DEFAULT_RESOLVERS = ["https://1.1.1.1/dns-query"];
+  // 部分公共 DoH 仅在专用路径提供 JSON 接口
+  static JSON_ENDPOINTS = {
+    "223.5.5.5": "https://223.5.5.5/resolve",
+    "223.6.6.6": "https://223.6.6.6/resolve",
+    "dns.alidns.com": "https://dns.alidns.com/resolve",
+    "8.8.8.8": "https://dns.google/resolve",
+    "8.8.4.4": "https://dns.google/resolve",
+    "dns.google": "https://dns.google/resolve"
+  };
+
+  _http;
+  _cache;
+  _pending = new Map();
+  _down = new Map(); // 解析器 → 暂停使用截止时间
+
+  constructor(httpClient, cache) {
+    this._http = httpClient;
+    this._cache = cache;
+  }
+
+  /** 由 Config.dns 选出可用的 DoH 端点 (去重，保持配置顺序) */
+  resolvers() {
+    const dns = Config.dns || {};
+    const list = [dns["proxy-server-nameserver"], dns.nameserver, dns.fallback].flatMap(v => Array.isArray(v) ? v : []);
+    const endpoints = [];
+    for (const entry of list) {
+      const s = String(entry).split("#")[0].trim();
+      if (!s.startsWith("https://")) continue;
+      let url;
+      try { url = new URL(s); } catch { continue; }
+      const endpoint = DnsResolver.JSON_ENDPOINTS[url.hostname] || `${url.origin}${url.pathname}`;
+      if (!endpoints.includes(endpoint)) endpoints.push(endpoint);
+    }
+    return endpoints.length ? endpoints : DnsResolver.DEFAULT_RESOLVERS;
+  }
+
+  static isDomain(host) {
+    return typeof host === "string" && !MMDBReader.parseIP(host) && /^(?=.{1,253}$)([a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}\.?$/i.test(host);
+  }
+
+  /** 读取缓存中的解析结果：IP 字符串；解析失败记为空串；未解析返回 null */
+  cached(host) {
+    return this._cache.get(`dns:${String(host).toLowerCase()}`);
+  }
+
+  /** 节点用于 GeoIP 的地址：域名取缓存中的解析结果，未解析或解析失败时为原 server */
+  addressOf(p) {
+    const host = p?.server;
+    if (Config.privacy?.systemDnsOnly || !DnsResolver.isDomain(host)) return host;
+    return this.cached(host) || host;
+  }
+
+  /**
+   * 在后台解析缓存中没有的节点域名，返回解析任务 (无待解析域名时为 null)；结果写入缓存，由 addressOf 读取
+   * 解析在构建写回缓存之后才结束，全部完成时再写回一次，单次运行的环境下次构建也能命中
+   */
+  prefetch(proxies) {
+    if (Config.privacy?.systemDnsOnly) return null;
+    const missing = new Set();
+    for (const p of proxies) {
+      const host = p?.server;
+      if (DnsResolver.isDomain(host) && this.cached(host) === null) missing.add(host.toLowerCase());
+    }
+    if (!missing.size) return null;
+    Logger.debug("DNS", `后台解析 ${missing.size} 个节点域名`);
+    // 解析在构建结束后继续进行，此处固定解析器，避免读到已还原的 Config.dns
+    const endpoints = this.resolvers();
+    // 先单独解析一个域名探明各解析器是否可用，离线时其余域名不再逐个请求
+    const [first, ...rest] = [...missing];
+    return this.resolve(first, endpoints).then(ip =>
+      Promise.all(rest.map(h => this.resolve(h, endpoints).then(r => [h, r]))).then(list => [[first, ip], ...list]))
+      .finally(() => this._cache?.flush?.());
+  }
+
+  _isDown(endpoint) {
+    const until = this._down.get(endpoint);
+    if (until === undefined) return false;
+    if (until > Date.now()) return true;
+    this._down.delete(endpoint);
+    return false;
+  }
+
+  _markDown(endpoint) {
+    this._down.set(endpoint, Date.now() + DnsResolver.DOWN_TTL);
+  }
+
+  /** 解析单个域名 (A 优先，其次 AAAA)，并发请求合并 */
+  resolve(host, endpoints = this.resolvers()) {
+    const key = String(host).toLowerCase();
+    const hit = this.cached(key);
+    if (hit !== null) return Promise.resolve(hit || null);
+    if (this._pending.has(key)) return this._pending.get(key);
+
+    const task = (async () => {
+      try {
+        for (const type of ["A", "AAAA"]) {
+          if (endpoints.every(e => this._isDown(e))) break;
+          const res = await this._query(key, type, endpoints);
+          if (res) {
+            this._cache.set(`dns:${key}`, res.ip, Utils.clamp(res.ttl, 60, 86400) * 1000);
+            return res.ip;
+          }
+        }
+        this._cache.set(`dns:${key}`, "", DnsResolver.NEGATIVE_TTL);
+        return null;
+      } finally {
+        this._pending.delete(key);
+      }
+    })();
+    this._pending.set(key, task);
+    return task;
+  }
+
+  /**
+   * 依次尝试各解析器；应答仅含 CNAME 时继续解析其目标
+   */
+  async _query(name, type, endpoints, depth = 0) {
+    if (depth > DnsResolver.MAX_CNAME_DEPTH) return null;
+    const want = DnsResolver.TYPES[type];
+    for (const endpoint of endpoints) {
+      if (this._isDown(endpoint)) continue;
+      let answers;
+      try {
+        const resp = await this._http.safeFetch(`${endpoint}?name=${encodeURIComponent(name)}&type=${type}`, { headers: { accept: "application/dns-json" } }, 3000);
+        if (!resp.ok) { this._markDown(endpoint); continue; }
+        const data = await resp.json();
+        if (data?.Status !== 0) {
+          if (data?.Status === 3) return null; // NXDOMAIN，无需再问其他解析器
+          continue;
+        }
+        answers = Array.isArray(data.Answer) ? data.Answer : [];
+      } catch (e) {
+        Logger.debug("DNS", `${endpoint} 解析 ${name} 失败: ${e.message}`);
+        this._markDown(endpoint);
+        continue;
+      }
+
+      const record = answers.find(a => a.type === want && MMDBReader.parseIP(a.data));
+      if (record) {
+        const ttl = Math.min(...answers.map(a => Number(a.TTL) || 300));
+        return { ip: record.data, ttl };
+      }
+      // 按链路跟随 CNAME，取链尾目标重新查询；链路成环视为解析失败
+      const seen = new Set([name]);
+      let target = name, next;
+      while ((next = answers.find(a => a.type === DnsResolver.TYPES.CNAME && String(a.name || "").replace(/\.$/, "").toLowerCase() === target))) {
+        target = String(next.data).replace(/\.$/, "").toLowerCase();
+        if (seen.has(target)) return null;
+        seen.add(target);
+      }
+      return target !== name ? this._query(target, type, endpoints, depth + 1) : null;
+    }
+    return null;
+  }
+}
+
+/* ============== GeoIP 持久化数据库 ============== */
+/**
+ * GeoDatabase: 以 IP 为键的 GeoIP 结果库，跨次运行保留查询结果
+ * 存储优先使用 $persistentStore，Node 环境可配置 privacy.geoCache.file；两者皆无时仅在进程内复用，
+ * 可通过 export / import 在不同运行时之间迁移
+ */
+class GeoDatabase {
+  static STORE_KEY = "sirkey_geodb";
+  static VERSION = 1;
+  static MAX_ENTRIES = 5000;
+
+  _entries = new Map();
+  _dirty = false;
+  _loaded = false;
+
+  get ttl() { return (Config.privacy?.geoCache?.ttl ?? 604800) * 1000; }
+  get size() { return this._entries.size; }
+
+  /** 读取未过期的记录 */
+  get(ip) {
+    const entry = this._entries.get(ip);
+    if (!entry) return null;
+    if (Date.now() - entry.ts > this.ttl) {
+      this._entries.delete(ip);
+      this._dirty = true;
+      return null;
+    }
+    const { ts, ...info } = entry;
+    return info;
+  }
+
+  set(ip, info, ts = Date.now()) {
+    if (!ip || !info?.code) return;
+    this._entries.delete(ip);
+    this._entries.set(ip, { ...info, ts });
+    this._dirty = true;
+    while (this._entries.size > GeoDatabase.MAX_ENTRIES) this._entries.delete(this._entries.keys().next().value);
+  }
+
+  /** 从持久化存储预热 (每个实例仅一次) */
+  load() {
+    if (this._loaded) return this;
+    this._loaded = true;
+    try {
+      const raw = this._read();
+      if (raw) Logger.info("GeoDB", `已从上次运行恢复 ${this.import(raw)} 条 GeoIP 记录`);
+    } catch (e) {
+      Logger.warn("GeoDB", `读取失败，忽略旧数据: ${e.message}`);
+    }
+    this._dirty = false;
+    return this;
+  }
+
+  /** 有变更时写回存储 */
+  save() {
+    if (!this._dirty) return false;
+    try {
+      this._write(this.export());
+      this._dirty = false;
+      return true;
+    } catch (e) {
+      Logger.warn("GeoDB", `写入失败: ${e.message}`);
+      return false;
+    }
+  }
+
+  /** 导出为 JSON 字符串，过期记录不导出 */
+  export() {
+    const now = Date.now(), ttl = this.ttl, entries = {};
+    for (const [ip, entry] of this._entries) {
+      if (now - entry.ts <= ttl) entries[ip] = entry;
+    }
+    return JSON.stringify({ version: GeoDatabase.VERSION, exportedAt: now, entries });
+  }
+
+  /**
+   * 导入 export() 的结果 (字符串或对象)，同一 IP 保留较新的记录
+   * @returns {number} 实际导入的条数
+   */
+  import(data) {
+    const parsed = typeof data === "string" ? JSON.parse(data) : data;
+    if (!parsed || typeof parsed.entries !== "object" || parsed.version !== GeoDatabase.VERSION) {
+      throw new InvalidRequestError("GeoDB: 不支持的数据格式或版本");
+    }
+    const now = Date.now(), ttl = this.ttl;
+    let count = 0;
+    for (const [ip, entry] of Object.entries(parsed.entries)) {
+      const ts = Number(entry?.ts);
+      if (!MMDBReader.parseIP(ip) || !entry?.code || !(now - ts <= ttl)) continue;
+      if ((this._entries.get(ip)?.ts ?? -1) >= ts) continue;
+      const { ts: _, ...info } = entry;
+      this.set(ip, info, ts);
+      count++;
+    }
+    return count;
+  }
+
+  clear() {
+    this._entries.clear();
+    this._dirty = true;
+  }
+
+  _read() {
+    if (typeof $persistentStore !== "undefined") return $persistentStore.read(GeoDatabase.STORE_KEY);
+    const file = Config.privacy?.geoCache?.file;
+    if (file && Env.isNode) {
+      const fs = require("fs");
+      return fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
+    }
+    return null;
+  }
+
+  _write(json) {
+    if (typeof $persistentStore !== "undefined") return $persistentStore.write(json, GeoDatabase.STORE_KEY);
+    const file = Config.privacy?.geoCache?.file;
+    if (file && Env.isNode) FileBackend.atomicWrite(file, json);
+  }
+}
+
+/* ============== GeoIP 数据源注册表 ============== */
+/**
+ * TokenBucket: 简单令牌桶，按秒匀速补充
+ */
+class TokenBucket {
+  constructor(capacity, perSecond) {
+    this.capacity = Math.max(1, capacity);
+    this.perSecond = Math.max(0, perSecond);
+    this._tokens = this.capacity;
+    this._last = Date.now();
+  }
+
+  take(n = 1) {
+    const now = Date.now();
+    this._tokens = Math.min(this.capacity, this._tokens + (now - this._last) / 1000 * this.perSecond);
+    this._last = now;
+    if (this._tokens < n) return false;
+    this._tokens -= n;
+    return true;
+  }
+}
+
+/**
+ * GeoProviderRegistry: 可插拔的 GeoIP 数据源
+ * - 按 priority 升序依次询问，每个数据源有独立令牌桶限速，令牌耗尽时跳过
+ * - 同一 IP 有 privacy.geoQuorum 个数据源给出相同国家代码即采纳；问完仍未达成时取唯一多数，平票视为无结果
+ * - 只请求 https 且主机 (或 URL 前缀) 列于 privacy.trustedGeoEndpoints 的端点
+ *
+ * 数据源: { name, priority, batch?, rate: { capacity, perSecond }, url(ip) | url(), parse(json, ips) -> [{ ip, code, country }] }
+ */
+class GeoProviderRegistry {
+  static BUILTIN = [
+    {
+      name: "ipwho.is", priority: 10, rate: { capacity: 20, perSecond: 1 },
+      url: (ip) => `https://ipwho.is/${ip}?fields=success,ip,country,country_code,connection`,
+      parse: (d) => d?.success ? [{ ip: d.ip, code: d.country_code, country: d.country, asn: d.connection?.asn, org: d.connection?.org || d.connection?.isp }] : []
+    },
+    {
+      name: "ipapi.co", priority: 20, rate: { capacity: 10, perSecond: 0.5 },
+      url: (ip) => `https://ipapi.co/${ip}/json/`,
+      parse: (d) => d?.country_code ? [{ ip: d.ip, code: d.country_code, country: d.country_name, asn: NodeClassifier.parseAsn(d.asn), org: d.org }] : []
+    },
+    {
+      name: "ipinfo.io", priority: 30, rate: { capacity: 10, perSecond: 0.5 },
+      url: (ip) => `https://ipinfo.io/${ip}/json`,
+      parse: (d) => d?.country ? [{ ip: d.ip, code: d.country, country: GeoProviderRegistry.countryName(d.country), asn: NodeClassifier.parseAsn(d.org), org: d.org }] : []
+    },
+    {
+      // ip-api 免费版不支持 https，仅在配置 privacy.ipApiKey 时使用 pro 端点 (还需将 pro.ip-api.com 列入受信列表)
+      name: "ip-api", priority: 40, batch: true, rate: { capacity: 5, perSecond: 0.25 },
+      url: () => Config.privacy?.ipApiKey ? `https://pro.ip-api.com/batch?key=${encodeURIComponent(Config.privacy.ipApiKey)}&fields=status,country,countryCode,as,isp,query` : null,
+      parse: (d) => Array.isArray(d) ? d.filter(i => i.status === "success").map(i => ({ ip: i.query, code: i.countryCode, country: i.country, asn: NodeClassifier.parseAsn(i.as), org: i.isp })) : []
+    }
+  ];
+
+  _http;
+  _providers = new Map();
+  _buckets = new Map();
+
+  constructor(httpClient) {
+    this._http = httpClient;
+    GeoProviderRegistry.BUILTIN.forEach(p => this.register(p));
+  }
+
+  register(provider) {
+    if (!provider?.name || typeof provider.url !== "function" || typeof provider.parse !== "function") {
+      throw new InvalidRequestError("GeoProvider 需要 name、url() 与 parse()");
+    }
+    const rate = provider.rate || {};
+    this._providers.set(provider.name, { priority: 100, ...provider });
+    this._buckets.set(provider.name, new TokenBucket(rate.capacity ?? 10, rate.perSecond ?? 1));
+    return this;
+  }
+
+  unregister(name) {
+    this._buckets.delete(name);
+    return this._providers.delete(name);
+  }
+
+  /** ipinfo 等只返回国家代码的数据源，统一换算为英文国家名 (与其余数据源一致)，无法换算时保留代码 */
+  static countryName(code) {
+    try {
+      return new Intl.DisplayNames(["en"], { type: "region" }).of(String(code).toUpperCase()) || code;
+    } catch {
+      return code;
+    }
+  }
+
+  /** 按优先级排列、且端点受信的数据源 (url 返回空值的数据源视为未启用) */
+  list() {
+    return [...this._providers.values()]
+      .filter(p => this.isTrusted(p.url("1.1.1.1")))
+      .sort((a, b) => a.priority - b.priority);
+  }
+
+  /** 仅 https，且主机或 URL 前缀列于 trustedGeoEndpoints */
+  isTrusted(url) {
+    let u;
+    try { u = new URL(url); } catch { return false; }
+    if (u.protocol !== "https:") return false;
+    const trusted = Config.privacy?.trustedGeoEndpoints || [];
+    return trusted.some(t => {
+      const entry = String(t).trim();
+      return entry.includes("://") ? url.startsWith(entry) : u.hostname === entry.toLowerCase();
+    });
+  }
+
+  /**
+   * 查询一批 IP，返回 Map<ip, { code, country }>；无受信数据源时返回空 Map
+   */
+  async lookup(ips) {
+    const quorum = Math.max(1, Config.privacy?.geoQuorum ?? 1);
+    const votes = new Map(ips.map(ip => [ip, new Map()]));
+    const decided = new Map();
+    const providers = this.list();
+    if (!providers.length) {
+      Logger.debug("GeoProvider", "无受信的 GeoIP 数据源，跳过外部查询");
+      return decided;
+    }
+
+    for (const provider of providers) {
+      const pending = ips.filter(ip => !decided.has(ip));
+      if (!pending.length) break;
+      for (const { ip, code, country, asn, org } of await this._query(provider, pending)) {
+        const tally = votes.get(ip);
+        if (!tally || decided.has(ip) || !code) continue;
+        const key = String(code).toUpperCase();
+        const vote = tally.get(key) || { code: key, country: country || key, count: 0 };
+        vote.count++;
+        // ASN 不参与投票，取首个给出的数据源
+        if (asn && !vote.asn) Object.assign(vote, { asn, org: org || "" });
+        tally.set(key, vote);
+        if (vote.count >= quorum) decided.set(ip, this._info(vote));
+      }
+    }
+
+    // 未达法定数：取唯一多数，平票视为分歧
+    for (const [ip, tally] of votes) {
+      if (decided.has(ip) || !tally.size) continue;
+      const ranked = [...tally.values()].sort((a, b) => b.count - a.count);
+      if (ranked.length === 1 || ranked[0].count > ranked[1].count) decided.set(ip, this._info(ranked[0]));
+      else Logger.warn("GeoProvider", `${ip} 数据源结果分歧 (${ranked.map(v => `${v.code}×${v.count}`).join(", ")})，已忽略`);
+    }
+    return decided;
+  }
+
+  _info({ code, country, asn, org }) {
+    return asn ? { code, country, asn, org } : { code, country };
+  }
+
+  async _query(provider, ips) {
+    const bucket = this._buckets.get(provider.name);
+    const fetchJson = async (url, options) => {
+      const resp = await this._http.safeFetch(url, options);
+      if (!resp.ok) throw new SirkeyError(`HTTP ${resp.status}`, "GEO_PROVIDER_HTTP");
+      return resp.json();
+    };
+    const results = [];
+    try {
+      if (provider.batch) {
+        for (let i = 0; i < ips.length; i += 100) {
+          if (!bucket.take()) break;
+          const batch = ips.slice(i, i + 100);
+          const data = await fetchJson(provider.url(), { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(batch) });
+          results.push(...provider.parse(data, batch));
+        }
+      } else {
+        for (const ip of ips) {
+          if (!bucket.take()) {
+            Logger.debug("GeoProvider", `${provider.name} 令牌耗尽，剩余 IP 交由后续数据源`);
+            break;
+          }
+          // 返回体中的 ip 字段可能缺失，按请求的 IP 归位
+          results.push(...provider.parse(await fetchJson(provider.url(ip)), [ip]).map(r => ({ ...r, ip })));
+        }
+      }
+    } catch (e) {
+      Logger.warn("GeoProvider", `${provider.name} 查询失败: ${e.message}`);
+    }
+    return results;
+  }
+}
+
+/* ============== GeoIP 服务 ============== */
+class GeoIPService {
+  _http;
+  _cache;
+  _providers;
+  _eventQueue = [];
+  _isProcessing = false;
+  _resolver;
+  _db;
+  _inflight = new Set();
+
+  constructor(httpClient, cache) {
+    this._http = httpClient;
+    this._cache = cache;
+    this._resolver = new DnsResolver(httpClient, cache);
+    this._providers = new GeoProviderRegistry(httpClient);
+  }
+
+  get resolver() { return this._resolver; }
+
+  /** 节点用于 GeoIP 查询的地址 */
+  addressOf(p) { return this._resolver.addressOf(p); }
+  get providers() { return this._providers; }
+
+  get db() {
+    this._db ??= new GeoDatabase().load();
+    return this._db;
+  }
+
+  /**
+   * 增强 GeoIP 隐私保护 (Privacy Strengthening)
+   * 事件驱动逻辑，管理隐私及安全风险。
+   */
+  _handlePrivacyEvent(type, data) {
+    const security = CentralManager.getInstance().security;
+    
+    // 如果是批量查询，分析样本风险
+    if (type === "GeoLookup" && data.proxies) {
+      const sample = data.proxies.slice(0, 5); // 采样前5个
+      for (const p of sample) {
+        if (security.analyzeThreat({ ip: p.server, domain: p.name }) > 0.5) {
+          Logger.warn("GeoIP.Privacy", `检测到高风险节点 (${p.name}), 启动隐私保护`);
+          return false;
+        }
+      }
+    }
+    
+    const riskScore = security.analyzeThreat(data);
+    if (riskScore > 0.6) {
+      Logger.warn("GeoIP.Privacy", `检测到高风险请求 (${type}), 启动隐私保护，跳过外部查询`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 按配置加载离线数据库，加载失败仅告警一次并回退到原有逻辑
+   */
+  _localDb(kind) {
+    const source = Config.privacy?.geoDatabase?.[kind];
+    if (!source) return null;
+    try {
+      return MMDBReader.load(source);
+    } catch (e) {
+      if (!this._dbErrors?.has(source)) {
+        (this._dbErrors ??= new Set()).add(source);
+        Logger.warn("GeoIP.MMDB", `离线数据库加载失败 (${kind}): ${e.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * 离线查询：处理 IP 形式或已解析的 server，未配置数据库时返回 null
+   */
+  lookupLocal(proxies) {
+    const countryDb = this._localDb("country"), asnDb = this._localDb("asn");
+    if (!countryDb && !asnDb) return null;
+
+    const results = new Map();
+    for (const p of proxies) {
+      const s = this.addressOf(p);
+      if (!s || results.has(s) || !MMDBReader.parseIP(s) || Utils.isPrivateIP(s)) continue;
+      const info = { ...countryDb?.lookupGeo(s), ...asnDb?.lookupGeo(s) };
+      if (info.code || info.asn) results.set(s, info);
+    }
+    return results;
+  }
+
+  /**
+   * 批量查询，结果以节点地址 (addressOf) 为键
+   * 非阻塞：只返回本地数据库与 GeoDatabase 中已有的结果，缺失部分在后台查询并写回 GeoDatabase
+   */
+  lookupBatch(proxies) {
+    const resolving = this._resolver.prefetch(proxies);
+    const local = this.lookupLocal(proxies);
+    if (local) return local;
+    // 已入库的结果不涉及外部请求，关闭外部查询时照常使用
+    const { results, missing } = this._collect(proxies);
+    if (!this._canLookupExternal(proxies)) return results;
+
+    // 后台解析完成后顺带查询新 IP，下次构建即可命中
+    resolving?.then(pairs => {
+      const ips = [...new Set(pairs.map(([, ip]) => ip))].filter(ip => ip && !Utils.isPrivateIP(ip) && !this.db.get(ip));
+      if (ips.length) this._doAsyncLookup(ips);
+    }).catch(e => Logger.warn("GeoIP", `域名解析后台执行失败: ${e.message}`));
+
+    if (missing.length > 0) {
+      // 异步查询优化：后台执行，不阻塞主线程
+      this._doAsyncLookup(missing);
+    }
+    return results;
+  }
+
+  /**
+   * 阻塞预热：在时间预算内等待域名解析与 GeoIP 查询完成，供允许 await 的运行时在构建前调用
+   * @returns {Promise<boolean>} 预算内是否全部完成
+   */
+  async warm(proxies, budget = 3000) {
+    const list = Array.isArray(proxies) ? proxies : [];
+    const task = (async () => {
+      const resolving = this._resolver.prefetch(list);
+      if (resolving) await resolving;
+      if (this.lookupLocal(list) || !this._canLookupExternal(list)) return;
+      const { missing } = this._collect(list);
+      if (missing.length) await this._doAsyncLookup(missing);
+    })();
+
+    let timer;
+    const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(false), budget); });
+    try {
+      const done = await Promise.race([task.then(() => true), timeout]);
+      if (!done) Logger.warn("GeoIP", `预热超出时间预算 (${budget}ms)，使用已有结果构建`);
+      return done;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  _canLookupExternal(proxies) {
+    if (!Config.privacy?.geoExternalLookup) return false;
+    // 隐私事件驱动校验 (同步版，如果是异步则在后台处理)
+    return this._handlePrivacyEvent("GeoLookup", { proxies }) !== false;
+  }
+
+  /** 区分已有结果与待查询 IP；ip-api 无法定位域名，仅查询 IP，同一 IP 的多个节点只查一次 */
+  _collect(proxies) {
+    const servers = new Set(proxies.map(p => this.addressOf(p)).filter(s => s && MMDBReader.parseIP(s) && !Utils.isPrivateIP(s)));
+    const results = new Map(), missing = [];
+    for (const s of servers) {
+      const info = this.db.get(s);
+      if (info) results.set(s, info);
+      else if (!this._inflight.has(s)) missing.push(s);
+    }
+    return { results, missing };
+  }
+
+  /**
+   * 内部私有方法：经数据源注册表执行异步查询，结果写入 GeoDatabase
+   */
+  async _doAsyncLookup(toLookup) {
+    toLookup.forEach(ip => this._inflight.add(ip));
+    try {
+      const results = await this._providers.lookup(toLookup);
+      results.forEach((info, ip) => this.db.set(ip, info));
+    } catch (e) {
+      Logger.warn("GeoIP", `批量查询后台执行失败: ${e.message}`);
+    } finally {
+      toLookup.forEach(ip => this._inflight.delete(ip));
+      this.db.save();
+    }
+  }
+}
+
+/* ============== 节点网络类型识别 ============== */
+/**
+ * NodeClassifier: 依据 ASN / 组织名 / 节点名称将节点归类为 residential (家宽/ISP)、hosting (机房)、cdn 或 unknown，
+ * 并从名称识别 IPLC / IEPL / CN2 等中转线路
+ * 判定顺序: 用户 ASN 表 → 内置 ASN 表 → 组织名关键词 → 节点名称提示
+ */
+class NodeClassifier {
+  static TYPES = ["residential", "hosting", "cdn", "unknown"];
+  static KNOWN_ASN = {
+    cdn: [13335, 209242, 20940, 16625, 54113, 15133, 60068, 21859],
+    hosting: [16509, 14618, 8987, 15169, 396982, 8075, 31898, 14061, 20473, 63949, 24940, 16276, 45102, 37963, 132203, 9009, 51167, 35916, 25820, 906, 36352, 8100, 62240, 212238, 40065, 4785, 58879, 135377, 199524, 3258, 19318, 40021],
+    residential: [4713, 2516, 17676, 9605, 2527, 4760, 9269, 9304, 4609, 3462, 9924, 4780, 7922, 7018, 701, 20115, 22773, 3320, 3215, 2856, 4766, 3786, 9318, 9506, 4657, 4134, 4837, 9808, 17621, 7473, 45899, 18403]
+  };
+  static ORG_PATTERNS = {
+    cdn: /\bcdn\b|cloudflare|akamai|fastly|edgecast|cloudfront|edgio|gcore/i,
+    hosting: /hosting|cloud|server|data ?cent(er|re)|\bvps\b|colo|dedicated|digitalocean|vultr|choopa|linode|hetzner|\bovh|amazon|\baws\b|google llc|microsoft|azure|oracle|alibaba|aliyun|tencent|m247|contabo|dmit|leaseweb/i,
+    residential: /telecom|broadband|cable|communications|mobile|wireless|\bdsl\b|fib(er|re)|\bisp\b|internet service|telekom|telecommunication|ocn|kddi|softbank|hinet|chunghwa|comcast|spectrum|verizon|at&t|pccw|hkbn|singtel|starhub/i
+  };
+  static NAME_HINTS = {
+    residential: /家宽|家庭|住宅|原生|residential|\bisp\b|native/i,
+    hosting: /机房|\bidc\b|datacenter/i
+  };
+  static TRANSIT_PATTERNS = [["IPLC", /iplc/i], ["IEPL", /iepl/i], ["CN2", /cn2|gia/i], ["BGP", /bgp中转|中转/i]];
+
+  /**
+   * @param {{ asn?: number|string, org?: string, name?: string }} info
+   * @returns {{ type: string, transit: string|null, asn: number|null, org: string|null, source: string }}
+   */
+  static classify({ asn, org, name } = {}) {
+    const num = this.parseAsn(asn ?? org);
+    const orgName = org ? String(org).replace(/^AS\d+\s*/i, "") : null;
+    const transit = this.TRANSIT_PATTERNS.find(([, re]) => re.test(String(name || "")))?.[0] || null;
+    const result = (type, source) => ({ type, transit, asn: num, org: orgName, source });
+
+    const custom = Config.nodeClassOptions?.asn || {};
+    for (const type of ["residential", "hosting", "cdn"]) {
+      if (num && (custom[type] || []).map(Number).includes(num)) return result(type, "asn-custom");
+    }
+    for (const type of ["cdn", "hosting", "residential"]) {
+      if (num && this.KNOWN_ASN[type].includes(num)) return result(type, "asn");
+    }
+    if (orgName) {
+      for (const type of ["cdn", "hosting", "residential"]) {
+        if (this.ORG_PATTERNS[type].test(orgName)) return result(type, "org");
+      }
+    }
+    for (const type of ["residential", "hosting"]) {
+      if (this.NAME_HINTS[type].test(String(name || ""))) return result(type, "name");
+    }
+    return result("unknown", "none");
+  }
+
+  /** 解析 13335 / "AS13335" / "AS13335 Cloudflare, Inc." */
+  static parseAsn(v) {
+    if (typeof v === "number") return v > 0 ? v : null;
+    const m = String(v ?? "").match(/^(?:AS)?(\d+)\b/i);
+    return m ? Number(m[1]) : null;
+  }
+}
+
+/* ============== 地区名称识别 ============== */
+/**
+ * RegionMatcher: 按词元识别节点名称中的国家/地区，覆盖全部 ISO-3166 国家的中英文名、alpha-2/alpha-3 代码、
+ * 国旗 emoji 与主要机场 IATA 代码。中文按最长匹配切分，英文按完整单词匹配，避免 "us" 命中 Russia、"中" 命中 "中转"。
+ * 各条证据的置信度按 1 - Π(1 - c) 合并: 国旗 1.0 / 全名 0.95 / alpha-3 0.85 / alpha-2 0.8 / IATA 0.75 /
+ * 易与英文单词混淆的代码 (仅大写时计入) 0.6 / 单字简称 0.5 / 同时是他国 alpha-3 的 IATA 代码 (FRA、HND) 对两国各 0.4
+ * 单字简称只在独立出现、或与 ZH_ALIAS_PREFIXES / ZH_ALIAS_SUFFIXES 相连时计入 ("港 01"、"沪港"、"美西")，避免 "台州" 命中台湾
+ */
+class RegionMatcher {
+  // alpha2|alpha3|英文名(逗号分隔)|中文名(逗号分隔，单字为简称)
+  static ISO = `AD|AND|Andorra|安道尔
+AE|ARE|United Arab Emirates,UAE,Emirates,Dubai,Abu Dhabi|阿联酋,阿拉伯联合酋长国,迪拜
+AF|AFG|Afghanistan|阿富汗
+AG|ATG|Antigua and Barbuda,Antigua|安提瓜和巴布达
+AI|AIA|Anguilla|安圭拉
+AL|ALB|Albania|阿尔巴尼亚
+AM|ARM|Armenia|亚美尼亚
+AO|AGO|Angola|安哥拉
+AQ|ATA|Antarctica|南极洲
+AR|ARG|Argentina,Buenos Aires|阿根廷,布宜诺斯艾利斯
+AS|ASM|American Samoa|美属萨摩亚
+AT|AUT|Austria,Vienna|奥地利,维也纳
+AU|AUS|Australia,Sydney,Melbourne|澳大利亚,澳大利亞,澳洲,悉尼,墨尔本
+AW|ABW|Aruba|阿鲁巴
+AX|ALA|Aland Islands,Aland|奥兰群岛
+AZ|AZE|Azerbaijan|阿塞拜疆
+BA|BIH|Bosnia and Herzegovina,Bosnia|波黑,波斯尼亚和黑塞哥维那
+BB|BRB|Barbados|巴巴多斯
+BD|BGD|Bangladesh|孟加拉国,孟加拉
+BE|BEL|Belgium,Brussels|比利时,布鲁塞尔
+BF|BFA|Burkina Faso|布基纳法索
+BG|BGR|Bulgaria|保加利亚
+BH|BHR|Bahrain|巴林
+BI|BDI|Burundi|布隆迪
+BJ|BEN|Benin|贝宁
+BL|BLM|Saint Barthelemy|圣巴泰勒米
+BM|BMU|Bermuda|百慕大
+BN|BRN|Brunei|文莱
+BO|BOL|Bolivia|玻利维亚
+BQ|BES|Caribbean Netherlands,Bonaire|荷兰加勒比区,博内尔
+BR|BRA|Brazil,Sao Paulo|巴西,圣保罗
+BS|BHS|Bahamas|巴哈马
+BT|BTN|Bhutan|不丹
+BV|BVT|Bouvet Island|布韦岛
+BW|BWA|Botswana|博茨瓦纳
+BY|BLR|Belarus|白俄罗斯
+BZ|BLZ|Belize|伯利兹
+CA|CAN|Canada,Toronto,Vancouver,Montreal|加拿大,多伦多,温哥华,蒙特利尔
+CC|CCK|Cocos Islands|科科斯群岛
+CD|COD|DR Congo,Democratic Republic of the Congo|刚果金,刚果（金）
+CF|CAF|Central African Republic|中非
+CG|COG|Republic of the Congo,Congo|刚果布,刚果（布）
+CH|CHE|Switzerland,Zurich|瑞士,苏黎世
+CI|CIV|Ivory Coast,Cote d'Ivoire|科特迪瓦
+CK|COK|Cook Islands|库克群岛
+CL|CHL|Chile|智利
+CM|CMR|Cameroon|喀麦隆
+CN|CHN|China,Mainland|中国大陆,中国,大陆,内地,回国
+CO|COL|Colombia|哥伦比亚
+CR|CRI|Costa Rica|哥斯达黎加
+CU|CUB|Cuba|古巴
+CV|CPV|Cape Verde|佛得角
+CW|CUW|Curacao|库拉索
+CX|CXR|Christmas Island|圣诞岛
+CY|CYP|Cyprus|塞浦路斯
+CZ|CZE|Czechia,Czech Republic,Czech,Prague|捷克,布拉格
+DE|DEU|Germany,Frankfurt,Berlin,Munich|德国,德國,法兰克福,柏林,慕尼黑,德
+DJ|DJI|Djibouti|吉布提
+DK|DNK|Denmark,Copenhagen|丹麦,哥本哈根
+DM|DMA|Dominica|多米尼克
+DO|DOM|Dominican Republic|多米尼加
+DZ|DZA|Algeria|阿尔及利亚
+EC|ECU|Ecuador|厄瓜多尔
+EE|EST|Estonia|爱沙尼亚
+EG|EGY|Egypt,Cairo|埃及,开罗
+EH|ESH|Western Sahara|西撒哈拉
+ER|ERI|Eritrea|厄立特里亚
+ES|ESP|Spain,Madrid,Barcelona|西班牙,马德里,巴塞罗那
+ET|ETH|Ethiopia|埃塞俄比亚
+FI|FIN|Finland,Helsinki|芬兰,赫尔辛基
+FJ|FJI|Fiji|斐济
+FK|FLK|Falkland Islands|福克兰群岛
+FM|FSM|Micronesia|密克罗尼西亚
+FO|FRO|Faroe Islands|法罗群岛
+FR|FRA|France,Paris,Marseille|法国,法國,巴黎,马赛,法
+GA|GAB|Gabon|加蓬
+GB|GBR|United Kingdom,Great Britain,Britain,England,London,Manchester|英国,英國,伦敦,曼彻斯特,英
+GD|GRD|Grenada|格林纳达
+GE|GEO|Georgia|格鲁吉亚
+GF|GUF|French Guiana|法属圭亚那
+GG|GGY|Guernsey|根西岛
+GH|GHA|Ghana|加纳
+GI|GIB|Gibraltar|直布罗陀
+GL|GRL|Greenland|格陵兰
+GM|GMB|Gambia|冈比亚
+GN|GIN|Guinea|几内亚
+GP|GLP|Guadeloupe|瓜德罗普
+GQ|GNQ|Equatorial Guinea|赤道几内亚
+GR|GRC|Greece,Athens|希腊,雅典
+GS|SGS|South Georgia|南乔治亚
+GT|GTM|Guatemala|危地马拉
+GU|GUM|Guam|关岛
+GW|GNB|Guinea-Bissau|几内亚比绍
+GY|GUY|Guyana|圭亚那
+HK|HKG|Hong Kong,HongKong|香港,中国香港,港
+HM|HMD|Heard Island and McDonald Islands|赫德岛和麦克唐纳群岛
+HN|HND|Honduras|洪都拉斯
+HR|HRV|Croatia|克罗地亚
+HT|HTI|Haiti|海地
+HU|HUN|Hungary,Budapest|匈牙利,布达佩斯
+ID|IDN|Indonesia,Jakarta|印度尼西亚,印尼,雅加达
+IE|IRL|Ireland,Dublin|爱尔兰,都柏林
+IL|ISR|Israel|以色列
+IM|IMN|Isle of Man|马恩岛
+IN|IND|India,Mumbai,New Delhi,Bangalore|印度,孟买,新德里,班加罗尔
+IO|IOT|British Indian Ocean Territory|英属印度洋领地
+IQ|IRQ|Iraq|伊拉克
+IR|IRN|Iran|伊朗
+IS|ISL|Iceland|冰岛
+IT|ITA|Italy,Milan,Rome|意大利,米兰,罗马
+JE|JEY|Jersey|泽西岛
+JM|JAM|Jamaica|牙买加
+JO|JOR|Jordan|约旦
+JP|JPN|Japan,Tokyo,Osaka|日本,东京,東京,大阪,日
+KE|KEN|Kenya|肯尼亚
+KG|KGZ|Kyrgyzstan|吉尔吉斯斯坦
+KH|KHM|Cambodia|柬埔寨
+KI|KIR|Kiribati|基里巴斯
+KM|COM|Comoros|科摩罗
+KN|KNA|Saint Kitts and Nevis|圣基茨和尼维斯
+KP|PRK|North Korea|朝鲜
+KR|KOR|South Korea,Korea,Seoul|韩国,韓國,南韩,首尔,韩
+KW|KWT|Kuwait|科威特
+KY|CYM|Cayman Islands|开曼群岛
+KZ|KAZ|Kazakhstan|哈萨克斯坦
+LA|LAO|Laos|老挝
+LB|LBN|Lebanon|黎巴嫩
+LC|LCA|Saint Lucia|圣卢西亚
+LI|LIE|Liechtenstein|列支敦士登
+LK|LKA|Sri Lanka|斯里兰卡
+LR|LBR|Liberia|利比里亚
+LS|LSO|Lesotho|莱索托
+LT|LTU|Lithuania|立陶宛
+LU|LUX|Luxembourg|卢森堡
+LV|LVA|Latvia|拉脱维亚
+LY|LBY|Libya|利比亚
+MA|MAR|Morocco|摩洛哥
+MC|MCO|Monaco|摩纳哥
+MD|MDA|Moldova|摩尔多瓦
+ME|MNE|Montenegro|黑山
+MF|MAF|Saint Martin|法属圣马丁
+MG|MDG|Madagascar|马达加斯加
+MH|MHL|Marshall Islands|马绍尔群岛
+MK|MKD|North Macedonia,Macedonia|北马其顿,马其顿
+ML|MLI|Mali|马里
+MM|MMR|Myanmar,Burma|缅甸
+MN|MNG|Mongolia|蒙古
+MO|MAC|Macao,Macau|澳门,澳門,中国澳门
+MP|MNP|Northern Mariana Islands|北马里亚纳群岛
+MQ|MTQ|Martinique|马提尼克
+MR|MRT|Mauritania|毛里塔尼亚
+MS|MSR|Montserrat|蒙特塞拉特
+MT|MLT|Malta|马耳他
+MU|MUS|Mauritius|毛里求斯
+MV|MDV|Maldives|马尔代夫
+MW|MWI|Malawi|马拉维
+MX|MEX|Mexico|墨西哥
+MY|MYS|Malaysia,Kuala Lumpur|马来西亚,馬來西亞,马来,大马,吉隆坡
+MZ|MOZ|Mozambique|莫桑比克
+NA|NAM|Namibia|纳米比亚
+NC|NCL|New Caledonia|新喀里多尼亚
+NE|NER|Niger|尼日尔
+NF|NFK|Norfolk Island|诺福克岛
+NG|NGA|Nigeria|尼日利亚
+NI|NIC|Nicaragua|尼加拉瓜
+NL|NLD|Netherlands,Holland,Amsterdam|荷兰,荷蘭,阿姆斯特丹
+NO|NOR|Norway,Oslo|挪威,奥斯陆
+NP|NPL|Nepal|尼泊尔
+NR|NRU|Nauru|瑙鲁
+NU|NIU|Niue|纽埃
+NZ|NZL|New Zealand,Auckland|新西兰,奥克兰
+OM|OMN|Oman|阿曼
+PA|PAN|Panama|巴拿马
+PE|PER|Peru|秘鲁
+PF|PYF|French Polynesia|法属波利尼西亚
+PG|PNG|Papua New Guinea|巴布亚新几内亚
+PH|PHL|Philippines,Manila|菲律宾,马尼拉
+PK|PAK|Pakistan|巴基斯坦
+PL|POL|Poland,Warsaw|波兰,华沙
+PM|SPM|Saint Pierre and Miquelon|圣皮埃尔和密克隆
+PN|PCN|Pitcairn Islands|皮特凯恩群岛
+PR|PRI|Puerto Rico|波多黎各
+PS|PSE|Palestine|巴勒斯坦
+PT|PRT|Portugal,Lisbon|葡萄牙,里斯本
+PW|PLW|Palau|帕劳
+PY|PRY|Paraguay|巴拉圭
+QA|QAT|Qatar,Doha|卡塔尔,多哈
+RE|REU|Reunion|留尼汪
+RO|ROU|Romania,Bucharest|罗马尼亚,布加勒斯特
+RS|SRB|Serbia|塞尔维亚
+RU|RUS|Russia,Moscow,Saint Petersburg|俄罗斯,俄羅斯,莫斯科,圣彼得堡,俄
+RW|RWA|Rwanda|卢旺达
+SA|SAU|Saudi Arabia,Saudi|沙特阿拉伯,沙特
+SB|SLB|Solomon Islands|所罗门群岛
+SC|SYC|Seychelles|塞舌尔
+SD|SDN|Sudan|苏丹
+SE|SWE|Sweden,Stockholm|瑞典,斯德哥尔摩
+SG|SGP|Singapore|新加坡,狮城,新
+SH|SHN|Saint Helena|圣赫勒拿
+SI|SVN|Slovenia|斯洛文尼亚
+SJ|SJM|Svalbard and Jan Mayen|斯瓦尔巴和扬马延
+SK|SVK|Slovakia|斯洛伐克
+SL|SLE|Sierra Leone|塞拉利昂
+SM|SMR|San Marino|圣马力诺
+SN|SEN|Senegal|塞内加尔
+SO|SOM|Somalia|索马里
+SR|SUR|Suriname|苏里南
+SS|SSD|South Sudan|南苏丹
+ST|STP|Sao Tome and Principe|圣多美和普林西比
+SV|SLV|El Salvador|萨尔瓦多
+SX|SXM|Sint Maarten|荷属圣马丁
+SY|SYR|Syria|叙利亚
+SZ|SWZ|Eswatini,Swaziland|斯威士兰
+TC|TCA|Turks and Caicos Islands|特克斯和凯科斯群岛
+TD|TCD|Chad|乍得
+TF|ATF|French Southern Territories|法属南部领地
+TG|TGO|Togo|多哥
+TH|THA|Thailand,Bangkok|泰国,曼谷
+TJ|TJK|Tajikistan|塔吉克斯坦
+TK|TKL|Tokelau|托克劳
+TL|TLS|Timor-Leste,East Timor|东帝汶
+TM|TKM|Turkmenistan|土库曼斯坦
+TN|TUN|Tunisia|突尼斯
+TO|TON|Tonga|汤加
+TR|TUR|Turkey,Turkiye,Istanbul|土耳其,伊斯坦布尔,土
+TT|TTO|Trinidad and Tobago|特立尼达和多巴哥
+TV|TUV|Tuvalu|图瓦卢
+TW|TWN|Taiwan,Taipei|台湾,台灣,台湾省,中国台湾,台北,台
+TZ|TZA|Tanzania|坦桑尼亚
+UA|UKR|Ukraine,Kyiv,Kiev|乌克兰,基辅
+UG|UGA|Uganda|乌干达
+UM|UMI|United States Minor Outlying Islands|美国本土外小岛屿
+US|USA|United States,America,Los Angeles,San Jose,Silicon Valley,Seattle,New York,New Jersey,Chicago,Dallas,Miami,Ashburn|美国,美國,洛杉矶,圣何塞,硅谷,西雅图,纽约,芝加哥,达拉斯,迈阿密,美
+UY|URY|Uruguay|乌拉圭
+UZ|UZB|Uzbekistan|乌兹别克斯坦
+VA|VAT|Vatican City,Vatican|梵蒂冈
+VC|VCT|Saint Vincent and the Grenadines|圣文森特和格林纳丁斯
+VE|VEN|Venezuela|委内瑞拉
+VG|VGB|British Virgin Islands|英属维尔京群岛
+VI|VIR|US Virgin Islands|美属维尔京群岛
+VN|VNM|Vietnam,Viet Nam,Hanoi,Ho Chi Minh|越南,河内,胡志明
+VU|VUT|Vanuatu|瓦努阿图
+WF|WLF|Wallis and Futuna|瓦利斯和富图纳
+WS|WSM|Samoa|萨摩亚
+YE|YEM|Yemen|也门
+YT|MYT|Mayotte|马约特
+ZA|ZAF|South Africa,Johannesburg|南非,约翰内斯堡
+ZM|ZMB|Zambia|赞比亚
+ZW|ZWE|Zimbabwe|津巴布韦`;
+
+  // 主要机场/城市 IATA 代码 (不含中国大陆：大陆机场多为中转入口而非落地地区)
+  static IATA = {
+    HK: "hkg", TW: "tpe,tsa,khh,rmq", MO: "mfm", JP: "nrt,hnd,kix,itm,ngo,fuk,cts,oka,tyo,osa", SG: "sin,xsp",
+    US: "lax,sfo,sjc,sea,pdx,las,phx,slc,den,dfw,iah,ord,chi,atl,mia,iad,was,jfk,ewr,lga,nyc,bos,hnl",
+    KR: "icn,gmp,sel,pus", GB: "lhr,lgw,lcy,stn,lon,man", DE: "fra,muc,ber,dus,ham", FR: "cdg,ory,par,mrs",
+    NL: "ams", CH: "zrh,gva", SE: "arn,sto", IT: "mxp,fco,mil,rom", ES: "mad,bcn", IE: "dub", PL: "waw",
+    RU: "mow,svo,dme,led,vvo", TR: "ist,saw", UA: "kbp,iev", AE: "dxb,auh", IN: "bom,del,maa,blr",
+    TH: "bkk,dmk", VN: "sgn,han", PH: "mnl", MY: "kul", ID: "cgk", AU: "syd,mel,bne,adl",
+    NZ: "akl", CA: "yvr,yyz,yul,yyc", BR: "gru,sao", AR: "eze,bue", ZA: "jnb", IL: "tlv", EG: "cai"
+  };
+
+  // 与常见英文单词/协议缩写重合的代码：仅在原文全大写时计入，置信度降为 0.6
+  static STRICT = new Set(["IN", "IT", "NO", "ME", "MY", "AS", "BE", "TO", "AM", "AT", "IS", "ID", "SO", "DO", "BY", "PE", "RE", "PS", "MS",
+    "AND", "ARE", "CAN", "PER", "MAR", "NOR", "BEN", "COM", "LIE", "MAC", "PAN", "SUR", "FIN", "TON", "DOM", "GAB", "TUN", "CUB", "BRA", "GEO", "PNG",
+    "SEA", "WAS", "MAD", "MAN", "DEN", "HAM", "PAR", "MIL", "CHI", "LAS", "ROM"]);
+  // 在节点名中几乎总表示其他含义的两字母代码 (AI 解锁、Telegram、Netflix、Shadowsocks 等)，不作为地区证据
+  static IGNORE = new Set(["AI", "TV", "TG", "YT", "NF", "SS", "CF", "BT", "LA", "CC", "IO", "PM", "NA", "AD", "ST", "GG"]);
+  // 紧跟数字出现时视为单位/序数后缀 (100GB、1st、4th)
+  static SUFFIXES = new Set(["st", "nd", "rd", "th", "gb", "mb", "kb", "tb", "ms"]);
+  // 单字简称前后允许相连的字：国内入口城市简称 (沪港、京日)，方位与常见线路描述 (美西、台中、港专线)
+  static ZH_ALIAS_PREFIXES = ["沪", "京", "广", "深", "杭", "莞", "苏"];
+  static ZH_ALIAS_SUFFIXES = ["东", "西", "南", "北", "中", "专线", "中转", "直连", "节点", "家宽", "原生", "高速", "解锁"];
+  static CONFIDENCE = { flag: 1, name: 0.95, alpha3: 0.85, alpha2: 0.8, iata: 0.75, strict: 0.6, alias: 0.5, ambiguous: 0.4 };
+  static _index = null;
+  static _cache = new Map();
+
+  static get index() {
+    if (this._index) return this._index;
+    const idx = { codes: new Map(), alpha3: new Map(), names: new Map(), zh: new Map(), iata: new Map(), ambiguous: new Map(), aliases: new Map(), maxWords: 1, maxZh: 1 };
+    for (const line of this.ISO.split("\n")) {
+      const [a2, a3, en, zh] = line.split("|");
+      const zhNames = zh.split(",");
+      idx.codes.set(a2, { alpha3: a3, en: en.split(",")[0], zh: zhNames[0], zhNames, enNames: en.split(",") });
+      idx.alpha3.set(a3, a2);
+      for (const n of en.split(",")) {
+        const words = n.toLowerCase().match(/[a-z]+/g) || [];
+        idx.names.set(words.join(" "), a2);
+        if (words.length > 1) idx.names.set(words.join(""), a2);
+        idx.maxWords = Math.max(idx.maxWords, words.length);
+      }
+      for (const n of zhNames) { idx.zh.set(n, a2); idx.maxZh = Math.max(idx.maxZh, n.length); }
+    }
+    idx.names.set("uk", "GB");
+    for (const [code, list] of Object.entries(this.IATA)) list.split(",").forEach(c => idx.iata.set(c, code));
+    // IATA 与他国 alpha-3 重合 (FRA 法兰克福 / 法国，HND 羽田 / 洪都拉斯)：两国都只记弱证据，由其他证据决定
+    for (const [c, code] of idx.iata) {
+      const other = idx.alpha3.get(c.toUpperCase());
+      if (!other || other === code) continue;
+      idx.ambiguous.set(c, [code, other]);
+      idx.iata.delete(c);
+      idx.alpha3.delete(c.toUpperCase());
+    }
+    // 单字简称可相连的前后缀：与简称连起来构成他国名称一部分的 (如 "新西" 兰) 不允许
+    const zhNames = [...idx.zh.keys()];
+    for (const [alias, code] of idx.zh) {
+      if (alias.length !== 1) continue;
+      const foreign = zhNames.filter(n => idx.zh.get(n) !== code);
+      idx.aliases.set(alias, {
+        prefixes: this.ZH_ALIAS_PREFIXES.filter(pre => !foreign.some(n => n.includes(pre + alias))),
+        suffixes: this.ZH_ALIAS_SUFFIXES.filter(suf => !foreign.some(n => n.includes(alias + suf)))
+      });
+    }
+    return this._index = idx;
+  }
+
+  /** 代码对应的国旗 emoji (区域指示符号对) */
+  static flag(code) {
+    return /^[A-Z]{2}$/.test(code || "") ? String.fromCodePoint(...[...code].map(c => 0x1F1E6 + c.charCodeAt(0) - 65)) : "";
+  }
+
+  static zhName(code) { return this.index.codes.get(code)?.zh || null; }
+
+  /** 国旗图标 (flag-icons) */
+  static flagIcon(code) {
+    return this.index.codes.has(code) ? `${GH_PROXY}https://raw.githubusercontent.com/lipis/flag-icons/main/flags/4x3/${code.toLowerCase()}.svg` : ICON_VAL(ICONS.WorldMap);
+  }
+
+  /**
+   * 识别节点名称所属国家/地区
+   * @param {string} name
+   * @returns {{ code: string|null, confidence: number, evidence: Array<{ token: string, kind: string, code: string }> }}
+   */
+  static match(name) {
+    const text = String(name ?? "");
+    if (this._cache.has(text)) return this._cache.get(text);
+    const idx = this.index, C = this.CONFIDENCE, scores = new Map(), evidence = [];
+    const add = (code, kind, token) => {
+      if (evidence.some(e => e.code === code && e.token === token)) return;
+      evidence.push({ token, kind, code });
+      scores.set(code, (scores.get(code) ?? 1) * (1 - C[kind]));
+    };
+
+    for (const [flag] of text.matchAll(/[\u{1F1E6}-\u{1F1FF}]{2}/gu)) {
+      const code = [...flag].map(c => String.fromCharCode(c.codePointAt(0) - 0x1F1E6 + 65)).join("");
+      if (idx.codes.has(code)) add(code, "flag", flag);
+    }
+
+    // 中文: 最长匹配，已被长词消耗的字不再作为单字简称
+    for (const [run] of text.matchAll(/[㐀-鿿（）]+/g)) {
+      for (let i = 0; i < run.length;) {
+        let len = Math.min(idx.maxZh, run.length - i);
+        while (len > 0 && !idx.zh.has(run.slice(i, i + len))) len--;
+        if (!len) { i++; continue; }
+        const token = run.slice(i, i + len);
+        if (len > 1 || this._aliasInContext(run, i)) add(idx.zh.get(token), len === 1 ? "alias" : "name", token);
+        i += len;
+      }
+    }
+
+    // 英文: 先匹配多词全名，再依次尝试 IATA / alpha-3 / alpha-2
+    const words = [...text.matchAll(/[A-Za-z]+/g)]
+      .filter(m => !(/\d/.test(text[m.index - 1] || "") && this.SUFFIXES.has(m[0].toLowerCase())))
+      .map(m => m[0]);
+    for (let i = 0; i < words.length;) {
+      let n = Math.min(idx.maxWords, words.length - i);
+      while (n > 0 && !idx.names.has(words.slice(i, i + n).join(" ").toLowerCase())) n--;
+      if (n) { add(idx.names.get(words.slice(i, i + n).join(" ").toLowerCase()), "name", words.slice(i, i + n).join(" ")); i += n; continue; }
+
+      const word = words[i++], upper = word.toUpperCase(), lower = word.toLowerCase();
+      if (word.length < 2 || word.length > 3 || this.IGNORE.has(upper)) continue;
+      const strict = this.STRICT.has(upper);
+      if (strict && word !== upper) continue;
+      if (idx.ambiguous.has(lower)) {
+        idx.ambiguous.get(lower).forEach(c => add(c, "ambiguous", word));
+        continue;
+      }
+      const code = idx.iata.get(lower) ?? (word.length === 3 ? idx.alpha3.get(upper) : idx.codes.has(upper) ? upper : null);
+      if (!code) continue;
+      add(code, strict ? "strict" : idx.iata.has(lower) ? "iata" : word.length === 3 ? "alpha3" : "alpha2", word);
+    }
+
+    let code = null, confidence = 0;
+    scores.forEach((rest, c) => { if (1 - rest > confidence) { code = c; confidence = 1 - rest; } });
+    const result = { code, confidence: Math.round(confidence * 100) / 100, evidence };
+    if (this._cache.size > 2000) this._cache.clear();
+    this._cache.set(text, result);
+    return result;
+  }
+
+  /** 单字简称 run[i] 是否处于可计入的位置：前后为中文串边界 / 全角括号，或为允许相连的前后缀 */
+  static _aliasInContext(run, i) {
+    const ctx = this.index.aliases.get(run[i]);
+    if (!ctx) return false;
+    const prev = run[i - 1], rest = run.slice(i + 1);
+    const prevOk = prev === undefined || "（）".includes(prev) || ctx.prefixes.includes(prev);
+    return prevOk && (!rest || "（）".includes(rest[0]) || ctx.suffixes.some(s => rest.startsWith(s)));
+  }
+
+  /**
+   * 生成与 match 对应的 mihomo 过滤正则 (RE2 无 \b 与断言，词边界以非字母字符表示)：
+   * 只写入单条即可达到 minConfidence 的证据 (STRICT 代码区分大小写，无法在 (?i) 过滤器中表达，不写入)，
+   * 单字简称按 match 的前后文规则写入
+   */
+  static toFilter(code, minConfidence = Config.regionOptions?.matchConfidence ?? 0.5) {
+    const idx = this.index, entry = idx.codes.get(code), C = this.CONFIDENCE;
+    if (!entry) return null;
+    const accept = (kind) => C[kind] >= minConfidence;
+    const codes = [[code, "alpha2"], [entry.alpha3, "alpha3"]]
+      .filter(([c, kind]) => accept(kind) && !this.STRICT.has(c) && !this.IGNORE.has(c) && !idx.ambiguous.has(c.toLowerCase()))
+      .map(([c]) => c);
+    const pattern = this.keysPattern([
+      this.flag(code),
+      ...(accept("name") ? [...entry.zhNames.filter(n => n.length > 1), ...entry.enNames, ...(code === "GB" ? ["uk"] : [])] : []),
+      ...codes,
+      ...(accept("iata") ? [...idx.iata].filter(([c, cc]) => cc === code && !this.STRICT.has(c.toUpperCase())).map(([c]) => c) : [])
+    ]);
+    const aliases = accept("alias") ? entry.zhNames.filter(n => idx.aliases.has(n)).map(n => {
+      const { prefixes, suffixes } = idx.aliases.get(n);
+      return `(^|[^㐀-鿿]${prefixes.length ? `|[${prefixes.join("")}]` : ""})${Utils.escapeRegex(n)}([^㐀-鿿]|$${suffixes.map(s => `|${s}`).join("")})`;
+    }) : [];
+    return `(?i)${[pattern, ...aliases].filter(Boolean).join("|")}`;
+  }
+
+  /** 关键词转为不带标志位的正则：含字母的按完整单词 (多词间允许空格/下划线/连字符)，其余按子串 */
+  static keysPattern(keys) {
+    const literal = [], words = [];
+    for (const k of keys) {
+      if (!k) continue;
+      if (/[A-Za-z]/.test(k)) words.push((k.toLowerCase().match(/[a-z]+/g) || []).join("[\\s_-]?"));
+      else literal.push(Utils.escapeRegex(k));
+    }
+    const parts = [...new Set(literal)];
+    if (words.length) parts.push(`(^|[^A-Za-z])(${[...new Set(words)].join("|")})([^A-Za-z]|$)`);
+    return parts.join("|");
+  }
+}
+
+/* ============== 自适应节点分流与质量评估系统 ============== */
+
+/**
+ * SceneDetector: 业务场景识别
+ */
 class SceneDetector {
   static detect(context) {
     if (!context) return "browsing";
@@ -888,6 +3133,79 @@ class NetworkDetector {
   }
 }
 
+/**
+ * LatencySketch: 固定对数分桶的流式分位数草图，分位数相对误差不超过 accuracy
+ * 桶 i 覆盖 (γ^(i-1), γ^i] 毫秒，γ = (1 + accuracy) / (1 - accuracy)；计数按 halfLifeH 半衰期衰减，使分位数跟随近期表现
+ * 桶数超过 maxBuckets 时合并最低的桶 (只损失低分位数的精度)
+ * 草图为普通对象 { a: accuracy, b: { 桶号: 计数 }, n: 总计数, t: 更新时间 }，随节点统计一起持久化
+ */
+class LatencySketch {
+  static create(accuracy = 0.02) {
+    return { a: accuracy, b: {}, n: 0, t: 0 };
+  }
+
+  static add(sketch, value, now = Date.now(), { halfLifeH = 24, maxBuckets = 128 } = {}) {
+    if (!Number.isFinite(value)) return sketch;
+    if (sketch.t && now > sketch.t && halfLifeH > 0) {
+      const f = Math.pow(0.5, (now - sketch.t) / (halfLifeH * 3600000));
+      if (f < 0.999) {
+        for (const [k, c] of Object.entries(sketch.b)) {
+          const v = Math.round(c * f * 1e4) / 1e4;
+          if (v > 0) sketch.b[k] = v;
+          else delete sketch.b[k];
+        }
+        sketch.n *= f;
+      }
+    }
+    const key = LatencySketch._index(sketch.a, value);
+    sketch.b[key] = (sketch.b[key] || 0) + 1;
+    sketch.n += 1;
+    sketch.t = Math.max(sketch.t, now);
+
+    const keys = Object.keys(sketch.b).map(Number).sort((x, y) => x - y);
+    if (keys.length > maxBuckets) {
+      const target = keys[keys.length - maxBuckets];
+      for (const k of keys.slice(0, keys.length - maxBuckets)) {
+        sketch.b[target] += sketch.b[k];
+        delete sketch.b[k];
+      }
+    }
+    return sketch;
+  }
+
+  /** 由历史样本 [{ v, t }] 重建草图 (统计中尚无草图时使用) */
+  static fromHistory(history, accuracy, opts) {
+    const sketch = LatencySketch.create(accuracy);
+    for (const h of history || []) LatencySketch.add(sketch, h.v, h.t, opts);
+    return sketch;
+  }
+
+  /** q 分位数 (0-1) 的估计值，空草图为 null */
+  static quantile(sketch, q) {
+    if (!sketch?.n) return null;
+    const keys = Object.keys(sketch.b).map(Number).sort((x, y) => x - y);
+    const rank = Utils.clamp(q, 0, 1) * sketch.n;
+    let seen = 0;
+    for (const k of keys) {
+      seen += sketch.b[k];
+      if (seen >= rank) return LatencySketch._value(sketch.a, k);
+    }
+    return LatencySketch._value(sketch.a, keys[keys.length - 1]);
+  }
+
+  static _gamma(accuracy) { return (1 + accuracy) / (1 - accuracy); }
+
+  static _index(accuracy, value) {
+    return Math.max(0, Math.ceil(Math.log(Math.max(value, 1)) / Math.log(LatencySketch._gamma(accuracy))));
+  }
+
+  /** 桶的代表值，与桶内任意值的相对误差不超过 accuracy */
+  static _value(accuracy, index) {
+    const gamma = LatencySketch._gamma(accuracy);
+    return index <= 0 ? 1 : 2 * Math.pow(gamma, index) / (gamma + 1);
+  }
+}
+
 /** 
  * NodeStatsManager: 持久化存储与节点历史分析
  */
@@ -895,13 +3213,22 @@ class NodeStatsManager {
   _cache;
   _prefix = "node_stats:";
   _historyLimit = 100;
+  _fileMtime = 0;
+  _manualLimit = 200;
+
+  static MANUAL_KEY = "manual_selects";
+  // 统计文件格式版本：1 为 { schema, savedAt, data: { 条目 } }，0 为采集脚本早期直接输出的条目对象
+  static FILE_SCHEMA = 1;
+  static FILE_MIGRATIONS = { 0: (entries) => entries };
 
   constructor(cache) {
     this._cache = cache;
   }
 
-  getStats(nodeId) {
-    const defaultStats = {
+  get cache() { return this._cache; }
+
+  static emptyStats() {
+    return {
       latencyHistory: [],
       lossHistory: [],
       jitterHistory: [],
@@ -912,9 +3239,75 @@ class NodeStatsManager {
       failCount: 0,
       isolatedUntil: 0,
       switchHistory: [],
-      threatScore: 0
+      threatScore: 0,
+      hourly: {},
+      latencySketch: null
     };
-    return this._cache.get(this._prefix + nodeId) || defaultStats;
+  }
+
+  /** 一周中的小时序号 (本地时间，周日 0 时为 0) */
+  static hourOfWeek(ts = Date.now()) {
+    const d = new Date(ts);
+    return d.getDay() * 24 + d.getHours();
+  }
+
+  /** 节点统计；指定 at 时返回截至该时刻的视图 (见 statsAt) */
+  getStats(nodeId, at = null) {
+    const stats = this._cache.get(this._prefix + nodeId) || NodeStatsManager.emptyStats();
+    return at == null ? stats : NodeStatsManager.statsAt(stats, at);
+  }
+
+  /** 截至 at 的统计副本：各历史只保留 t <= at 的记录，延迟草图改由截取后的历史重建，时段桶无法回溯而置空 */
+  static statsAt(stats, at) {
+    const upTo = (list) => (list || []).filter(x => (x?.t ?? x) <= at);
+    const view = { ...stats, hourly: {}, latencySketch: null, switchHistory: upTo(stats.switchHistory) };
+    for (const key of ["latencyHistory", "lossHistory", "jitterHistory", "availabilityHistory", "bandwidthHistory"]) view[key] = upTo(stats[key]);
+    view.sceneStats = Object.fromEntries(Object.entries(stats.sceneStats || {}).map(([scene, list]) => [scene, upTo(list)]));
+    return view;
+  }
+
+  /**
+   * 加载采集脚本写出的统计文件 (仅 Node 环境)，文件未变化时跳过
+   * @returns {number} 导入的节点数
+   */
+  loadFile(file) {
+    if (!file || !Env.isNode) return 0;
+    try {
+      const fs = require("fs");
+      if (!fs.existsSync(file)) return 0;
+      const mtime = fs.statSync(file).mtimeMs;
+      if (mtime === this._fileMtime) return 0;
+      this._fileMtime = mtime;
+      const count = this.import(JSON.parse(fs.readFileSync(file, "utf8")));
+      Logger.info("NodeStats", `已从 ${file} 导入 ${count} 个节点的统计`);
+      return count;
+    } catch (e) {
+      Logger.warn("NodeStats", `统计文件读取失败: ${e.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * 导入 { "node_stats:<节点名>": { value, ttl, timestamp } } (与持久化缓存条目格式相同)，也接受带 schema 的统计文件；
+   * 过期条目跳过，缓存中已有更新的记录时保留缓存，文件版本高于 FILE_SCHEMA 时抛出 InvalidRequestError
+   */
+  import(entries) {
+    if (!entries || typeof entries !== "object") throw new InvalidRequestError("NodeStats: 统计数据应为对象");
+    ({ data: entries } = VersionedStore.upgrade(entries, NodeStatsManager.FILE_SCHEMA, NodeStatsManager.FILE_MIGRATIONS));
+    const now = Date.now();
+    let count = 0;
+    const manual = entries[NodeStatsManager.MANUAL_KEY]?.value;
+    // 导入的数据以统计文件为准，只放入内存缓存，不写入持久化文档 (不占用 storage.maxBytes)
+    if (Array.isArray(manual)) manual.forEach(e => this.recordManualSelect(e, false));
+    for (const [key, entry] of Object.entries(entries)) {
+      if (!key.startsWith(this._prefix) || !entry?.value || typeof entry.value !== "object") continue;
+      const remaining = Number(entry.ttl) - (now - Number(entry.timestamp));
+      if (!(remaining > 0)) continue;
+      if ((this._cache.get(key)?.lastUpdate ?? -1) >= (entry.value.lastUpdate ?? 0)) continue;
+      this._cache.set(key, { ...NodeStatsManager.emptyStats(), ...entry.value }, remaining, false);
+      count++;
+    }
+    return count;
   }
 
   updateStats(nodeId, data, scene = "browsing") {
@@ -932,6 +3325,9 @@ class NodeStatsManager {
         const jitter = Math.abs(data.latency - stats.latencyHistory[stats.latencyHistory.length - 2].v);
         updateHistory(stats.jitterHistory, jitter);
       }
+      const opts = Config.aiOptions?.percentiles || {};
+      stats.latencySketch ??= LatencySketch.fromHistory(stats.latencyHistory.slice(0, -1), opts.accuracy, opts);
+      LatencySketch.add(stats.latencySketch, data.latency, now, opts);
     }
     
     if (data.loss !== undefined) updateHistory(stats.lossHistory, data.loss);
@@ -957,10 +3353,93 @@ class NodeStatsManager {
     if (data.latency > 5000 || data.loss > 0.5) stats.threatScore += 5;
     else stats.threatScore = Math.max(0, stats.threatScore - 1);
 
+    this._updateHourly(stats, data, now);
     stats.lastUpdate = now;
     this._cache.set(this._prefix + nodeId, stats, 8.64e7 * 7);
   }
 
+  /** 小时桶 { l: 延迟 EWMA, p: 丢包 EWMA, n: 样本数, t: 更新时间 }；平滑系数随桶的陈旧程度增大，旧值衰减 */
+  _updateHourly(stats, data, now) {
+    const opts = Config.aiOptions?.timeOfDay;
+    if (!opts?.enable || (data.latency === undefined && data.loss === undefined)) return;
+    stats.hourly ??= {};
+    const key = NodeStatsManager.hourOfWeek(now);
+    const bucket = stats.hourly[key];
+    if (!bucket) {
+      stats.hourly[key] = { l: data.latency ?? null, p: data.loss ?? null, n: 1, t: now };
+      return;
+    }
+    const decay = Math.pow(0.5, (now - bucket.t) / ((opts.halfLifeDays || 14) * 8.64e7));
+    const a = 1 - (1 - (opts.alpha ?? 0.3)) * decay;
+    const mix = (prev, v) => v === undefined ? prev : prev == null ? v : a * v + (1 - a) * prev;
+    Object.assign(bucket, { l: mix(bucket.l, data.latency), p: mix(bucket.p, data.loss), n: bucket.n + 1, t: now });
+  }
+
+  /**
+   * 延迟分位数：取节点统计中的草图，没有草图的旧统计 (如早期采集脚本的输出) 由延迟历史重建
+   * @returns {{ p50: number|null, p95: number|null, p99: number|null, tail: number|null, samples: number }} tail 为 P99 - P50
+   */
+  latencyQuantiles(nodeId, at = null) {
+    const opts = Config.aiOptions?.percentiles || {};
+    const stats = this.getStats(nodeId, at);
+    const sketch = stats.latencySketch?.n ? stats.latencySketch : LatencySketch.fromHistory(stats.latencyHistory, opts.accuracy, opts);
+    const [p50, p95, p99] = [0.5, 0.95, 0.99].map(q => LatencySketch.quantile(sketch, q));
+    return { p50, p95, p99, tail: p50 === null ? null : p99 - p50, samples: sketch.n };
+  }
+
+  /**
+   * 时段估计：当前小时与下一小时的桶按 nextHourWeight 加权，单桶置信度 = min(1, n / minSamples) × 半衰期衰减
+   * @returns {{ latency: number|null, loss: number|null, confidence: number, buckets: number[] } | null} 无可用桶时为 null
+   */
+  hourlyEstimate(nodeId, ts = Date.now()) {
+    const opts = Config.aiOptions?.timeOfDay;
+    if (!opts?.enable) return null;
+    const hourly = this.getStats(nodeId).hourly || {};
+    const hour = NodeStatsManager.hourOfWeek(ts), next = (hour + 1) % 168;
+    const nextWeight = Utils.clamp(opts.nextHourWeight ?? 0.4, 0, 1);
+    const sums = { l: [0, 0], p: [0, 0] };
+    let confidence = 0;
+    for (const [key, share] of [[hour, 1 - nextWeight], [next, nextWeight]]) {
+      const b = hourly[key];
+      if (!b || !share) continue;
+      const conf = share * Math.min(1, b.n / (opts.minSamples || 3)) * Math.pow(0.5, (ts - b.t) / ((opts.halfLifeDays || 14) * 8.64e7));
+      confidence += conf;
+      for (const k of ["l", "p"]) {
+        if (b[k] == null) continue;
+        sums[k][0] += b[k] * conf;
+        sums[k][1] += conf;
+      }
+    }
+    if (!confidence) return null;
+    const avg = ([v, w]) => w ? v / w : null;
+    return { latency: avg(sums.l), loss: avg(sums.p), confidence, buckets: [hour, next] };
+  }
+
+  /**
+   * 记录手动切换：{ group, chosen, rejected, scene, t }，rejected 为切换前自动选中的节点
+   * 同一组同一时间的重复事件忽略 (统计文件会被反复导入)；persist 为 false 时不写入持久化文档
+   */
+  recordManualSelect(event, persist = true) {
+    if (!event || typeof event.chosen !== "string" || !event.chosen) return false;
+    const events = this.manualSelects();
+    const e = {
+      group: event.group ?? null,
+      chosen: event.chosen,
+      rejected: typeof event.rejected === "string" ? event.rejected : null,
+      scene: event.scene ?? null,
+      t: Number(event.t) || Date.now()
+    };
+    if (events.some(x => x.t === e.t && x.group === e.group && x.chosen === e.chosen)) return false;
+    events.push(e);
+    events.sort((a, b) => a.t - b.t);
+    this._cache.set(NodeStatsManager.MANUAL_KEY, events.slice(-this._manualLimit), 8.64e7 * 30, persist);
+    return true;
+  }
+
+  manualSelects(since = 0) {
+    return (this._cache.get(NodeStatsManager.MANUAL_KEY) || []).filter(e => e.t > since);
+  }
+
   recordSwitch(nodeId) {
     const stats = this.getStats(nodeId);
     const now = Date.now();
@@ -991,10 +3470,28 @@ class NodeStatsManager {
  * AIEngine: 评分体系与趋势分析
  */
 class AIEngine {
+  // 评分分量: [名称, 分量字段, 权重字段]
+  static COMPONENTS = [
+    ["latency", "sLatency", "latencyWeight"],
+    ["loss", "sLoss", "stabilityWeight"],
+    ["jitter", "sJitter", "jitterWeight"],
+    ["bandwidth", "sBandwidth", "bandwidthWeight"],
+    ["uptime", "sUptime", "uptimeWeight"],
+    ["class", "sClass", "classWeight"],
+    ["tail", "sTail", "tailWeight"]
+  ];
+  static LATENCY_METRICS = ["ewma", "p50", "p95", "p99"];
+  static SELECTION_MODES = ["tiers", "ucb1", "thompson"];
+  static LEARNED_KEY = "ai:learned_weights";
+
   _stats;
   _weights;
   _networkState = "stable";
   _currentScene = "browsing";
+  _nodeClasses = new Map();
+  _lastStatus = new Map();
+  _random = Math.random;
+  _warnedMetric = false;
 
   constructor(statsManager) {
     this._stats = statsManager;
@@ -1010,6 +3507,21 @@ class AIEngine {
     return average;
   }
 
+  /** 记录节点网络类型 (NodeClassifier.classify 的结果)，供 classScore 使用 */
+  setNodeClass(nodeId, cls) {
+    if (cls) this._nodeClasses.set(nodeId, cls);
+    else this._nodeClasses.delete(nodeId);
+  }
+
+  /** 场景 (默认当前场景) 下节点网络类型的亲和度 (0-100)，未知类型取 50 */
+  classScore(nodeId, scene = this._currentScene) {
+    const cls = this._nodeClasses.get(nodeId);
+    const affinity = Config.aiOptions?.classAffinity || {};
+    const table = affinity[scene] || affinity.default || {};
+    const base = table[cls?.type] ?? 50;
+    return cls?.transit && table.transit != null ? Math.max(base, table.transit) : base;
+  }
+
   setScene(scene) {
     if (Config.aiOptions?.scenes?.[scene]) {
       this._currentScene = scene;
@@ -1033,11 +3545,15 @@ class AIEngine {
   }
 
   getDynamicWeights() {
-    let w = { ...this._weights };
+    return this.explainWeights().final;
+  }
+
+  /** 权重来源：基础权重 (全局或场景覆盖) → 网络状态补偿 → 归一化 */
+  explainWeights() {
     const sceneConfig = Config.aiOptions?.scenes?.[this._currentScene];
-    if (sceneConfig) {
-      w = { ...sceneConfig, uptimeWeight: sceneConfig.uptimeWeight ?? 0.1 };
-    }
+    const learned = this._learningActive() ? this._learnedStore()[this._currentScene] : null;
+    let w = learned?.weights ? { ...learned.weights } : this.sceneBaseWeights(this._currentScene);
+    const base = { ...w };
 
     // 网络状态动态补偿
     const compensations = {
@@ -1053,26 +3569,179 @@ class AIEngine {
 
     const sum = Object.values(w).reduce((a, b) => a + b, 0);
     if (sum > 0) Object.keys(w).forEach(k => w[k] /= sum);
-    return w;
+    return {
+      scene: sceneConfig ? this._currentScene : null,
+      networkState: this._networkState,
+      learned: learned?.weights ? { updates: learned.updates } : null,
+      base, compensation: { ...comp }, final: w
+    };
   }
 
-  calculateScore(nodeId, allNodeStats = []) {
-    const stats = this._stats.getStats(nodeId);
+  /** 场景的初始权重 (未配置场景时为全局 scoring)，权重学习以此为基准与边界中心 */
+  sceneBaseWeights(scene) {
+    const sceneConfig = Config.aiOptions?.scenes?.[scene];
+    return sceneConfig ? { ...sceneConfig, uptimeWeight: sceneConfig.uptimeWeight ?? 0.1 } : { ...this._weights };
+  }
+
+  _learningActive() {
+    const opts = Config.aiOptions?.learning;
+    return !!opts?.enable && !opts.reset;
+  }
+
+  /** 已学习权重：{ [scene]: { weights, updates, processedUntil } }，与节点统计共用持久化缓存 */
+  _learnedStore() {
+    return this._stats.cache.get(AIEngine.LEARNED_KEY) || {};
+  }
+
+  /**
+   * 成对排序学习：对每个未处理的手动切换，按切换时刻之前的统计计算双方分量得分，
+   * 若当前权重下 chosen 的总分未高出 rejected 至少 margin，则沿分量得分差 (chosen - rejected) 方向更新该场景权重，
+   * 再投影到 "和为 1 且位于初始权重 ± maxDeviation 内" 的区域
+   * @returns {number} 本次更新次数
+   */
+  learnFromManualSelects() {
+    const opts = Config.aiOptions?.learning;
+    if (opts?.reset) {
+      this.resetLearnedWeights();
+      return 0;
+    }
+    if (!opts?.enable) return 0;
+    const store = this._learnedStore();
+    const rate = opts.rate ?? 0.05, margin = opts.margin ?? 2, dev = opts.maxDeviation ?? 0.15;
+    const normalize = (w) => {
+      const sum = Object.values(w).reduce((a, b) => a + b, 0);
+      if (sum > 0) Object.keys(w).forEach(k => w[k] /= sum);
+      return w;
+    };
+    const since = Object.fromEntries(Object.entries(store).map(([scene, rec]) => [scene, rec.processedUntil]));
+    let updated = 0;
+
+    for (const e of this._stats.manualSelects()) {
+      const scene = Config.aiOptions?.scenes?.[e.scene] ? e.scene : this._currentScene;
+      const rec = store[scene] ??= { weights: null, updates: 0, processedUntil: 0 };
+      if (e.t <= (since[scene] ?? 0)) continue;
+      rec.processedUntil = Math.max(rec.processedUntil, e.t);
+      if (!e.rejected || e.rejected === e.chosen) continue;
+
+      const base = normalize(this.sceneBaseWeights(scene));
+      const w = rec.weights ? { ...rec.weights } : { ...base };
+      const chosenAt = this.componentScores(e.chosen, [], scene, e.t), rejectedAt = this.componentScores(e.rejected, [], scene, e.t);
+      // 切换时刻之前没有测速记录 (如历史已被截短) 的事件无法比较
+      if (!chosenAt.stats.latencyHistory.length || !rejectedAt.stats.latencyHistory.length) continue;
+      const chosen = chosenAt.scores, rejected = rejectedAt.scores;
+      const total = (x) => AIEngine.COMPONENTS.reduce((sum, [, key, wk]) => sum + x[key] * (w[wk] || 0), 0);
+      if (total(chosen) - total(rejected) >= margin) continue;
+
+      for (const [, key, wk] of AIEngine.COMPONENTS) w[wk] = (w[wk] || 0) + rate * (chosen[key] - rejected[key]) / 100;
+      rec.weights = AIEngine.projectWeights(w, base, dev);
+      rec.updates++;
+      updated++;
+    }
+
+    this._stats.cache.set(AIEngine.LEARNED_KEY, store, 8.64e7 * 30);
+    if (updated) {
+      Logger.info("AI.Learning", `根据手动切换修正权重 ${updated} 次`);
+      this._exportLearned(opts.exportFile);
+    }
+    return updated;
+  }
+
+  /**
+   * 将权重投影到 { Σw = 1, max(0, base - dev) ≤ w ≤ base + dev }：二分求 τ 使 Σ clamp(w - τ) = 1，
+   * 与先截断再归一化不同，结果不会越出边界 (base 已归一化，区域非空)
+   */
+  static projectWeights(w, base, dev) {
+    const keys = Object.keys(base);
+    const lo = (k) => Math.max(0, base[k] - dev), hi = (k) => base[k] + dev;
+    const at = (tau) => Object.fromEntries(keys.map(k => [k, Utils.clamp((w[k] || 0) - tau, lo(k), hi(k))]));
+    const sum = (x) => keys.reduce((a, k) => a + x[k], 0);
+    let left = Math.min(...keys.map(k => (w[k] || 0) - hi(k))), right = Math.max(...keys.map(k => (w[k] || 0) - lo(k)));
+    for (let i = 0; i < 60; i++) {
+      const mid = (left + right) / 2;
+      if (sum(at(mid)) > 1) left = mid; else right = mid;
+    }
+    return at((left + right) / 2);
+  }
+
+  /** 清空已学习的权重，指定 scene 时只清空该场景 */
+  resetLearnedWeights(scene = null) {
+    const store = scene ? this._learnedStore() : {};
+    if (scene) delete store[scene];
+    this._stats.cache.set(AIEngine.LEARNED_KEY, store, 8.64e7 * 30);
+    Logger.info("AI.Learning", `已重置${scene ? `场景 ${scene} 的` : "全部"}学习权重`);
+  }
+
+  /** 导出已学习的权重：{ [scene]: { weights, base, updates, processedUntil } } */
+  exportLearnedWeights() {
+    return Object.fromEntries(Object.entries(this._learnedStore())
+      .filter(([, rec]) => rec.weights)
+      .map(([scene, rec]) => [scene, { ...rec, weights: { ...rec.weights }, base: this.sceneBaseWeights(scene) }]));
+  }
+
+  _exportLearned(file) {
+    if (!file || !Env.isNode) return;
+    try {
+      FileBackend.atomicWrite(file, JSON.stringify(this.exportLearnedWeights(), null, 2));
+    } catch (e) {
+      Logger.warn("AI.Learning", `学习权重导出失败: ${e.message}`);
+    }
+  }
+
+  /**
+   * 延迟分量采用的统计量：aiOptions.percentiles.latency (可按场景) 指定 ewma / p50 / p95 / p99，
+   * 草图样本不足 minSamples 时退回 EWMA，尾部离散度 tail 记为 null
+   * @returns {{ metric: string, value: number|null, ewma: number|null, p50: number|null, p95: number|null, p99: number|null, tail: number|null, samples: number }}
+   */
+  latencyProfile(nodeId, scene = this._currentScene, at = null) {
+    const opts = Config.aiOptions?.percentiles || {};
+    const choice = opts.latency && typeof opts.latency === "object" ? opts.latency[scene] ?? opts.latency.default : opts.latency;
+    if (choice && !AIEngine.LATENCY_METRICS.includes(choice) && !this._warnedMetric) {
+      this._warnedMetric = true;
+      Logger.warn("AI.Percentiles", `未知的延迟统计量 ${choice}，使用 ewma (可选: ${AIEngine.LATENCY_METRICS.join(" / ")})`);
+    }
+    const ewma = this.ewma(this._stats.getStats(nodeId, at).latencyHistory, Config.aiOptions?.evaluation?.ewmaAlpha ?? 0.3);
+    const quantiles = this._stats.latencyQuantiles(nodeId, at);
+    const enough = quantiles.samples >= (opts.minSamples ?? 10);
+    const metric = enough && AIEngine.LATENCY_METRICS.includes(choice) ? choice : "ewma";
+    return { metric, value: metric === "ewma" ? ewma : quantiles[metric], ewma, ...quantiles, tail: enough ? quantiles.tail : null };
+  }
+
+  /**
+   * 评分分量 (0-100)：延迟按 latencyProfile 取 EWMA 或分位数，其余指标经 EWMA，再混入时段模型；
+   * 延迟 / 丢包 / 抖动 / 尾部离散度相对基准 (样本超过 5 个时取 P80) 折算；
+   * 指定 at 时只使用该时刻之前的历史，不混入时段模型
+   * @returns {{ stats, metrics, scores, bases, baseSource: string, timeOfDay: object|null, latency: object }}
+   */
+  componentScores(nodeId, allNodeStats = [], scene = this._currentScene, at = null) {
+    const stats = this._stats.getStats(nodeId, at);
     const alpha = Config.aiOptions?.evaluation?.ewmaAlpha ?? 0.3;
-    
+    const latency = this.latencyProfile(nodeId, scene, at);
+
     const metrics = {
-      latency: this.ewma(stats.latencyHistory, alpha) ?? 1500,
+      latency: latency.value ?? 1500,
       loss: this.ewma(stats.lossHistory, alpha) ?? 0.5,
       jitter: this.ewma(stats.jitterHistory, alpha) ?? 500,
       bandwidth: this.ewma(stats.bandwidthHistory, alpha) ?? 1,
       uptime: stats.availabilityHistory.length > 0 
         ? stats.availabilityHistory.reduce((a, b) => a + b.v, 0) / stats.availabilityHistory.length 
-        : 0.5
+        : 0.5,
+      tail: latency.tail ?? 1000
     };
 
+    // 时段模型：按置信度把当前与下一小时的历史表现混入整体指标，晚高峰构建时提前避开高峰期表现差的节点
+    let timeOfDay = null;
+    const hourly = at == null ? this._stats.hourlyEstimate(nodeId) : null;
+    if (hourly) {
+      const k = Utils.clamp(Config.aiOptions?.timeOfDay?.blend ?? 0.6, 0, 1) * hourly.confidence;
+      timeOfDay = { ...hourly, blend: k, overall: { latency: metrics.latency, loss: metrics.loss } };
+      if (hourly.latency != null) metrics.latency = (1 - k) * metrics.latency + k * hourly.latency;
+      if (hourly.loss != null) metrics.loss = (1 - k) * metrics.loss + k * hourly.loss;
+    }
+
     // 动态基准计算
-    let bases = { latency: 1500, loss: 0.1, jitter: 500 };
+    let bases = { latency: 1500, loss: 0.1, jitter: 500, tail: 1000 }, baseSource = "default";
     if (allNodeStats.length > 5) {
+      baseSource = "p80";
       const sorted = (key) => allNodeStats.map(s => s[key] || 0).sort((a, b) => a - b);
       const getP80 = (key) => {
         const arr = sorted(key);
@@ -1081,7 +3750,8 @@ class AIEngine {
       bases = {
         latency: Math.max(getP80("latency"), 300),
         loss: Math.max(getP80("loss"), 0.02),
-        jitter: Math.max(getP80("jitter"), 50)
+        jitter: Math.max(getP80("jitter"), 50),
+        tail: Math.max(getP80("tail"), 100)
       };
     }
 
@@ -1090,28 +3760,41 @@ class AIEngine {
       sLoss: Math.max(0, 100 * (1 - metrics.loss / bases.loss)),
       sJitter: Math.max(0, 100 * (1 - metrics.jitter / bases.jitter)),
       sBandwidth: Math.min(100, (metrics.bandwidth / 50) * 100),
-      sUptime: metrics.uptime * 100
+      sUptime: metrics.uptime * 100,
+      sClass: this.classScore(nodeId, scene),
+      sTail: Math.max(0, 100 * (1 - metrics.tail / bases.tail))
     };
+    return { stats, metrics, scores, bases, baseSource, timeOfDay, latency };
+  }
 
-    const w = this.getDynamicWeights();
-    const totalScore = (scores.sLatency * (w.latencyWeight || 0)) + 
-                       (scores.sBandwidth * (w.bandwidthWeight || 0)) + 
-                       (scores.sLoss * (w.stabilityWeight || 0)) + 
-                       (scores.sJitter * (w.jitterWeight || 0)) +
-                       (scores.sUptime * (w.uptimeWeight || 0));
+  calculateScore(nodeId, allNodeStats = []) {
+    const { stats, metrics, scores, bases, baseSource, timeOfDay, latency } = this.componentScores(nodeId, allNodeStats);
+    const weights = this.explainWeights(), w = weights.final;
+    const components = {};
+    let totalScore = 0;
+    for (const [name, key, weightKey] of AIEngine.COMPONENTS) {
+      const contribution = scores[key] * (w[weightKey] || 0);
+      components[name] = { value: name === "class" ? this._nodeClasses.get(nodeId)?.type ?? "unknown" : metrics[name], score: scores[key], weight: w[weightKey] || 0, contribution };
+      totalScore += contribution;
+    }
 
     let status = "normal", reason = "Baseline";
-    const failureRisk = this.predictFailure(stats);
+    const changePoint = this.detectChange(stats);
+    const failureRisk = this.predictFailure(stats, changePoint);
+    const shifts = Object.entries(changePoint)
+      .filter(([, c]) => c?.detected)
+      .map(([key, c]) => key === "latency" ? `latency +${Math.round(c.shift)}ms` : `loss +${c.shift.toFixed(3)}`)
+      .join(", ");
     
     if (stats.threatScore > 0.7) {
       status = "blocked";
       reason = "Security Threat";
     } else if (failureRisk > 0.8) {
       status = "isolated";
-      reason = "High Failure Risk";
+      reason = `High Failure Risk (${shifts})`;
     } else if (failureRisk > 0.4) {
       status = "observation";
-      reason = "Degrading Performance";
+      reason = `Degrading Performance (${shifts})`;
     } else if (totalScore >= 85 && metrics.loss < 0.01) {
       status = "premium";
       reason = "Excellent";
@@ -1119,6 +3802,7 @@ class AIEngine {
       status = "inferior";
       reason = "Poor Performance";
     }
+    const tier = status;
 
     const now = Date.now();
     if (stats.lockedUntil > now) {
@@ -1134,24 +3818,81 @@ class AIEngine {
       }
     }
 
-    return { score: Math.round(totalScore), status, reason, data: metrics };
+    const previous = this._lastStatus.get(nodeId) ?? null;
+    this._lastStatus.set(nodeId, status);
+    return {
+      score: Math.round(totalScore), status, reason, data: metrics,
+      explain: {
+        components,
+        weights,
+        baselines: { ...bases, source: baseSource, samples: allNodeStats.length },
+        latency,
+        failureRisk,
+        changePoint,
+        timeOfDay,
+        transition: { from: previous, tier, to: status, reason }
+      }
+    };
   }
 
-  predictFailure(stats) {
-    if (stats.latencyHistory.length < 5) return 0;
-    const latencies = stats.latencyHistory.slice(-5).map(h => h.v);
-    const losses = stats.lossHistory.slice(-5).map(h => h.v);
-    
-    // 趋势分析
-    let score = 0;
-    const trend = latencies.reduce((acc, curr, i, arr) => i > 0 ? acc + (curr > arr[i-1] ? 1 : -0.5) : 0, 0);
-    score += (trend / 4) * 0.4;
-    
-    // 突发性分析
-    const avgLoss = losses.reduce((a, b) => a + b, 0) / losses.length;
-    score += (avgLoss / 0.2) * 0.6;
-    
-    return Utils.clamp(score, 0, 1);
+  /**
+   * 故障风险 (0-1)：未检出变点时按 CUSUM 统计量接近阈值的程度给出不超过 0.35 的风险；
+   * 检出时从 0.45 起按偏移幅度 (延迟按相对基线比例，丢包按绝对值 / 0.2) 增至 0.95
+   */
+  predictFailure(stats, change = this.detectChange(stats)) {
+    const threshold = Config.aiOptions?.changePoint?.threshold || 5;
+    let risk = 0;
+    for (const [key, c] of Object.entries(change)) {
+      if (!c) continue;
+      if (!c.detected) {
+        risk = Math.max(risk, 0.35 * Utils.clamp(c.statistic / threshold, 0, 1));
+        continue;
+      }
+      const severity = key === "latency" ? c.relative : c.shift / 0.2;
+      risk = Math.max(risk, 0.45 + 0.5 * Utils.clamp(severity, 0, 1));
+    }
+    return risk;
+  }
+
+  /** 对延迟与丢包历史分别做变点检测，样本不足的指标为 null */
+  detectChange(stats) {
+    return { latency: this._cusum(stats.latencyHistory, "latency"), loss: this._cusum(stats.lossHistory, "loss") };
+  }
+
+  /**
+   * 单侧 CUSUM：S_t = max(0, S_t-1 + (x_t - μ0) / σ0 - drift)，μ0 / σ0 取最早 warmup 个样本
+   * 结束时 S 仍超过阈值且偏移达到 minShift 才判定劣化；起点为 S 最后一次归零之后的样本
+   * S 上限为 2 × threshold，节点恢复后约 2 × threshold / drift 个样本内解除
+   * @returns {{ detected: boolean, statistic: number, baseline: number, shift: number, relative: number, start: number|null, samples: number } | null}
+   */
+  _cusum(history, key) {
+    const opts = Config.aiOptions?.changePoint || {};
+    const warmup = opts.warmup || 10, drift = opts.drift ?? 0.5, threshold = opts.threshold || 5;
+    const minShift = opts.minShift?.[key] ?? (key === "latency" ? 50 : 0.02);
+    if (history.length < warmup + 3) return null;
+
+    const values = history.map(h => h.v);
+    const base = values.slice(0, warmup);
+    const mean = base.reduce((a, b) => a + b, 0) / warmup;
+    const std = Math.sqrt(base.reduce((a, b) => a + (b - mean) ** 2, 0) / warmup);
+    const sigma = Math.max(std, minShift / 2);
+
+    let S = 0, start = warmup;
+    for (let i = warmup; i < values.length; i++) {
+      S = Utils.clamp(S + (values[i] - mean) / sigma - drift, 0, threshold * 2);
+      if (S === 0) start = i + 1;
+    }
+    const tail = values.slice(start);
+    const shift = tail.length ? tail.reduce((a, b) => a + b, 0) / tail.length - mean : 0;
+    return {
+      detected: S > threshold && shift >= minShift,
+      statistic: S,
+      baseline: mean,
+      shift,
+      relative: mean > 0 ? shift / mean : 0,
+      start: tail.length ? history[start].t : null,
+      samples: tail.length
+    };
   }
 
   performSelfCheck(nodeIds) {
@@ -1174,7 +3915,18 @@ class AIEngine {
   }
 
   getBestNodes(nodeIds, minCount = 1, allNodeStats = [], currentNodeId = null) {
+    return this.rankNodes(nodeIds, minCount, allNodeStats, currentNodeId).selected;
+  }
+
+  /**
+   * 评分并分档挑选节点，同时返回全部节点的排名 (含 explain) 供报告使用
+   * @returns {{ selected: object[], ranking: object[], sticky: string|null }}
+   */
+  rankNodes(nodeIds, minCount = 1, allNodeStats = [], currentNodeId = null) {
     const scored = nodeIds.map(id => ({ id, ...this.calculateScore(id, allNodeStats) }));
+    const mode = this.selectionMode();
+    if (mode !== "tiers") return this._banditSelect(scored, mode, currentNodeId);
+    let sticky = null;
     const evalOpts = Config.aiOptions?.evaluation || { baseTolerance: 50 };
     const currentScored = currentNodeId ? scored.find(s => s.id === currentNodeId) : null;
     const sorted = scored.sort((a, b) => b.score - a.score);
@@ -1187,6 +3939,7 @@ class AIEngine {
         if (idx > -1) {
           const [curr] = sorted.splice(idx, 1);
           sorted.unshift(curr);
+          sticky = currentNodeId;
         }
       }
     }
@@ -1201,7 +3954,95 @@ class AIEngine {
       selected = sorted.filter(s => s.status !== "isolated" && s.status !== "inferior");
     }
 
-    return selected;
+    return { selected, ranking: sorted, sticky, mode };
+  }
+
+  selectionMode() {
+    const mode = Config.aiOptions?.selection?.mode ?? "tiers";
+    if (AIEngine.SELECTION_MODES.includes(mode)) return mode;
+    Logger.warn("AI.Selection", `未知挑选模式 ${mode}，回退为 tiers`);
+    return "tiers";
+  }
+
+  /**
+   * 臂统计：每次测速按 latencyTarget 折算为 [0,1] 回报 (2 倍目标延迟时为 0)，可用性失败记为 0 回报
+   * @returns {{ trials: number, reward: number }}
+   */
+  armStats(nodeId) {
+    const stats = this._stats.getStats(nodeId);
+    const target = Config.aiOptions?.selection?.latencyTarget || 300;
+    let reward = 0;
+    for (const { v } of stats.latencyHistory) reward += v <= target ? 1 : Utils.clamp(2 - v / target, 0, 1);
+    const failures = stats.availabilityHistory.filter(h => h.v === 0).length;
+    return { trials: stats.latencyHistory.length + failures, reward };
+  }
+
+  /**
+   * 多臂老虎机挑选：锁定节点优先入选，隔离 / 封禁节点不参与；
+   * 样本不足 evaluation.sampleSize 的节点为探索臂 (均不足时以有样本的节点为已知)，最多占 explorationBudget 比例的名额，其余名额按指数取已知节点
+   */
+  _banditSelect(scored, mode, currentNodeId) {
+    const opts = Config.aiOptions?.selection || {};
+    const slots = Math.max(1, opts.maxSelected || 3);
+    const budget = Utils.clamp(Number(opts.explorationBudget) || 0, 0, 1);
+    const minSamples = Config.aiOptions?.evaluation?.sampleSize || 10;
+
+    const arms = scored.map(s => ({ ...s, arm: this.armStats(s.id) }));
+    const totalTrials = arms.reduce((sum, a) => sum + a.arm.trials, 0);
+    for (const a of arms) {
+      const { trials, reward } = a.arm;
+      const mean = trials ? reward / trials : 0;
+      let index;
+      if (mode === "ucb1") index = trials ? mean + Math.sqrt(2 * Math.log(totalTrials + 1) / trials) : Infinity;
+      else index = this._sampleBeta(1 + reward, 1 + trials - reward);
+      a.explain.bandit = { mode, trials, mean, index, pick: null };
+    }
+
+    const ranking = arms.sort((a, b) => b.explain.bandit.index - a.explain.bandit.index || b.score - a.score);
+    const locked = ranking.filter(a => a.status === "locked");
+    const eligible = ranking.filter(a => a.status !== "locked" && a.status !== "isolated" && a.status !== "blocked");
+    let known = eligible.filter(a => a.arm.trials >= minSamples);
+    if (!known.length) known = eligible.filter(a => a.arm.trials > 0).sort((a, b) => b.explain.bandit.mean - a.explain.bandit.mean);
+    const explorers = eligible.filter(a => !known.includes(a));
+
+    const free = Math.max(0, slots - locked.length);
+    let exploreSlots = known.length ? Math.min(explorers.length, Math.ceil(free * budget)) : Math.min(explorers.length, free);
+    const exploit = known.slice(0, free - exploreSlots);
+    exploreSlots = Math.min(explorers.length, free - exploit.length);
+    const selected = [...locked, ...exploit, ...explorers.slice(0, exploreSlots)];
+    locked.forEach(a => { a.explain.bandit.pick = "locked"; });
+    exploit.forEach(a => { a.explain.bandit.pick = "exploit"; });
+    explorers.slice(0, exploreSlots).forEach(a => { a.explain.bandit.pick = "explore"; });
+
+    // 当前节点仍在已知入选集中时保持首位，避免无谓切换
+    let sticky = null;
+    const idx = selected.findIndex(a => a.id === currentNodeId);
+    if (idx >= locked.length && idx < locked.length + exploit.length) {
+      selected.splice(locked.length, 0, ...selected.splice(idx, 1));
+      sticky = currentNodeId;
+    }
+    Logger.debug("AI.Bandit", `${mode}: 入选 ${selected.length}/${ranking.length}，探索 ${exploreSlots}`);
+    return { selected: selected.map(({ arm, ...rest }) => rest), ranking: ranking.map(({ arm, ...rest }) => rest), sticky, mode, explored: exploreSlots };
+  }
+
+  /** Beta(a, b) 采样：两个 Gamma 变量之比 (Marsaglia-Tsang) */
+  _sampleBeta(a, b) {
+    const gamma = (k) => {
+      if (k < 1) return gamma(k + 1) * Math.pow(this._random(), 1 / k);
+      const d = k - 1 / 3, c = 1 / Math.sqrt(9 * d);
+      for (;;) {
+        let x, v;
+        do {
+          x = Math.sqrt(-2 * Math.log(this._random() || Number.MIN_VALUE)) * Math.cos(2 * Math.PI * this._random());
+          v = 1 + c * x;
+        } while (v <= 0);
+        v = v * v * v;
+        const u = this._random();
+        if (Math.log(u || Number.MIN_VALUE) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+      }
+    };
+    const x = gamma(a), y = gamma(b);
+    return x / (x + y);
   }
 
   checkCooldown(groupName) {
@@ -1228,10 +4069,17 @@ class AIEngine {
 
 /* ============== 区域管理与映射 (Mihomo 原生优化版) ============== */
 class RegionAutoManager {
+  static GROUP_TYPES = ["url-test", "fallback", "load-balance", "select"];
+  static LB_STRATEGIES = ["consistent-hashing", "round-robin", "sticky-sessions"];
+
   _cache;
   _geoService;
   _stats;
   _ai;
+  _scoreReport = null;
+  // 区域发现的逐节点结果 (节点名 → 地区名 / 网络类型)，不写回节点对象，避免出现在生成的配置中
+  _geoMatches = new Map();
+  _nodeClasses = new Map();
 
   constructor(httpClient, cache) { 
     this._cache = cache || new LRUCache();
@@ -1250,28 +4098,45 @@ class RegionAutoManager {
   
   get geoService() { return this._geoService; }
 
+  /** 最近一次 buildRegionGroups 的逐地区评分明细与组决策，AI 未启用时为 null */
+  get scoreReport() { return this._scoreReport; }
+
+  /** 最近一次区域发现中 GeoIP 命中与回退到名称匹配的节点 */
+  get geoReport() { return this._geoReport; }
+
   discoverRegionsFromProxies(proxies) {
     const found = new Map(), regions = Config.regionOptions?.regions || [];
     const proxyList = Array.isArray(proxies) ? proxies : [];
+    const geoIpGrouping = !!Config.regionOptions?.geoIpGrouping;
+    const report = { geoip: [], fallback: [] };
+    const geoResults = geoIpGrouping ? this._geoService.lookupBatch(proxyList) : new Map();
+    const geoMatches = this._geoMatches = new Map();
+    this._nodeClasses = new Map();
+
+    // 网络类型识别：ASN 来自离线 ASN 库或外部数据源，缺失时仅依据名称
+    if (Config.nodeClassOptions?.enable) {
+      proxyList.forEach(p => {
+        if (!p?.name) return;
+        this._nodeClasses.set(p.name, NodeClassifier.classify({ ...geoResults.get(this._geoService.addressOf(p)), name: p.name }));
+      });
+    }
     
     // 如果启用 GeoIP 分组
-    if (Config.regionOptions?.geoIpGrouping) {
-      const geoResults = this._geoService.lookupBatch(proxyList);
+    if (geoIpGrouping) {
       proxyList.forEach(p => {
-        const server = p?.server;
-        const info = geoResults.get(server);
-        if (info) {
+        const info = geoResults.get(this._geoService.addressOf(p));
+        if (info?.code) {
+          report.geoip.push(p.name);
           // 优先匹配预定义的区域配置
           const matched = regions.find(r => r.code === info.code || r.name.includes(info.country));
           if (matched) {
             found.set(matched.name, matched);
-            p._geoMatch = matched.name;
+            geoMatches.set(p.name, matched.name);
           } else {
             // 动态创建未定义区域
-            const name = `${info.code}${info.country}`;
-            const r = { name, code: info.code, regex: new RegExp(info.code, "i"), icon: ICON_VAL(ICONS.WorldMap) };
-            found.set(name, r);
-            p._geoMatch = name;
+            const r = this._autoRegion(info.code, info.country);
+            found.set(r.name, r);
+            geoMatches.set(p.name, r.name);
           }
         }
       });
@@ -1279,27 +4144,80 @@ class RegionAutoManager {
 
     // 原有名称匹配逻辑作为补充/兜底 (如果 GeoIP 未能匹配或未开启)
     proxyList.forEach(p => {
-      if (p._geoMatch) return;
+      if (geoMatches.has(p?.name)) return;
       const n = String(p?.name || "").trim(); if (!n) return;
-      const matched = regions.find(r => r.regex.test(n));
+      // 自定义 regex 优先，其次按词元识别国家/地区，未预设的地区自动创建
+      const code = this._matchCode(n);
+      const matched = regions.find(r => r.regex?.test(n))
+        || (code && (regions.find(r => r.code === code) || found.get(this._autoRegion(code).name) || this._autoRegion(code)));
       if (matched) { 
         found.set(matched.name, matched); 
-        p._geoMatch = matched.name;
-      } else {
-        const hints = n.match(/\b[A-Za-z]{2}\b/g) || [];
-        const extra = { es: "ES西班牙", it: "IT意大利", nl: "NL荷兰", ch: "CH瑞士", se: "SE瑞典", no: "NO挪威" };
-        for (const h of hints) {
-          const k = h.toLowerCase();
-          if (extra[k]) {
-            const r = { name: extra[k], code: k.toUpperCase(), regex: new RegExp(`\\b${k}\\b`, "i"), icon: ICON_VAL(ICONS.WorldMap) };
-            found.set(extra[k], r); p._geoMatch = extra[k]; break;
-          }
-        }
+        geoMatches.set(p.name, matched.name);
       }
+      report.fallback.push({ name: n, server: p.server, reason: this._fallbackReason(p, geoIpGrouping), region: geoMatches.get(p.name) || null });
     });
+
+    this._geoReport = report;
+    if (geoIpGrouping && report.fallback.length) {
+      Logger.info("Region.GeoIP", `GeoIP 命中 ${report.geoip.length} 个节点，${report.fallback.length} 个回退到名称匹配`);
+    }
     return found;
   }
 
+  /** 名称识别结果，低于 regionOptions.matchConfidence 时视为未识别 */
+  _matchCode(name) {
+    const { code, confidence } = RegionMatcher.match(name);
+    return code && confidence >= (Config.regionOptions?.matchConfidence ?? 0.5) ? code : null;
+  }
+
+  /** 为未预设的国家/地区生成分组：名称为 "代码+中文名"，图标为对应国旗 */
+  _autoRegion(code, country) {
+    return { name: `${code}${RegionMatcher.zhName(code) || country || ""}`, code, icon: RegionMatcher.flagIcon(code) };
+  }
+
+  /** 校验地区组策略，返回错误信息或 null */
+  static validateGroupStrategy(s) {
+    if (!s || typeof s !== "object" || Array.isArray(s)) return "应为对象";
+    const unknown = Object.keys(s).find(k => !["type", "tolerance", "strategy"].includes(k));
+    if (unknown) return `未知字段 ${unknown}`;
+    if (s.type !== undefined && !this.GROUP_TYPES.includes(s.type)) return `type 应为 ${this.GROUP_TYPES.join(" / ")}`;
+    if (s.tolerance !== undefined && !(Number.isFinite(s.tolerance) && s.tolerance >= 0)) return "tolerance 应为非负毫秒数";
+    if (s.strategy !== undefined && !this.LB_STRATEGIES.includes(s.strategy)) return `strategy 应为 ${this.LB_STRATEGIES.join(" / ")}`;
+    return null;
+  }
+
+  /** 合并全局与地区策略，生成对应组类型的 Mihomo 字段；策略无效时回退为 url-test */
+  _groupStrategyFields(r) {
+    const s = { type: "url-test", ...Config.regionOptions?.groupStrategy, ...r.groupStrategy };
+    const err = RegionAutoManager.validateGroupStrategy(s);
+    if (err) {
+      Logger.warn("Region.Strategy", `${r.name}: ${err}，回退为 url-test`);
+      return { ...Utils.getProxyGroupBase(), type: "url-test", tolerance: 50 };
+    }
+    if (s.type === "select") return { type: "select" };
+    return {
+      ...Utils.getProxyGroupBase(),
+      type: s.type,
+      ...(s.type === "url-test" && { tolerance: s.tolerance ?? 50 }),
+      ...(s.type === "load-balance" && { strategy: s.strategy ?? "consistent-hashing" })
+    };
+  }
+
+  /** 地区组的内核过滤器：RegionMatcher 词元规则与自定义 regex 取并集 */
+  _regionFilter(r) {
+    const parts = [r.code && RegionMatcher.toFilter(r.code), r.regex && Utils.regexToMihomo(r.regex)].filter(Boolean);
+    return parts.length > 1 ? parts.map(f => `(${f})`).join("|") : parts[0] || `^${Utils.escapeRegex(r.name)}$`;
+  }
+
+  /** 节点未能通过 GeoIP 定位的原因 */
+  _fallbackReason(p, geoIpGrouping) {
+    if (!geoIpGrouping) return "geoip-disabled";
+    const addr = this._geoService.addressOf(p);
+    if (!MMDBReader.parseIP(addr)) return "unresolved";
+    if (Utils.isPrivateIP(addr)) return "private";
+    return "no-result";
+  }
+
   mergeNewRegions(configRegions, discoveredMap) {
     const merged = [...(configRegions || [])];
     discoveredMap.forEach(r => { if (!merged.some(m => m.name === r.name)) merged.push(r); });
@@ -1308,41 +4226,56 @@ class RegionAutoManager {
 
   buildRegionGroups(config, regions, proxies) {
     const hasProviders = !!(config["proxy-providers"] && Object.keys(config["proxy-providers"]).length);
-    const proxyList = Array.isArray(proxies) ? proxies : [];
+    const { highRatio, lowRatio } = this._partitionByRatio(proxies);
+    const highRatioNames = new Set(highRatio.map(p => p.name));
+    const proxyList = (Array.isArray(proxies) ? proxies : []).filter(p => !highRatioNames.has(p?.name));
+    const highRatioFilter = Utils.namesToFilter([...highRatioNames]);
     const usedFilters = [], usedNames = new Set();
     
     // AI 预处理：批量计算指标
     const globalNodeStats = new Map();
+    this._scoreReport = null;
     if (Config.aiOptions?.enable && proxyList.length) {
+      this.stats.loadFile(Config.aiOptions.statsFile);
       const allIds = proxyList.map(p => p.name);
-      this._ai.detectNetworkState(allIds);
+      proxyList.forEach(p => this.ai.setNodeClass(p.name, this._nodeClasses.get(p.name)));
+      this.ai.learnFromManualSelects();
+      this.ai.detectNetworkState(allIds);
       const evalOpts = Config.aiOptions.evaluation || { ewmaAlpha: 0.3 };
       for (const id of allIds) {
-        const s = this._stats.getStats(id);
+        const s = this.stats.getStats(id), latency = this.ai.latencyProfile(id);
         globalNodeStats.set(id, {
           id,
-          latency: this._ai.ewma(s.latencyHistory, evalOpts.ewmaAlpha) ?? 1500,
-          loss: this._ai.ewma(s.lossHistory, evalOpts.ewmaAlpha) ?? 0.5
+          latency: latency.value ?? 1500,
+          loss: this.ai.ewma(s.lossHistory, evalOpts.ewmaAlpha) ?? 0.5,
+          tail: latency.tail
         });
       }
+      this._scoreReport = { generatedAt: new Date().toISOString(), weights: this.ai.explainWeights(), regions: [] };
     }
 
-    const activeRegions = hasProviders ? (Config.regionOptions?.regions || []) : regions;
-    const regionProxyGroups = [];
+    // Provider 节点在构建时不可见：地区组通过 use + filter 交由内核匹配，订阅可用 regions 限定参与的地区
+    const providerNames = hasProviders ? Object.keys(config["proxy-providers"]) : [];
+    const providerScopes = new Map((Config.subscriptions || [])
+      .filter(sub => sub?.name && Array.isArray(sub.regions))
+      .map(sub => [sub.name, sub.regions.map(c => String(c).toUpperCase())]));
+    const regionProxyGroups = [], subRegionGroups = [];
 
-    for (const r of activeRegions) {
+    for (const r of regions) {
       const regionProxies = proxyList.filter(p => {
         if (["DIRECT", "REJECT"].includes(String(p.name).toUpperCase())) return false;
-        return p._geoMatch === r.name || r.regex.test(p.name);
+        return this._geoMatches.get(p.name) === r.name || !!r.regex?.test(p.name) || (!!r.code && this._matchCode(p.name) === r.code);
       });
 
-      if (!hasProviders && !regionProxies.length) continue;
+      const scopedProviders = providerNames.filter(n => !providerScopes.has(n) || providerScopes.get(n).includes(String(r.code).toUpperCase()));
+      if (!regionProxies.length && !scopedProviders.length) continue;
 
-      let filteredProxies = regionProxies;
+      let filteredProxies = regionProxies, ranked = null;
       if (Config.aiOptions?.enable && regionProxies.length) {
         const nodeIds = regionProxies.map(p => p.name);
         const cacheKey = `AI.LastSelected.${r.name}`;
-        const bestNodes = this._ai.getBestNodes(nodeIds, 1, nodeIds.map(id => globalNodeStats.get(id)).filter(Boolean), this._cache.get(cacheKey));
+        ranked = this.ai.rankNodes(nodeIds, 1, nodeIds.map(id => globalNodeStats.get(id)).filter(Boolean), this._cache.get(cacheKey));
+        const bestNodes = ranked.selected;
         
         if (bestNodes.length) {
           this._cache.set(cacheKey, bestNodes[0].id, 8.64e7);
@@ -1351,25 +4284,36 @@ class RegionAutoManager {
         }
       }
 
+      const regionFilter = this._regionFilter(r);
       const finalFilter = filteredProxies.length 
-        ? `(${Utils.regexToMihomo(r.regex)})|(${filteredProxies.map(p => `^${Utils.escapeRegex(p.name)}$`).join("|")})`
-        : Utils.regexToMihomo(r.regex);
+        ? `(${regionFilter})|(${filteredProxies.map(p => `^${Utils.escapeRegex(p.name)}$`).join("|")})`
+        : regionFilter;
 
       usedFilters.push(finalFilter);
       usedNames.add(r.name);
-      regionProxyGroups.push({
-        ...Utils.getProxyGroupBase(),
+      const regionGroup = {
+        ...this._groupStrategyFields(r),
         name: r.name,
-        type: "url-test",
-        "include-all": true,
+        ...(hasProviders
+          ? { ...(scopedProviders.length && { use: scopedProviders }), ...(proxyList.length && { "include-all-proxies": true }) }
+          : { "include-all": true }),
         filter: finalFilter,
-        tolerance: 50,
+        ...(highRatioFilter && { "exclude-filter": highRatioFilter }),
         icon: ICON_VAL(r.icon)
-      });
+      };
+      if (ranked && this._scoreReport) this._scoreReport.regions.push(this._regionScoreEntry(r, ranked, regionFilter, regionGroup.type));
+      const subGroups = this._buildSubRegionGroups(r, regionProxies, regionGroup);
+      if (subGroups.length) {
+        // 拆分后国家组只由子地区组构成，不再自行收录节点
+        ["include-all", "include-all-proxies", "use", "filter", "exclude-filter"].forEach(k => delete regionGroup[k]);
+        regionGroup.proxies = subGroups.map(g => g.name);
+        subRegionGroups.push(...subGroups);
+      }
+      regionProxyGroups.push(regionGroup);
     }
 
     // 其他节点组的排除过滤器
-    const excludeFilter = usedFilters.map(f => `(${f})`).join("|");
+    const excludeFilter = [...usedFilters, highRatioFilter].filter(Boolean).map(f => `(${f})`).join("|");
 
     const otherGroup = {
       ...Utils.getProxyGroupBase(),
@@ -1385,6 +4329,7 @@ class RegionAutoManager {
       name: "自动选择",
       type: "url-test",
       "include-all": true,
+      ...(highRatioFilter && { "exclude-filter": highRatioFilter }),
       tolerance: 50,
       icon: ICON_VAL(ICONS.Proxy)
     };
@@ -1408,7 +4353,167 @@ class RegionAutoManager {
       }
     }
 
-    return { regionProxyGroups: [autoGroup, ...regionProxyGroups, otherGroup], otherProxyNames: [] };
+    return {
+      regionProxyGroups: [autoGroup, ...regionProxyGroups, otherGroup, ...this._buildRatioGroups(highRatio, lowRatio), ...this._buildClassGroups(proxyList), ...this._buildProviderGroups(providerNames)],
+      subRegionGroups,
+      otherProxyNames: []
+    };
+  }
+
+  /**
+   * 按网络类型生成家宽/原生IP组与中转线路组 (仅含构建时可见的节点)
+   */
+  _buildClassGroups(proxyList) {
+    const opts = Config.nodeClassOptions || {};
+    if (!opts.enable) return [];
+    const residential = [], transit = [];
+    for (const p of proxyList) {
+      const cls = this._nodeClasses.get(p.name);
+      if (cls?.type === "residential") residential.push(p.name);
+      if (cls?.transit) transit.push(p.name);
+    }
+    const groups = [];
+    if (opts.residentialGroup && residential.length) {
+      groups.push({ ...Utils.getProxyGroupBase(), name: opts.residentialGroup, type: "select", proxies: residential, icon: ICON_VAL(ICONS.StreamingNotCN) });
+    }
+    if (opts.transitGroup && transit.length) {
+      groups.push({ ...Utils.getProxyGroupBase(), name: opts.transitGroup, type: "url-test", proxies: transit, tolerance: 50, icon: ICON_VAL(ICONS.Game) });
+    }
+    return groups;
+  }
+
+  /**
+   * 地区评分明细：selected 为 AI 入选 (按名称固定进组)，explore 为老虎机模式下以探索名义入选，filter 为未入选但名称仍命中地区过滤器 (由内核纳入)，excluded 为不在组内
+   * 未有入选节点时组退回全部地区节点，记为 fallback
+   */
+  _regionScoreEntry(r, ranked, regionFilter, type) {
+    let pattern = null;
+    try { pattern = new RegExp(regionFilter.replace(/\(\?i\)/g, ""), "i"); } catch { /* 内核专属语法，无法在此判断 */ }
+    const selectedIds = new Set(ranked.selected.map(n => n.id));
+    const fallback = !ranked.selected.length;
+    const nodes = ranked.ranking.map(n => {
+      let decision = "excluded";
+      if (fallback) decision = "fallback";
+      else if (selectedIds.has(n.id)) decision = n.explain.bandit?.pick === "explore" ? "explore" : "selected";
+      else if (pattern?.test(n.id)) decision = "filter";
+      return { id: n.id, score: n.score, status: n.status, reason: n.reason, decision, explain: n.explain };
+    });
+    return {
+      region: r.name,
+      code: r.code ?? null,
+      type,
+      mode: ranked.mode,
+      explored: ranked.explored ?? 0,
+      best: ranked.selected[0]?.id ?? null,
+      sticky: ranked.sticky,
+      selected: ranked.selected.length,
+      total: nodes.length,
+      baselines: nodes[0]?.explain.baselines ?? null,
+      nodes
+    };
+  }
+
+  /**
+   * 地区节点数达到 subRegionMinNodes 时按 subRegions 的城市名 / IATA 代码拆出子地区组，
+   * 未命中任何子地区的节点归入 "<地区>-其他" 组；仅命中一个子地区且覆盖全部节点时不拆分
+   */
+  _buildSubRegionGroups(r, regionProxies, parent) {
+    const minNodes = Config.regionOptions?.subRegionMinNodes ?? 8;
+    if (!Array.isArray(r.subRegions) || !r.subRegions.length || regionProxies.length < minNodes) return [];
+    const { "include-all": _all, "include-all-proxies": _allProxies, filter: _filter, use, "exclude-filter": excludeFilter, ...base } = parent;
+    // 本地节点按名单直接列出，避免其他地区同名城市混入；Provider 节点只能按关键词匹配，须同时命中本地区过滤器
+    const regionFilter = this._regionFilter(r);
+    const scoped = (pattern) => `(?i)^(?=.*(?:${regionFilter.replace(/\(\?i\)/g, "")}))(?=.*(?:${pattern}))`;
+    const subGroup = (name, names, providerFilter, providerExclude, icon) => ({
+      ...base,
+      name,
+      ...(names.length && { proxies: names }),
+      ...(use && { use, filter: providerFilter, ...(providerExclude && { "exclude-filter": providerExclude }) }),
+      icon: ICON_VAL(icon)
+    });
+    const groups = [], covered = new Set(), patterns = [];
+    for (const sub of r.subRegions) {
+      const pattern = RegionMatcher.keysPattern(sub.keys);
+      const re = new RegExp(pattern, "i");
+      const members = regionProxies.filter(p => re.test(p.name));
+      if (!members.length) continue;
+      members.forEach(p => covered.add(p.name));
+      patterns.push(pattern);
+      groups.push(subGroup(`${r.name}-${sub.name}`, members.map(p => p.name), scoped(pattern), excludeFilter, sub.icon ?? r.icon));
+    }
+    const rest = regionProxies.filter(p => !covered.has(p.name)).map(p => p.name);
+    if (!groups.length || (groups.length === 1 && !rest.length)) return [];
+    // 未命中任何子地区的节点归入剩余组；Provider 节点按地区过滤器匹配，排除已命中子地区关键词的节点
+    if (rest.length || use) {
+      const restExclude = [`(?i)${patterns.join("|")}`, excludeFilter].filter(Boolean).map(f => `(${f})`).join("|");
+      groups.push(subGroup(`${r.name}-其他`, rest, regionFilter, restExclude, r.icon));
+    }
+    return groups;
+  }
+
+  /**
+   * 为声明了 group 的订阅生成独立的顶层组
+   */
+  _buildProviderGroups(providerNames) {
+    const groups = [];
+    for (const sub of Config.subscriptions || []) {
+      if (!sub?.group || !providerNames.includes(sub.name)) continue;
+      const type = typeof sub.group === "string" ? sub.group : "select";
+      groups.push({
+        ...Utils.getProxyGroupBase(),
+        name: sub.groupName || sub.name,
+        type,
+        use: [sub.name],
+        ...(type === "url-test" && { tolerance: 50 }),
+        icon: ICON_VAL(sub.icon ?? ICONS.Proxy)
+      });
+    }
+    return groups;
+  }
+
+  /**
+   * 按节点名称中的倍率标注分类：超过 ratioLimit 的为高倍率，≤1x 的为低倍率 (未标注的节点不参与)
+   */
+  _partitionByRatio(proxies) {
+    const opts = Config.regionOptions || {};
+    const highRatio = [], lowRatio = [];
+    if (!Array.isArray(proxies)) return { highRatio, lowRatio };
+
+    const limit = Number(opts.ratioLimit) > 0 ? Number(opts.ratioLimit) : Infinity;
+    for (const p of proxies) {
+      if (!p?.name) continue;
+      const ratio = Utils.parseRatio(p.name);
+      if (ratio === null) continue;
+      if (opts.excludeHighPercentage && ratio > limit) highRatio.push(p);
+      else if (ratio <= 1) lowRatio.push(p);
+    }
+    if (highRatio.length) Logger.info("Region.Ratio", `识别到 ${highRatio.length} 个高倍率节点 (> ${limit}x)，已移出地区组与自动选择`);
+    return { highRatio, lowRatio };
+  }
+
+  _buildRatioGroups(highRatio, lowRatio) {
+    const opts = Config.regionOptions || {};
+    const groups = [];
+    if (opts.highRatioGroup && highRatio.length) {
+      groups.push({
+        ...Utils.getProxyGroupBase(),
+        name: opts.highRatioGroup,
+        type: "select",
+        proxies: highRatio.map(p => p.name),
+        icon: ICON_VAL(ICONS.Speedtest)
+      });
+    }
+    if (opts.lowRatioGroup && lowRatio.length) {
+      groups.push({
+        ...Utils.getProxyGroupBase(),
+        name: opts.lowRatioGroup,
+        type: "url-test",
+        proxies: lowRatio.map(p => p.name),
+        tolerance: 50,
+        icon: ICON_VAL(ICONS.Download)
+      });
+    }
+    return groups;
   }
 }
 
@@ -1435,18 +4540,319 @@ class AdBlockManager {
   }
 }
 
+/* ============== 持久化存储 (后端 / 版本化文档) ============== */
+/**
+ * StorageBackend: JSON 值的键值存储接口 (read / write / remove / keys)，
+ * 子类对应 $persistentStore、localStorage、Node 文件 (JSON / NDJSON) 与进程内存
+ */
+class StorageBackend {
+  static TYPES = ["persistentStore", "localStorage", "file", "memory"];
+
+  get name() { return "base"; }
+  read(key) { return null; }
+  write(key, value) { return false; }
+  remove(key) {}
+  /** 全部键；不支持枚举的后端返回 null */
+  keys() { return null; }
+
+  /**
+   * 按 Config.storage 创建后端：auto 依次选用 $persistentStore、localStorage、file (需在 Node 下配置 file)，都不可用时为 memory；
+   * Node 自带的 localStorage 不参与 auto 选择，指定的后端在当前环境不可用时同样回退到 memory
+   */
+  static create({ backend = "auto", file = null, format = "json" } = {}) {
+    const available = {
+      persistentStore: () => typeof $persistentStore !== "undefined",
+      localStorage: () => typeof localStorage !== "undefined" && typeof localStorage?.getItem === "function",
+      file: () => !!file && Env.isNode,
+      memory: () => true
+    };
+    const create = {
+      persistentStore: () => new PersistentStoreBackend(),
+      localStorage: () => new LocalStorageBackend(),
+      file: () => new FileBackend(file, format),
+      memory: () => new MemoryBackend()
+    };
+    if (backend === "auto") return create[StorageBackend.TYPES.find(t => available[t]() && !(t === "localStorage" && Env.isNode))]();
+    if (!create[backend]) throw new ConfigurationError(`storage.backend 无效: ${backend}，应为 auto / ${StorageBackend.TYPES.join(" / ")}`);
+    if (available[backend]()) return create[backend]();
+    Logger.warn("Storage", `当前环境不支持 ${backend} 存储，数据仅保存在内存中`);
+    return new MemoryBackend();
+  }
+}
+
+class MemoryBackend extends StorageBackend {
+  _data = new Map();
+
+  get name() { return "memory"; }
+  read(key) { return this._data.has(key) ? JSON.parse(this._data.get(key)) : null; }
+  write(key, value) { this._data.set(key, JSON.stringify(value)); return true; }
+  remove(key) { this._data.delete(key); }
+  keys() { return [...this._data.keys()]; }
+}
+
+/** Surge / Loon / QX 风格的 $persistentStore，值为字符串，写入空串视为删除 */
+class PersistentStoreBackend extends StorageBackend {
+  get name() { return "persistentStore"; }
+
+  read(key) {
+    const raw = $persistentStore.read(key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  write(key, value) { return $persistentStore.write(JSON.stringify(value), key) !== false; }
+  remove(key) { $persistentStore.write("", key); }
+}
+
+class LocalStorageBackend extends StorageBackend {
+  get name() { return "localStorage"; }
+
+  read(key) {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  write(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  }
+
+  remove(key) { localStorage.removeItem(key); }
+  keys() { return Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i)); }
+}
+
+/**
+ * FileBackend: 所有键保存在同一文件 (仅 Node)。json 格式为 { 键: 值 }，ndjson 格式每行一个 { k, v }，
+ * 读取 ndjson 时跳过无法解析的行 (如写入中断留下的截断行)；每次写入整文件经临时文件改名替换
+ */
+class FileBackend extends StorageBackend {
+  _data = null;
+
+  constructor(file, format = "json") {
+    super();
+    if (!["json", "ndjson"].includes(format)) throw new ConfigurationError(`storage.format 无效: ${format}，应为 json / ndjson`);
+    this.file = file;
+    this.format = format;
+  }
+
+  get name() { return `file:${this.file}`; }
+
+  read(key) { return this._load().get(key) ?? null; }
+
+  write(key, value) {
+    this._load().set(key, value);
+    this._flush();
+    return true;
+  }
+
+  remove(key) {
+    if (this._load().delete(key)) this._flush();
+  }
+
+  keys() { return [...this._load().keys()]; }
+
+  /** 先写临时文件再改名，进程中断或并发读取时不会看到写了一半的文件 */
+  static atomicWrite(file, text) {
+    const fs = require("fs");
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, text);
+    fs.renameSync(tmp, file);
+  }
+
+  _load() {
+    if (this._data) return this._data;
+    this._data = new Map();
+    const fs = require("fs");
+    if (!fs.existsSync(this.file)) return this._data;
+    const text = fs.readFileSync(this.file, "utf8");
+    if (this.format === "json") {
+      Object.entries(text.trim() ? JSON.parse(text) : {}).forEach(([k, v]) => this._data.set(k, v));
+      return this._data;
+    }
+    let skipped = 0;
+    for (const line of text.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const { k, v } = JSON.parse(line);
+        if (typeof k === "string") this._data.set(k, v);
+      } catch {
+        skipped++;
+      }
+    }
+    if (skipped) Logger.warn("Storage", `${this.file} 中有 ${skipped} 行无法解析，已跳过`);
+    return this._data;
+  }
+
+  _flush() {
+    const body = this.format === "json"
+      ? JSON.stringify(Object.fromEntries(this._data))
+      : [...this._data].map(([k, v]) => JSON.stringify({ k, v })).join("\n") + "\n";
+    FileBackend.atomicWrite(this.file, body);
+  }
+}
+
+/**
+ * VersionedStore: 以 { schema, savedAt, data } 保存在某个键下的 JSON 文档
+ * 读取时按 migrations[n] (版本 n → n+1) 逐级升级，无 schema 字段的旧数据视为版本 0；
+ * 版本高于当前脚本的文档不读取也不覆盖，避免旧版本运行时破坏新格式的数据
+ * 序列化后超过 maxBytes 时先调用 compact(data, maxBytes) 压缩，仍超出则放弃本次写入
+ */
+class VersionedStore {
+  _readOnly = false;
+
+  constructor({ backend, key, version, migrations = {}, maxBytes = 0, compact = null }) {
+    this.backend = backend;
+    this.key = key;
+    this.version = version;
+    this.migrations = migrations;
+    this.maxBytes = maxBytes;
+    this.compact = compact;
+  }
+
+  get readOnly() { return this._readOnly; }
+
+  /**
+   * 将任意版本的文档 (或无版本的旧数据) 升级到 version
+   * @returns {{ data: any, schema: number, migrated: boolean }}
+   */
+  static upgrade(raw, version, migrations = {}) {
+    const versioned = raw && typeof raw === "object" && Number.isInteger(raw.schema) && "data" in raw;
+    let schema = versioned ? raw.schema : 0, data = versioned ? raw.data : raw;
+    if (schema > version) throw new InvalidRequestError(`数据版本 ${schema} 高于当前支持的 ${version}`);
+    const from = schema;
+    for (; schema < version; schema++) {
+      if (typeof migrations[schema] !== "function") throw new InvalidRequestError(`缺少版本 ${schema} → ${schema + 1} 的迁移`);
+      data = migrations[schema](data);
+    }
+    return { data, schema: from, migrated: from !== version };
+  }
+
+  /** 读取并升级文档；不存在或无法读取时返回 null */
+  load() {
+    let raw;
+    try {
+      raw = this.backend.read(this.key);
+    } catch (e) {
+      Logger.warn("Storage", `${this.key} 读取失败 (${this.backend.name})，忽略旧数据: ${e.message}`);
+      return null;
+    }
+    if (raw === null || raw === undefined) return null;
+    try {
+      const { data, schema, migrated } = VersionedStore.upgrade(raw, this.version, this.migrations);
+      if (migrated) Logger.info("Storage", `${this.key} 已从版本 ${schema} 迁移到 ${this.version}`);
+      return data;
+    } catch (e) {
+      this._readOnly = raw?.schema > this.version;
+      Logger.warn("Storage", `${this.key} 无法加载: ${e.message}${this._readOnly ? "，保留原数据且不再写入" : ""}`);
+      return null;
+    }
+  }
+
+  /** @returns {boolean} 是否已写入 */
+  save(data) {
+    if (this._readOnly) return false;
+    let doc = { schema: this.version, savedAt: Date.now(), data };
+    if (this.maxBytes > 0 && VersionedStore.sizeOf(doc) > this.maxBytes && this.compact) {
+      doc = { ...doc, data: this.compact(data, this.maxBytes) };
+    }
+    const size = VersionedStore.sizeOf(doc);
+    if (this.maxBytes > 0 && size > this.maxBytes) {
+      Logger.warn("Storage", `${this.key} 大小 ${size} 字节超过上限 ${this.maxBytes}，未写入`);
+      return false;
+    }
+    try {
+      return this.backend.write(this.key, doc) !== false;
+    } catch (e) {
+      Logger.warn("Storage", `${this.key} 写入失败 (${this.backend.name}): ${e.message}`);
+      return false;
+    }
+  }
+
+  /** 序列化后的 UTF-8 字节数 */
+  static sizeOf(value) {
+    const json = JSON.stringify(value);
+    return typeof TextEncoder !== "undefined" ? new TextEncoder().encode(json).length : unescape(encodeURIComponent(json)).length;
+  }
+}
+
 /* ============== 缓存管理模块 (L1/L2/Persistent) ============== */
+/**
+ * LRUCache: 内存两级 LRU + 持久化文档
+ * 需持久化的条目汇总在 sirkey_cache 文档中 (VersionedStore)，首次未命中时加载，flush 时一次写回；
+ * 旧版本逐键写入 $persistentStore 的条目在首次读到时并入文档，写回成功后删除旧键
+ */
 class LRUCache {
+  static STORE_KEY = "sirkey_cache";
+  static VERSION = 1;
+  static MIN_HISTORY = 10;
+
   _l1 = new Map();
   _l2 = new Map();
   _maxSize;
   _ttl;
   _hits = 0;
   _misses = 0;
+  _store; // undefined 表示首次使用时按 Config.storage 创建，null 表示不持久化
+  _persisted = null;
+  _legacyKeys = new Set();
+  _dirty = false;
 
-  constructor({ maxSize = 500, ttl = 3600000 } = {}) {
+  constructor({ maxSize = 500, ttl = 3600000, store } = {}) {
     this._maxSize = maxSize;
     this._ttl = ttl;
+    this._store = store;
+  }
+
+  get store() {
+    if (this._store === undefined) this._store = LRUCache.createStore();
+    return this._store;
+  }
+
+  static createStore(options = Config.storage) {
+    return new VersionedStore({
+      backend: StorageBackend.create(options),
+      key: LRUCache.STORE_KEY,
+      version: LRUCache.VERSION,
+      maxBytes: options?.maxBytes ?? 0,
+      compact: LRUCache.compact
+    });
+  }
+
+  /**
+   * 超出大小上限时先把条目中的历史数组 (如节点统计的各项 History) 逐次减半，只保留最近的记录；
+   * 截短到 MIN_HISTORY 条仍超出时，按写入时间从新到旧保留条目，直至达到上限的 90%
+   */
+  static compact({ entries }, maxBytes) {
+    const target = maxBytes * 0.9;
+    let window = Infinity, out = entries;
+    const longest = Math.max(0, ...Object.values(entries).map(e => LRUCache._historyLength(e?.value)));
+    if (VersionedStore.sizeOf({ entries: out }) > target) window = longest;
+    while (window > LRUCache.MIN_HISTORY && VersionedStore.sizeOf({ entries: out }) > target) {
+      window = Math.max(LRUCache.MIN_HISTORY, Math.floor(window / 2));
+      out = Object.fromEntries(Object.entries(entries).map(([key, e]) => [key, { ...e, value: LRUCache._trimHistory(e?.value, window) }]));
+    }
+    const sorted = Object.entries(out).sort(([, a], [, b]) => b.timestamp - a.timestamp);
+    const kept = {};
+    let size = 64;
+    for (const [key, entry] of sorted) {
+      size += VersionedStore.sizeOf({ [key]: entry });
+      if (size > target) break;
+      kept[key] = entry;
+    }
+    const trimmed = window < longest ? `，历史记录截短为每项 ${window} 条` : "";
+    Logger.info("LRUCache.Persistent", `缓存文档超出 ${maxBytes} 字节${trimmed}，丢弃 ${sorted.length - Object.keys(kept).length} 条最旧记录`);
+    return { entries: kept };
+  }
+
+  /** 对象值中 (含一层嵌套，如 sceneStats) 最长数组的长度 */
+  static _historyLength(value) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) return 0;
+    return Math.max(0, ...Object.values(value).map(v => Array.isArray(v) ? v.length : LRUCache._historyLength(v)));
+  }
+
+  /** 将对象值中的数组截短为最近 window 条；数组本身作为值时 (如手动切换事件) 不截短 */
+  static _trimHistory(value, window) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) return value;
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, Array.isArray(v) ? v.slice(-window) : LRUCache._trimHistory(v, window)]));
   }
 
   get(key) {
@@ -1476,21 +4882,12 @@ class LRUCache {
     }
 
     this._misses++;
-    
-    if (typeof $persistentStore !== "undefined") {
-      const stored = $persistentStore.read(key);
-      if (stored) {
-        try {
-          const parsed = JSON.parse(stored);
-          if (now - parsed.timestamp < parsed.ttl) {
-            this._hits++;
-            this.set(key, parsed.value, parsed.ttl, false);
-            return parsed.value;
-          }
-        } catch (e) {
-          Logger.debug("LRUCache.Persistent", `解析缓存失败: ${key}`);
-        }
-      }
+
+    const stored = this._readPersisted(key);
+    if (stored && now - stored.timestamp < stored.ttl) {
+      this._hits++;
+      this.set(key, stored.value, stored.ttl, false);
+      return stored.value;
     }
     return null;
   }
@@ -1500,8 +4897,51 @@ class LRUCache {
     this._l1.set(key, entry);
     this._checkEviction();
 
-    if (persist && typeof $persistentStore !== "undefined") {
-      $persistentStore.write(JSON.stringify(entry), key);
+    if (persist && this.store) {
+      this._persistedEntries().set(key, entry);
+      this._dirty = true;
+    }
+  }
+
+  /**
+   * 将需持久化的条目写回存储 (过期条目丢弃)，CentralManager 在每次构建结束时调用
+   * @returns {boolean} 是否写入
+   */
+  flush() {
+    if (!this._dirty || !this.store) return false;
+    const now = Date.now(), entries = {};
+    for (const [key, entry] of this._persistedEntries()) {
+      if (now - entry.timestamp < entry.ttl) entries[key] = entry;
+      else this._persisted.delete(key);
+    }
+    if (!this.store.save({ entries })) return false;
+    this._legacyKeys.forEach(key => this.store.backend.remove(key));
+    this._legacyKeys.clear();
+    this._dirty = false;
+    return true;
+  }
+
+  _persistedEntries() {
+    this._persisted ??= new Map(Object.entries(this.store?.load()?.entries ?? {}));
+    return this._persisted;
+  }
+
+  /** 文档中没有时尝试旧版逐键存储的条目 */
+  _readPersisted(key) {
+    if (!this.store) return null;
+    const entries = this._persistedEntries();
+    if (entries.has(key)) return entries.get(key);
+    if (!(this.store.backend instanceof PersistentStoreBackend)) return null;
+    try {
+      const legacy = this.store.backend.read(key);
+      if (!legacy || typeof legacy.timestamp !== "number") return null;
+      entries.set(key, legacy);
+      this._legacyKeys.add(key);
+      this._dirty = true;
+      return legacy;
+    } catch (e) {
+      Logger.debug("LRUCache.Persistent", `解析缓存失败: ${key}`);
+      return null;
     }
   }
 
@@ -1826,7 +5266,11 @@ class CentralManager {
     const cacheStats = this._lruCache.getStats();
     Logger.info("Central.Cache", `命中率: ${(cacheStats.ratio * 100).toFixed(2)}%, L1/L2: ${cacheStats.l1Size}/${cacheStats.l2Size}`);
 
-    return ConfigBuilder.build(config, this);
+    try {
+      return ConfigBuilder.build(config, this);
+    } finally {
+      this._lruCache.flush();
+    }
   }
 
   _safeFetch(url, options = {}, timeout = 5000) {
@@ -1894,15 +5338,35 @@ class CentralManager {
     SirkeyError, ConfigurationError, InvalidRequestError,
     GH_PROXY: () => GH_PROXY, selectBestMirror,
     ICON_VAL, ICONS, URLS, Config,
-    NodeStatsManager, AIEngine, RegionAutoManager,
-    AdBlockManager, LRUCache, HttpClient, SecurityGuard,
+    ConfigOverrides, MMDBReader, DnsResolver, GeoDatabase, TokenBucket, GeoProviderRegistry, GeoIPService, NodeClassifier, RegionMatcher, LatencySketch, NodeStatsManager, AIEngine, RegionAutoManager,
+    AdBlockManager, StorageBackend, MemoryBackend, PersistentStoreBackend, LocalStorageBackend, FileBackend, VersionedStore,
+    LRUCache, HttpClient, SecurityGuard,
     SmartLifecycleManager, HealthMonitor, CentralManager,
-    ConfigBuilder, ErrorConfigFactory
+    ConfigBuilder, ConfigDiff, ScoreReport, ErrorConfigFactory
   };
 })();
 
 /* ============== 主入口函数 ============== */
-function main(config) {
+/**
+ * 在应用用户覆写的前提下执行构建，构建完成后还原 Config；build 返回 Promise 时在其结束后还原
+ */
+function withOverrides(config, args, build) {
+  const { ConfigOverrides } = Sirkey;
+  const { restore } = ConfigOverrides.apply(ConfigOverrides.collect(config, args));
+  const { [ConfigOverrides.PROFILE_KEY]: _, ...profile } = config;
+  let result;
+  try {
+    result = build(profile);
+  } catch (e) {
+    restore();
+    throw e;
+  }
+  if (typeof result?.then === "function") return result.finally(restore);
+  restore();
+  return result;
+}
+
+function main(config, args) {
   if (!config || typeof config !== "object") {
     Sirkey.Logger.error("Main", "配置无效");
     return config;
@@ -1912,37 +5376,92 @@ function main(config) {
     const central = Sirkey.CentralManager.getInstance();
     // 初始化
     central.initialize();
-    // 异步处理变更：移除 await，确保返回 Map 对象而非 Future/Promise
-    return central.processConfiguration(config);
+    const result = withOverrides(config, args, (profile) => {
+      const geoCache = Sirkey.Config.privacy?.geoCache || {};
+      // 异步处理变更：移除 await，确保返回 Map 对象而非 Future/Promise
+      if (!geoCache.blocking) return central.processConfiguration(profile);
+
+      // 阻塞模式 (仅用于允许 await 的运行时)：预算内等待 GeoIP 查询，超时则以已有结果构建；查询与构建处于同一覆写作用域
+      return central.regionAutoManager.geoService.warm(profile.proxies, geoCache.budget)
+        .then(() => central.processConfiguration(profile));
+    });
+    return typeof result?.then === "function" ? result.catch(e => buildFallbackConfig(config, e)) : result;
   } catch (e) {
-    const msg = e?.message || "未知错误";
-    Sirkey.Logger.error("Main", `构建失败: ${msg}`);
-    try {
-      const fallbackCfg = { ...config };
-      if (!Array.isArray(fallbackCfg.proxies)) fallbackCfg.proxies = [];
-      fallbackCfg.proxies.unshift(Sirkey.ErrorConfigFactory.createErrorConfig(msg));
-      return fallbackCfg;
-    } catch (fallbackErr) {
-      Sirkey.Logger.error("Main", "回退失败，返回原始配置");
-      return config;
-    }
+    return buildFallbackConfig(config, e);
+  }
+}
+
+function buildFallbackConfig(config, e) {
+  const msg = e?.message || "未知错误";
+  Sirkey.Logger.error("Main", `构建失败: ${msg}`);
+  try {
+    const fallbackCfg = { ...config };
+    if (!Array.isArray(fallbackCfg.proxies)) fallbackCfg.proxies = [];
+    fallbackCfg.proxies.unshift(Sirkey.ErrorConfigFactory.createErrorConfig(msg));
+    return fallbackCfg;
+  } catch (fallbackErr) {
+    Sirkey.Logger.error("Main", "回退失败，返回原始配置");
+    return config;
+  }
+}
+
+/** 不经过生命周期任务直接构建，结束后写回缓存 */
+function buildDirect(profile) {
+  const central = Sirkey.CentralManager.getInstance();
+  try {
+    return Sirkey.ConfigBuilder.build(profile, central);
+  } finally {
+    central.lruCache.flush();
   }
 }
 
+/**
+ * 预演构建：不经过生命周期任务，返回构建结果、相对输入的结构化差异、GeoIP 回退报告、节点评分报告及渲染后的报告
+ * @param {object} config 原始配置
+ * @param {object} [args] 用户覆写，同 main 的第二个参数
+ * @param {{ format?: "markdown" | "json" }} [options]
+ */
+function dryRun(config, args, { format = "markdown" } = {}) {
+  if (!config || typeof config !== "object") throw new Sirkey.InvalidRequestError("dryRun: 配置无效");
+  // ConfigBuilder.build 在副本上构建，输入本身即可作为对比基准
+  const { [Sirkey.ConfigOverrides.PROFILE_KEY]: _, ...before } = config;
+  const built = withOverrides(config, args, buildDirect);
+  const diff = Sirkey.ConfigDiff.compare(before, built);
+  const scores = Sirkey.ConfigBuilder.lastScoreReport;
+  return {
+    config: built, diff, audit: Sirkey.ConfigBuilder.lastAudit, geo: Sirkey.ConfigBuilder.lastGeoReport, scores,
+    report: Sirkey.ConfigDiff.render(diff, format), scoreReport: Sirkey.ScoreReport.render(scores, format)
+  };
+}
+
 /* ============== 模块导出定义 ============== */
 const EXPORTS = {
   main, 
   CentralManager: Sirkey.CentralManager, 
   ConfigBuilder: Sirkey.ConfigBuilder,
-  buildConfigForParser: (cfg) => Sirkey.ConfigBuilder.build(cfg, Sirkey.CentralManager.getInstance()),
+  buildConfigForParser: (cfg, args) => withOverrides(cfg, args, buildDirect),
+  dryRun,
+  ConfigOverrides: Sirkey.ConfigOverrides,
+  ConfigDiff: Sirkey.ConfigDiff,
+  ScoreReport: Sirkey.ScoreReport,
   RegionAutoManager: Sirkey.RegionAutoManager, 
   GeoIPService: Sirkey.GeoIPService, 
+  MMDBReader: Sirkey.MMDBReader,
+  DnsResolver: Sirkey.DnsResolver,
+  GeoDatabase: Sirkey.GeoDatabase,
+  GeoProviderRegistry: Sirkey.GeoProviderRegistry,
+  NodeClassifier: Sirkey.NodeClassifier,
+  RegionMatcher: Sirkey.RegionMatcher,
   LRUCache: Sirkey.LRUCache, 
+  StorageBackend: Sirkey.StorageBackend,
+  FileBackend: Sirkey.FileBackend,
+  VersionedStore: Sirkey.VersionedStore,
   Utils: Sirkey.Utils, 
   DataMasker: Sirkey.DataMasker, 
   CONSTANTS: Sirkey.CONSTANTS, 
   Config: Sirkey.Config,
   AIEngine: Sirkey.AIEngine, 
+  LatencySketch: Sirkey.LatencySketch,
   NodeStatsManager: Sirkey.NodeStatsManager,
   getGHProxy: Sirkey.GH_PROXY,
   Logger: Sirkey.Logger
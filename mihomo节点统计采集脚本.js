@@ -0,0 +1,399 @@
+// Mihomo 节点统计采集脚本 - Sirkey 覆写脚本配套工具
+// 通过 external-controller 定时测速并读取连接流量，按节点记录延迟 / 丢包 / 可用性 / 带宽，
+// 输出与覆写脚本 NodeStatsManager 相同的 node_stats: 格式，供构建时经 aiOptions.statsFile 加载
+//
+// 用法:
+//   node mihomo节点统计采集脚本.js --controller http://127.0.0.1:9090 --secret xxx --out ./node_stats.json
+//   node mihomo节点统计采集脚本.js --stand-in --once   # 启动本地模拟控制器，离线验证采集流程
+// 需要 Node.js 18+ (内置 fetch)；统计的记录方式直接取自同目录下的覆写脚本，两者需一同更新
+"use strict";
+
+const path = require("path");
+
+const CONFIG = Object.freeze({
+  MIHOMO_SCRIPT: path.join(__dirname, "clash-verge&flclash&mihomo.js"),
+  CONTROLLER: "http://127.0.0.1:9090",
+  OUT: "./node_stats.json",
+  INTERVAL: 60, // 采集间隔 (秒)
+  TEST_URL: "https://cp.cloudflare.com/generate_204",
+  TIMEOUT: 3000, // 单次测速超时 (毫秒)
+  SAMPLES: 3, // 每轮测速次数，丢包率 = 失败次数 / SAMPLES
+  CONCURRENCY: 8,
+  SCENE: "browsing",
+  PREFIX: "node_stats:",
+  TTL: 8.64e7 * 7, // 写出条目的有效期，与 NodeStatsManager 的缓存有效期一致
+  // 内核内置策略与代理组类型，不作为节点统计
+  BUILTIN_TYPES: new Set(["Direct", "Reject", "RejectDrop", "Pass", "Compatible", "Dns"]),
+  GROUP_TYPES: new Set(["Selector", "URLTest", "Fallback", "LoadBalance", "Relay"]),
+  TESTED_GROUP_TYPES: new Set(["URLTest", "Fallback", "LoadBalance"])
+});
+
+const utils = {
+  log(msg, level = "info") {
+    console.log(`[${level.toUpperCase()}][${new Date().toLocaleTimeString()}] ${String(msg)}`);
+  },
+
+  async limit(tasks, concurrency) {
+    const results = [];
+    const executing = new Set();
+    for (const task of tasks) {
+      const p = Promise.resolve().then(() => task());
+      results.push(p);
+      executing.add(p);
+      const clean = () => executing.delete(p);
+      p.then(clean, clean);
+      if (executing.size >= concurrency) await Promise.race(executing);
+    }
+    return Promise.allSettled(results);
+  },
+
+  median(values) {
+    if (!values.length) return undefined;
+    const sorted = [...values].sort((a, b) => a - b), mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  },
+
+  parseArgs(argv) {
+    const opts = {};
+    for (let i = 0; i < argv.length; i++) {
+      const m = argv[i].match(/^--([\w-]+)(?:=(.*))?$/);
+      if (!m) continue;
+      const key = m[1].replace(/-(\w)/g, (_, c) => c.toUpperCase());
+      if (m[2] !== undefined) opts[key] = m[2];
+      else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith("--")) opts[key] = argv[++i];
+      else opts[key] = true;
+    }
+    return opts;
+  }
+};
+
+// ===================== 控制器 API =====================
+class ControllerClient {
+  constructor(base, secret = "", timeout = CONFIG.TIMEOUT) {
+    this.base = String(base).replace(/\/+$/, "");
+    this.secret = secret;
+    this.timeout = timeout;
+  }
+
+  async get(path, { allowError = false, timeout = this.timeout + 2000 } = {}) {
+    const res = await fetch(this.base + path, {
+      headers: this.secret ? { Authorization: `Bearer ${this.secret}` } : {},
+      signal: AbortSignal.timeout(timeout)
+    });
+    if (res.status === 401) throw new Error("控制器鉴权失败，请检查 --secret");
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok && !allowError) throw new Error(`${path}: HTTP ${res.status} ${body.message || ""}`.trim());
+    return { ok: res.ok, status: res.status, body };
+  }
+
+  /** 返回 { nodes: 节点名[], groups: [{ name, type, all, now, fixed }] }，fixed 为 URLTest / Fallback 组被手动固定的节点 */
+  async topology() {
+    const { body } = await this.get("/proxies");
+    const nodes = [], groups = [];
+    for (const [name, p] of Object.entries(body.proxies || {})) {
+      if (CONFIG.GROUP_TYPES.has(p.type) || Array.isArray(p.all)) groups.push({ name, type: p.type, all: p.all || [], now: p.now || "", fixed: p.fixed || "" });
+      else if (!CONFIG.BUILTIN_TYPES.has(p.type)) nodes.push(name);
+    }
+    return { nodes, groups };
+  }
+
+  /** 单节点测速，失败返回 null */
+  async proxyDelay(name, url, timeout) {
+    const q = `url=${encodeURIComponent(url)}&timeout=${timeout}`;
+    const { ok, body } = await this.get(`/proxies/${encodeURIComponent(name)}/delay?${q}`, { allowError: true });
+    return ok && Number(body.delay) > 0 ? Number(body.delay) : null;
+  }
+
+  /** 代理组测速，返回 { 节点名: 延迟 }；内核不返回测速失败的成员，且会清除 URLTest 组的手动固定 */
+  async groupDelay(name, url, timeout) {
+    const q = `url=${encodeURIComponent(url)}&timeout=${timeout}`;
+    const { ok, body } = await this.get(`/group/${encodeURIComponent(name)}/delay?${q}`, { allowError: true, timeout: timeout * 2 + 2000 });
+    return ok && body && typeof body === "object" ? body : {};
+  }
+
+  async connections() {
+    const { body } = await this.get("/connections");
+    return Array.isArray(body.connections) ? body.connections : [];
+  }
+}
+
+// ===================== 统计存储 (node_stats: 格式) =====================
+/**
+ * 文件内容为 { schema, savedAt, data }，data 为 { "node_stats:<节点名>": { value, ttl, timestamp } }，与覆写脚本持久化缓存条目一致；
+ * 记录、导入与手动切换事件均交给覆写脚本的 NodeStatsManager (延迟草图与小时桶按其 Config.aiOptions 计算)，只在内存缓存中保存
+ * 读取早期不带 schema 的文件后按新格式写回；文件版本高于 NodeStatsManager.FILE_SCHEMA 时拒绝加载，避免旧版脚本覆盖新格式的数据
+ */
+class StatsStore {
+  constructor(file) {
+    const { NodeStatsManager, LRUCache } = require(CONFIG.MIHOMO_SCRIPT);
+    this.file = file;
+    this.names = new Set();
+    this.stats = new NodeStatsManager(new LRUCache({ maxSize: Infinity, ttl: CONFIG.TTL, store: null }));
+  }
+
+  load() {
+    const fs = require("fs");
+    const { NodeStatsManager, VersionedStore } = require(CONFIG.MIHOMO_SCRIPT);
+    if (!this.file || !fs.existsSync(this.file)) return this;
+    let parsed, upgraded;
+    try {
+      parsed = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    } catch (e) {
+      utils.log(`统计文件解析失败，将重新开始: ${e.message}`, "warn");
+      return this;
+    }
+    try {
+      upgraded = VersionedStore.upgrade(parsed, NodeStatsManager.FILE_SCHEMA, NodeStatsManager.FILE_MIGRATIONS);
+    } catch (e) {
+      throw new Error(`统计文件无法读取 (${e.message})，请更新覆写脚本与采集脚本`);
+    }
+    try {
+      this.stats.import(parsed);
+      for (const key of Object.keys(upgraded.data || {})) {
+        if (key.startsWith(CONFIG.PREFIX) && this.stats.cache.get(key)) this.names.add(key.slice(CONFIG.PREFIX.length));
+      }
+    } catch (e) {
+      utils.log(`统计文件内容无效，将重新开始: ${e.message}`, "warn");
+    }
+    if (upgraded.migrated) utils.log(`统计文件为版本 ${upgraded.schema} 格式，保存时升级到版本 ${NodeStatsManager.FILE_SCHEMA}`);
+    return this;
+  }
+
+  get(name) {
+    return this.stats.getStats(name);
+  }
+
+  update(name, data, scene = CONFIG.SCENE) {
+    this.names.add(name);
+    this.stats.updateStats(name, data, scene);
+  }
+
+  recordManualSelect(event) {
+    this.stats.recordManualSelect(event, false);
+  }
+
+  /** 先写临时文件再改名，避免覆写脚本读到半截内容；期间过期的条目不再写出 */
+  save() {
+    const fs = require("fs");
+    const { NodeStatsManager } = require(CONFIG.MIHOMO_SCRIPT);
+    const now = Date.now(), out = {};
+    for (const name of this.names) {
+      const value = this.stats.cache.get(CONFIG.PREFIX + name);
+      if (value) out[CONFIG.PREFIX + name] = { value, ttl: CONFIG.TTL, timestamp: now };
+      else this.names.delete(name);
+    }
+    const manual = this.stats.manualSelects();
+    if (manual.length) out[NodeStatsManager.MANUAL_KEY] = { value: manual, ttl: CONFIG.TTL, timestamp: now };
+    fs.writeFileSync(`${this.file}.tmp`, JSON.stringify({ schema: NodeStatsManager.FILE_SCHEMA, savedAt: now, data: out }));
+    fs.renameSync(`${this.file}.tmp`, this.file);
+    return this.names.size;
+  }
+}
+
+// ===================== 采集器 =====================
+class Collector {
+  constructor(client, store, opts = {}) {
+    this.client = client;
+    this.store = store;
+    this.url = opts.url || CONFIG.TEST_URL;
+    this.timeout = Number(opts.timeout) || CONFIG.TIMEOUT;
+    this.samples = Math.max(1, Number(opts.samples) || CONFIG.SAMPLES);
+    this.groups = opts.groups ? String(opts.groups).split(",").map(s => s.trim()).filter(Boolean) : null;
+    this.scene = opts.scene || CONFIG.SCENE;
+    this._traffic = new Map(); // 连接 id -> { download, upload, node }
+    this._trafficAt = 0;
+    this._selections = new Map(); // 组名 -> { now, fixed }
+  }
+
+  /**
+   * 一轮采集：按组批量测速，未被覆盖的节点单独测速，再结合连接流量估算带宽
+   * 已手动固定的组不做组测速 (组测速会清除固定，也会让下一轮误判为用户切换)，其成员改为单独测速
+   */
+  async round() {
+    const { nodes, groups } = await this.client.topology();
+    const nodeSet = new Set(nodes);
+    const manual = this._detectManualSelects(groups, nodeSet);
+    const tested = groups.filter(g => !g.fixed && (this.groups ? this.groups.includes(g.name) : CONFIG.TESTED_GROUP_TYPES.has(g.type)));
+    const covered = new Set(tested.flatMap(g => g.all.filter(n => nodeSet.has(n))));
+    const samples = new Map(nodes.map(n => [n, []]));
+
+    for (let i = 0; i < this.samples; i++) {
+      const seen = new Set();
+      await utils.limit(tested.map(g => async () => {
+        const result = await this.client.groupDelay(g.name, this.url, this.timeout);
+        for (const n of g.all) {
+          if (!nodeSet.has(n) || seen.has(n)) continue;
+          seen.add(n);
+          samples.get(n).push(Number(result[n]) > 0 ? Number(result[n]) : null);
+        }
+      }), CONFIG.CONCURRENCY);
+      await utils.limit(nodes.filter(n => !covered.has(n)).map(n => async () => {
+        samples.get(n).push(await this.client.proxyDelay(n, this.url, this.timeout).catch(() => null));
+      }), CONFIG.CONCURRENCY);
+    }
+
+    const bandwidth = await this._bandwidth(nodeSet).catch(e => {
+      utils.log(`读取连接失败: ${e.message}`, "warn");
+      return new Map();
+    });
+
+    let failed = 0;
+    for (const [name, values] of samples) {
+      if (!values.length) continue;
+      const ok = values.filter(v => v !== null);
+      if (!ok.length) failed++;
+      this.store.update(name, {
+        latency: utils.median(ok),
+        loss: (values.length - ok.length) / values.length,
+        availability: ok.length > 0,
+        fail: !ok.length,
+        ...(bandwidth.has(name) && { bandwidth: bandwidth.get(name) })
+      }, this.scene);
+    }
+    return { nodes: nodes.length, groups: tested.length, failed, bandwidth: bandwidth.size, manual };
+  }
+
+  /**
+   * 对比两轮之间各组的选择：URLTest / Fallback 组新固定到某节点，或 Selector 组切换到另一节点，
+   * 视为用户认为 chosen 优于切换前的 rejected (切换前选中的是代理组时取该组当时的节点)；首轮只记录基线
+   */
+  _detectManualSelects(groups, nodeSet) {
+    let count = 0;
+    const previous = this._selections;
+    const resolve = (name, depth = 0) => nodeSet.has(name) ? name : (depth < 5 && previous.has(name) ? resolve(previous.get(name).now, depth + 1) : null);
+    this._selections = new Map(groups.map(g => [g.name, { now: g.now, fixed: g.fixed }]));
+    for (const g of groups) {
+      const prev = previous.get(g.name);
+      if (!prev) continue;
+      let chosen = null;
+      if (g.type === "Selector" && g.now !== prev.now) chosen = g.now;
+      else if (g.fixed && g.fixed !== prev.fixed) chosen = g.fixed;
+      if (!chosen || !nodeSet.has(chosen)) continue;
+      const before = resolve(prev.now);
+      const rejected = before !== chosen ? before : null;
+      this.store.recordManualSelect({ group: g.name, chosen, rejected, scene: this.scene, t: Date.now() });
+      count++;
+    }
+    return count;
+  }
+
+  /** 以两次读取之间各连接的字节增量估算节点吞吐 (Mbps)，首轮只记录基线 */
+  async _bandwidth(nodeSet) {
+    const conns = await this.client.connections();
+    const now = Date.now(), elapsed = (now - this._trafficAt) / 1000;
+    const bytes = new Map(), next = new Map();
+    for (const c of conns) {
+      const node = (c.chains || []).find(n => nodeSet.has(n));
+      if (!c.id || !node) continue;
+      const total = (Number(c.download) || 0) + (Number(c.upload) || 0);
+      const prev = this._traffic.get(c.id);
+      if (prev && this._trafficAt) bytes.set(node, (bytes.get(node) || 0) + Math.max(0, total - prev));
+      next.set(c.id, total);
+    }
+    this._traffic = next;
+    this._trafficAt = now;
+    const result = new Map();
+    if (elapsed > 0) bytes.forEach((b, node) => { if (b > 0) result.set(node, +(b * 8 / 1e6 / elapsed).toFixed(2)); });
+    return result;
+  }
+}
+
+// ===================== 本地模拟控制器 =====================
+/**
+ * 离线验证用的模拟 external-controller：提供 /proxies、/proxies/:name/delay、/group/:name/delay 与 /connections，
+ * 节点延迟与失败率固定随机生成
+ */
+class StandInController {
+  constructor(nodes = ["🇭🇰 香港 01", "🇭🇰 香港 02", "🇯🇵 日本 01", "🇺🇸 美国 01", "🇸🇬 新加坡 01"]) {
+    this.nodes = new Map(nodes.map((n, i) => [n, { base: 40 + i * 45, failRate: i === nodes.length - 1 ? 0.5 : 0.05 }]));
+    this.groups = { "自动选择": { type: "URLTest", all: nodes }, "默认节点": { type: "Selector", all: ["自动选择", ...nodes, "DIRECT"] } };
+    this.bytes = 0;
+  }
+
+  _delay(name) {
+    const n = this.nodes.get(name);
+    return !n || Math.random() < n.failRate ? null : Math.round(n.base + Math.random() * 20);
+  }
+
+  handle(pathname, res) {
+    const send = (code, body) => { res.writeHead(code, { "Content-Type": "application/json" }); res.end(JSON.stringify(body)); };
+    let m;
+    if (pathname === "/proxies") {
+      const proxies = { DIRECT: { type: "Direct" }, REJECT: { type: "Reject" } };
+      this.nodes.forEach((_, name) => { proxies[name] = { type: "Shadowsocks" }; });
+      Object.entries(this.groups).forEach(([name, g]) => { proxies[name] = { type: g.type, all: g.all, now: g.now ?? g.all[0], ...(g.fixed && { fixed: g.fixed }) }; });
+      return send(200, { proxies });
+    }
+    if ((m = pathname.match(/^\/proxies\/(.+)\/delay$/))) {
+      const delay = this._delay(decodeURIComponent(m[1]));
+      return delay ? send(200, { delay }) : send(503, { message: "An error occurred in the delay test" });
+    }
+    if ((m = pathname.match(/^\/group\/(.+)\/delay$/))) {
+      const g = this.groups[decodeURIComponent(m[1])];
+      if (!g) return send(404, { message: "resource not found" });
+      const out = {};
+      if (g.type === "URLTest") delete g.fixed;
+      g.all.forEach(n => { const d = this._delay(n); if (d) out[n] = d; });
+      return send(200, out);
+    }
+    if (pathname === "/connections") {
+      this.bytes += 2.5e6;
+      const first = this.nodes.keys().next().value;
+      return send(200, { connections: [{ id: "c1", chains: [first, "自动选择"], download: this.bytes, upload: 0 }] });
+    }
+    send(404, { message: "resource not found" });
+  }
+
+  listen(port = 0) {
+    const http = require("http");
+    this.server = http.createServer((req, res) => this.handle(new URL(req.url, "http://localhost").pathname, res));
+    return new Promise(resolve => this.server.listen(port, "127.0.0.1", () => resolve(`http://127.0.0.1:${this.server.address().port}`)));
+  }
+
+  close() { this.server?.close(); }
+}
+
+// ===================== 入口 =====================
+async function run(opts = {}) {
+  const store = new StatsStore(opts.out || CONFIG.OUT).load();
+  const standIn = opts.standIn ? new StandInController() : null;
+  const controller = standIn ? await standIn.listen() : (opts.controller || CONFIG.CONTROLLER);
+  const client = new ControllerClient(controller, opts.secret || process.env.MIHOMO_SECRET || "", Number(opts.timeout) || CONFIG.TIMEOUT);
+  const collector = new Collector(client, store, opts);
+  const interval = Math.max(5, Number(opts.interval) || CONFIG.INTERVAL) * 1000;
+  utils.log(`控制器 ${controller}，输出 ${store.file}${opts.once ? "" : `，每 ${interval / 1000} 秒采集一次`}`);
+
+  let stopped = false, timer = null, wake = null;
+  const stop = () => { stopped = true; clearTimeout(timer); wake?.(); };
+  process.once("SIGINT", stop);
+  process.once("SIGTERM", stop);
+  try {
+    do {
+      try {
+        const r = await collector.round();
+        const saved = store.save();
+        utils.log(`测速 ${r.nodes} 个节点 (${r.groups} 个组批量)，失败 ${r.failed}，带宽样本 ${r.bandwidth}，手动切换 ${r.manual}，已写入 ${saved} 条`);
+      } catch (e) {
+        utils.log(`采集失败: ${e.message}`, "error");
+        if (opts.once) process.exitCode = 1;
+      }
+      if (opts.once || stopped) break;
+      await new Promise(r => { wake = r; timer = setTimeout(r, interval); });
+    } while (!stopped);
+  } finally {
+    process.removeListener("SIGINT", stop);
+    process.removeListener("SIGTERM", stop);
+    standIn?.close();
+  }
+}
+
+if (typeof module !== "undefined" && require.main === module) {
+  run(utils.parseArgs(process.argv.slice(2))).catch(e => {
+    utils.log(e.message, "error");
+    process.exitCode = 1;
+  });
+}
+
+if (typeof module !== "undefined") {
+  module.exports = { CONFIG, ControllerClient, StatsStore, Collector, StandInController, run };
+}
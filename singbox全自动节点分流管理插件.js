@@ -62,6 +62,9 @@ const CONSTANTS = {
   QUALITY_SCORE_THRESHOLD: 30,
   NODE_CLEANUP_THRESHOLD: 20,
   GEO_INFO_TIMEOUT: 3000,
+  TRUSTED_GEO_ENDPOINTS: ["ipwho.is", "ipapi.co", "ipinfo.io"], // 外部 GeoIP 只请求 https 且列于此处的主机 (或 URL 前缀)，可被插件配置 TrustedGeoEndpoints 覆盖
+  GEO_QUORUM: 1, // 采纳 GeoIP 结果所需的一致数据源数
+  GEO_DATABASE: "", // 离线 GeoIP 数据库路径 (.mmdb)，可被插件配置 GeoDatabase 覆盖；配置后不再调用外部接口
   FEATURE_WINDOW_SIZE: 50,
   ENABLE_SCORE_DEBUGGING: false,
   QUALITY_WEIGHT: 0.5,
@@ -78,7 +81,16 @@ const CONSTANTS = {
   THROUGHPUT_SCORE_MAX: 15,
   LATENCY_CLAMP_MS: 3000,
   JITTER_CLAMP_MS: 500,
-  LOSS_CLAMP: 1.0
+  LOSS_CLAMP: 1.0,
+  SKETCH_ACCURACY: 0.02, // 延迟分位数草图：相对误差、计数半衰期 (小时)、最多桶数，与覆写脚本 aiOptions.percentiles 一致
+  SKETCH_HALF_LIFE_H: 24,
+  SKETCH_MAX_BUCKETS: 128,
+  SKETCH_MIN_SAMPLES: 10, // 草图样本不足时评分仍用 EWMA
+  LATENCY_METRICS: ["ewma", "p50", "p95", "p99"],
+  AI_DATA_KEY: "ai_node_data",
+  // 2: { schema, savedAt, data: { metrics: { 节点: 指标数组 }, sketches: { 节点: 延迟草图 } } }；1 的 data 为 { 节点: 指标数组 }；0 为早期直接保存的节点指标对象
+  AI_DATA_SCHEMA: 2,
+  AI_DATA_MAX_BYTES: 512 * 1024
 };
 
 // ================= Logging =================
@@ -119,6 +131,7 @@ class AppState {
   constructor() {
     this.nodes = new Map();   // nodeId -> { metrics, score, geoInfo, lastEvaluated, availability... }
     this.metrics = new Map(); // nodeId -> recent metrics array
+    this.sketches = new Map(); // nodeId -> latency sketch (LatencySketch)
     this.config = {};
     this.lastUpdated = Date.now();
   }
@@ -230,6 +243,103 @@ class LRUCache {
   }
 }
 
+// ================= Persistent storage (后端 / 版本化文档) =================
+// 与 Sirkey 覆写脚本的 StorageBackend / VersionedStore 同源：后端读写 JSON 值，文档保存为 { schema, savedAt, data }
+class StorageBackend {
+  get name() { return "base"; }
+  read(key) { return null; }
+  write(key, value) { return false; }
+  remove(key) {}
+
+  /** auto 依次选用 $persistentStore、localStorage，都不可用时仅保存在内存 */
+  static create(backend = "auto") {
+    const available = {
+      persistentStore: () => typeof $persistentStore !== "undefined" && typeof $persistentStore?.write === "function",
+      localStorage: () => typeof window !== "undefined" && typeof window.localStorage?.setItem === "function",
+      memory: () => true
+    };
+    const create = { persistentStore: () => new PersistentStoreBackend(), localStorage: () => new LocalStorageBackend(), memory: () => new MemoryBackend() };
+    if (backend === "auto") return create[Object.keys(available).find(t => available[t]())]();
+    if (!create[backend]) throw new ConfigurationError(`存储后端无效: ${backend}`);
+    if (available[backend]()) return create[backend]();
+    Logger.warn(`当前环境不支持 ${backend} 存储，数据仅保存在内存中`);
+    return new MemoryBackend();
+  }
+}
+
+class MemoryBackend extends StorageBackend {
+  constructor() { super(); this.data = new Map(); }
+  get name() { return "memory"; }
+  read(key) { return this.data.has(key) ? JSON.parse(this.data.get(key)) : null; }
+  write(key, value) { this.data.set(key, JSON.stringify(value)); return true; }
+  remove(key) { this.data.delete(key); }
+}
+
+class PersistentStoreBackend extends StorageBackend {
+  get name() { return "persistentStore"; }
+  read(key) { const raw = $persistentStore.read(key); return raw ? JSON.parse(raw) : null; }
+  write(key, value) { return $persistentStore.write(JSON.stringify(value), key) !== false; }
+  remove(key) { $persistentStore.write("", key); }
+}
+
+class LocalStorageBackend extends StorageBackend {
+  get name() { return "localStorage"; }
+  read(key) { const raw = window.localStorage.getItem(key); return raw ? JSON.parse(raw) : null; }
+  write(key, value) { window.localStorage.setItem(key, JSON.stringify(value)); return true; }
+  remove(key) { window.localStorage.removeItem(key); }
+}
+
+/**
+ * 读取时按 migrations[n] (版本 n → n+1) 逐级升级，无 schema 字段的旧数据视为版本 0；
+ * 版本高于当前插件的文档不读取也不覆盖；序列化后超过 maxBytes 时先 compact，仍超出则放弃写入
+ */
+class VersionedStore {
+  constructor({ backend, key, version, migrations = {}, maxBytes = 0, compact = null }) {
+    Object.assign(this, { backend, key, version, migrations, maxBytes, compact });
+    this.readOnly = false;
+  }
+
+  static upgrade(raw, version, migrations = {}) {
+    const versioned = raw && typeof raw === "object" && Number.isInteger(raw.schema) && "data" in raw;
+    let schema = versioned ? raw.schema : 0, data = versioned ? raw.data : raw;
+    if (schema > version) throw new InvalidRequestError(`数据版本 ${schema} 高于当前支持的 ${version}`);
+    const from = schema;
+    for (; schema < version; schema++) {
+      if (typeof migrations[schema] !== "function") throw new InvalidRequestError(`缺少版本 ${schema} → ${schema + 1} 的迁移`);
+      data = migrations[schema](data);
+    }
+    return { data, schema: from, migrated: from !== version };
+  }
+
+  load() {
+    let raw;
+    try { raw = this.backend.read(this.key); }
+    catch (e) { Logger.warn(`${this.key} 读取失败 (${this.backend.name})，忽略旧数据:`, e.message); return null; }
+    if (raw === null || raw === undefined) return null;
+    try {
+      const { data, schema, migrated } = VersionedStore.upgrade(raw, this.version, this.migrations);
+      if (migrated) Logger.info(`${this.key} 已从版本 ${schema} 迁移到 ${this.version}`);
+      return data;
+    } catch (e) {
+      this.readOnly = raw?.schema > this.version;
+      Logger.warn(`${this.key} 无法加载: ${e.message}${this.readOnly ? "，保留原数据且不再写入" : ""}`);
+      return null;
+    }
+  }
+
+  save(data) {
+    if (this.readOnly) return false;
+    let doc = { schema: this.version, savedAt: Date.now(), data };
+    if (this.maxBytes > 0 && this.compact && VersionedStore.sizeOf(doc) > this.maxBytes) doc = { ...doc, data: this.compact(data, this.maxBytes) };
+    const size = VersionedStore.sizeOf(doc);
+    if (this.maxBytes > 0 && size > this.maxBytes) { Logger.warn(`${this.key} 大小 ${size} 字节超过上限 ${this.maxBytes}，未写入`); return false; }
+    try { return this.backend.write(this.key, doc) !== false; }
+    catch (e) { Logger.error(`${this.key} 写入失败 (${this.backend.name}):`, e.message); return false; }
+  }
+
+  static sizeOf(value) { return new TextEncoder().encode(JSON.stringify(value)).length; }
+}
+
 // ================= Rolling stats and trackers =================
 class RollingStats {
   constructor(windowSize = 100) {
@@ -257,6 +367,45 @@ class SuccessRateTracker {
   reset() { this.successCount = 0; this.totalCount = 0; this.hardFailStreak = 0; }
 }
 
+/**
+ * 延迟分位数草图，与 Sirkey 覆写脚本 LatencySketch 同源：桶 i 覆盖 (γ^(i-1), γ^i] 毫秒，γ = (1 + a) / (1 - a)，
+ * 计数按半衰期衰减，桶数超限时合并最低的桶；草图为普通对象 { a, b: { 桶号: 计数 }, n, t }，可直接持久化
+ */
+class LatencySketch {
+  static create(accuracy = CONSTANTS.SKETCH_ACCURACY) { return { a: accuracy, b: {}, n: 0, t: 0 }; }
+  static add(sketch, value, now = Date.now()) {
+    if (!Number.isFinite(value)) return sketch;
+    if (sketch.t && now > sketch.t) {
+      const f = Math.pow(0.5, (now - sketch.t) / (CONSTANTS.SKETCH_HALF_LIFE_H * 3600000));
+      if (f < 0.999) {
+        for (const [k, c] of Object.entries(sketch.b)) { const v = Math.round(c * f * 1e4) / 1e4; if (v > 0) sketch.b[k] = v; else delete sketch.b[k]; }
+        sketch.n *= f;
+      }
+    }
+    const key = Math.max(0, Math.ceil(Math.log(Math.max(value, 1)) / Math.log((1 + sketch.a) / (1 - sketch.a))));
+    sketch.b[key] = (sketch.b[key] || 0) + 1; sketch.n += 1; sketch.t = Math.max(sketch.t, now);
+    const keys = Object.keys(sketch.b).map(Number).sort((x, y) => x - y);
+    if (keys.length > CONSTANTS.SKETCH_MAX_BUCKETS) {
+      const target = keys[keys.length - CONSTANTS.SKETCH_MAX_BUCKETS];
+      for (const k of keys.slice(0, keys.length - CONSTANTS.SKETCH_MAX_BUCKETS)) { sketch.b[target] += sketch.b[k]; delete sketch.b[k]; }
+    }
+    return sketch;
+  }
+  static quantile(sketch, q) {
+    if (!sketch?.n) return null;
+    const keys = Object.keys(sketch.b).map(Number).sort((x, y) => x - y), rank = Math.max(0, Math.min(1, q)) * sketch.n;
+    let seen = 0, key = keys[keys.length - 1];
+    for (const k of keys) { seen += sketch.b[k]; if (seen >= rank) { key = k; break; } }
+    const gamma = (1 + sketch.a) / (1 - sketch.a);
+    return key <= 0 ? 1 : 2 * Math.pow(gamma, key) / (gamma + 1);
+  }
+  /** P50 / P95 / P99 与尾部离散度 (P99 - P50)，空草图各项为 null */
+  static summary(sketch) {
+    const [p50, p95, p99] = [0.5, 0.95, 0.99].map(q => LatencySketch.quantile(sketch, q));
+    return { p50, p95, p99, tail: p50 === null ? null : p99 - p50, samples: sketch?.n || 0 };
+  }
+}
+
 // ================= Utils =================
 const Utils = {
   sleep(ms = 0) { return new Promise(r => setTimeout(r, ms)); },
@@ -341,6 +490,13 @@ const Utils = {
     if (Math.floor(index) === index) return sorted[index];
     const i = Math.floor(index); const f = index - i;
     return sorted[i] + (sorted[i + 1] - sorted[i]) * f;
+  },
+  base64ToBytes(b64) {
+    if (typeof Buffer !== "undefined") return new Uint8Array(Buffer.from(b64, "base64"));
+    const bin = atob(b64);
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
   }
 };
 
@@ -434,24 +590,74 @@ async function _safeFetch(url, options = {}, timeout = CONSTANTS.GEO_INFO_TIMEOU
   return _fetch(url, defaultOptions);
 }
 
-async function fetchGeoPrimary(ip) {
-  try {
-    const resp = await _safeFetch(`https://ipapi.co/${ip}/json/`, { headers: { "User-Agent": "Mozilla/5.0" } }, CONSTANTS.GEO_INFO_TIMEOUT);
-    if (!resp.ok) throw new Error(`HTTP error! status: ${resp.status}`);
-    const data = await resp.json();
-    if (data.country_name) return { country: data.country_name, region: data.region || data.city || "Unknown" };
-    Logger.warn(`主API返回无效数据: ${JSON.stringify(data)}`); return null;
-  } catch (error) { Logger.warn(`主API调用失败: ${error.message}`); return null; }
+// 令牌桶：按秒匀速补充
+class TokenBucket {
+  constructor(capacity, perSecond) { this.capacity = Math.max(1, capacity); this.perSecond = Math.max(0, perSecond); this.tokens = this.capacity; this.last = Date.now(); }
+  take(n = 1) {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.last) / 1000 * this.perSecond);
+    this.last = now;
+    if (this.tokens < n) return false;
+    this.tokens -= n; return true;
+  }
 }
-async function fetchGeoFallback(ip) {
-  try {
-    const resp = await _safeFetch(`https://ipinfo.io/${ip}/json`, {}, CONSTANTS.GEO_INFO_TIMEOUT);
-    if (!resp.ok) throw new Error(`HTTP error! status: ${resp.status}`);
-    const data = await resp.json();
-    if (data.country) return { country: data.country, region: data.region || data.city || "Unknown" };
-    Logger.warn(`备用API返回无效数据: ${JSON.stringify(data)}`); return null;
-  } catch (error) { Logger.warn(`备用API调用失败: ${error.message}`); return null; }
+
+// 可插拔 GeoIP 数据源：按 priority 依次询问，各自令牌桶限速；GEO_QUORUM 个数据源国家一致即采纳，
+// 问完未达成时取唯一多数；只请求 https 且主机 (或 URL 前缀) 列于 TRUSTED_GEO_ENDPOINTS 的端点
+class GeoProviderRegistry {
+  constructor() { this.providers = new Map(); this.buckets = new Map(); }
+  register(provider) {
+    if (!provider || !provider.name || typeof provider.url !== "function" || typeof provider.parse !== "function") throw new Error("GeoProvider 需要 name、url() 与 parse()");
+    const rate = provider.rate || {};
+    this.providers.set(provider.name, { priority: 100, ...provider });
+    this.buckets.set(provider.name, new TokenBucket(rate.capacity ?? 10, rate.perSecond ?? 1));
+    return this;
+  }
+  unregister(name) { this.buckets.delete(name); return this.providers.delete(name); }
+  // 只返回国家代码的数据源 (ipinfo) 统一换算为英文国家名，无法换算时保留代码
+  static countryName(code) {
+    try { return new Intl.DisplayNames(["en"], { type: "region" }).of(String(code).toUpperCase()) || code; } catch { return code; }
+  }
+  isTrusted(url) {
+    let u;
+    try { u = new URL(url); } catch { return false; }
+    if (u.protocol !== "https:") return false;
+    const trusted = (typeof Plugin !== "undefined" && Array.isArray(Plugin.TrustedGeoEndpoints) && Plugin.TrustedGeoEndpoints.length) ? Plugin.TrustedGeoEndpoints : CONSTANTS.TRUSTED_GEO_ENDPOINTS;
+    return trusted.some(t => { const e = String(t).trim(); return e.includes("://") ? url.startsWith(e) : u.hostname === e.toLowerCase(); });
+  }
+  list() { return [...this.providers.values()].filter(p => this.isTrusted(p.url("1.1.1.1"))).sort((a, b) => a.priority - b.priority); }
+  async lookup(ip) {
+    const quorum = Math.max(1, CONSTANTS.GEO_QUORUM || 1);
+    const tally = new Map();
+    for (const provider of this.list()) {
+      if (!this.buckets.get(provider.name).take()) { Logger.debug(`${provider.name} 令牌耗尽，跳过`); continue; }
+      let geo = null;
+      try {
+        const resp = await _safeFetch(provider.url(ip), {}, CONSTANTS.GEO_INFO_TIMEOUT);
+        if (!resp.ok) throw new Error(`HTTP error! status: ${resp.status}`);
+        geo = provider.parse(await resp.json());
+      } catch (error) { Logger.warn(`${provider.name} 调用失败: ${error.message}`); continue; }
+      if (!geo || !geo.code) continue;
+      const key = String(geo.code).toUpperCase();
+      const vote = tally.get(key) || { ...geo, count: 0 };
+      vote.count++; tally.set(key, vote);
+      if (vote.count >= quorum) return { country: vote.country, region: vote.region || "Unknown" };
+    }
+    const ranked = [...tally.values()].sort((a, b) => b.count - a.count);
+    if (ranked.length === 1 || (ranked.length > 1 && ranked[0].count > ranked[1].count)) return { country: ranked[0].country, region: ranked[0].region || "Unknown" };
+    if (ranked.length > 1) Logger.warn(`GeoIP 数据源结果分歧 (${ranked.map(v => `${v.code}×${v.count}`).join(", ")})，已忽略`);
+    return null;
+  }
 }
+
+// 数据源与优先级同覆写脚本、Sub-Store 脚本：ipwho.is → ipapi.co → ipinfo.io
+const geoProviders = new GeoProviderRegistry()
+  .register({ name: "ipwho.is", priority: 10, rate: { capacity: 20, perSecond: 1 }, url: (ip) => `https://ipwho.is/${ip}?fields=success,country,country_code,region,city`,
+    parse: (d) => d && d.success ? { code: d.country_code, country: d.country, region: d.region || d.city } : null })
+  .register({ name: "ipapi.co", priority: 20, rate: { capacity: 10, perSecond: 0.5 }, url: (ip) => `https://ipapi.co/${ip}/json/`,
+    parse: (d) => d && d.country_code ? { code: d.country_code, country: d.country_name, region: d.region || d.city } : null })
+  .register({ name: "ipinfo.io", priority: 30, rate: { capacity: 10, perSecond: 0.5 }, url: (ip) => `https://ipinfo.io/${ip}/json`,
+    parse: (d) => d && d.country ? { code: d.country, country: GeoProviderRegistry.countryName(d.country), region: d.region || d.city } : null });
 function fallbackGeo(domain) {
   if (domain && typeof domain === "string" && /^[a-zA-Z0-9.-]+$/.test(domain)) {
     const tld = domain.split(".").pop().toLowerCase();
@@ -485,6 +691,183 @@ async function resolveDomainToIP(domain, lruCache) {
   }
 }
 
+// ================= MMDB reader (离线 GeoIP) =================
+// 纯 JS 读取 MaxMind DB (GeoLite2 Country/ASN、MetaCubeX geoip.metadb)，查询不产生网络请求
+class MMDBReader {
+  static METADATA_MARKER = [0xab, 0xcd, 0xef, 0x4d, 0x61, 0x78, 0x4d, 0x69, 0x6e, 0x64, 0x2e, 0x63, 0x6f, 0x6d]; // \xAB\xCD\xEFMaxMind.com
+  static _loaded = new Map();
+
+  constructor(bytes) {
+    this._buf = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    this._utf8Decoder = typeof TextDecoder !== "undefined" ? new TextDecoder("utf-8") : null;
+    const metaStart = this._findMetadata();
+    if (metaStart < 0) throw new Error("无效的 MMDB 文件: 缺少元数据段");
+    this.metadata = this._decode(metaStart, metaStart).value || {};
+    const { node_count: nodeCount, record_size: recordSize, ip_version: ipVersion } = this.metadata;
+    if (![24, 28, 32].includes(recordSize) || !(nodeCount > 0)) throw new Error(`不支持的 MMDB 结构 (record_size=${recordSize})`);
+    this._nodeCount = nodeCount;
+    this._recordSize = recordSize;
+    this._nodeBytes = recordSize / 4;
+    this._dataStart = nodeCount * this._nodeBytes + 16;
+    this._ipv4Start = 0;
+    if (ipVersion === 6) {
+      let node = 0;
+      for (let i = 0; i < 96 && node < nodeCount; i++) node = this._readRecord(node, 0);
+      this._ipv4Start = node;
+    }
+  }
+
+  // 加载数据库并按路径缓存：优先 Plugins.ReadFile (Binary 模式返回 base64)，Node 环境回退 fs
+  static async load(path) {
+    if (!path) return null;
+    if (this._loaded.has(path)) return this._loaded.get(path);
+    let bytes = null;
+    if (typeof Plugins !== "undefined" && typeof Plugins.ReadFile === "function") {
+      const b64 = await Plugins.ReadFile(path, { Mode: "Binary" });
+      bytes = Utils.base64ToBytes(b64);
+    } else if (typeof process !== "undefined" && process.versions?.node) {
+      bytes = require("fs").readFileSync(path);
+    } else {
+      throw new Error("当前环境无法读取本地文件");
+    }
+    const reader = new MMDBReader(bytes);
+    this._loaded.set(path, reader);
+    Logger.info(`已加载离线 GeoIP 数据库 ${reader.metadata.database_type || "MMDB"} (${reader._nodeCount} 节点)`);
+    return reader;
+  }
+
+  lookup(ip) {
+    let bytes = MMDBReader.parseIP(ip);
+    if (!bytes) return null;
+    if (bytes.length === 16 && bytes.slice(0, 10).every(b => b === 0) && bytes[10] === 0xff && bytes[11] === 0xff) bytes = bytes.slice(12);
+    if (bytes.length === 16 && this.metadata.ip_version === 4) return null;
+    let node = bytes.length === 4 ? this._ipv4Start : 0;
+    const bits = bytes.length * 8;
+    for (let i = 0; i < bits && node < this._nodeCount; i++) node = this._readRecord(node, (bytes[i >> 3] >> (7 - (i & 7))) & 1);
+    if (node <= this._nodeCount) return null;
+    return this._decode(this._dataStart + node - this._nodeCount - 16, this._dataStart).value;
+  }
+
+  // 归一化为 { code, country, asn, org }：MaxMind 为 { country: { iso_code, names } }，sing-geoip 为代码字符串，Meta-geoip0 为代码数组
+  lookupGeo(ip) {
+    const record = this.lookup(ip);
+    if (!record) return null;
+    if (typeof record === "string" || Array.isArray(record)) {
+      const code = [].concat(record).find(c => /^[a-z]{2}$/i.test(c));
+      return code ? { code: code.toUpperCase(), country: code.toUpperCase() } : null;
+    }
+    const out = {};
+    const country = record.country || record.registered_country || record.represented_country;
+    if (country?.iso_code) { out.code = country.iso_code.toUpperCase(); out.country = country.names?.en || out.code; }
+    if (record.autonomous_system_number) { out.asn = record.autonomous_system_number; out.org = record.autonomous_system_organization || ""; }
+    return Object.keys(out).length ? out : null;
+  }
+
+  static parseIP(ip) {
+    const s = String(ip ?? "").trim().replace(/^\[|\]$/g, "").replace(/%.*$/, "");
+    if (/^(\d{1,3}\.){3}\d{1,3}$/.test(s)) { const p = s.split(".").map(Number); return p.every(n => n <= 255) ? p : null; }
+    if (!s.includes(":")) return null;
+    const halves = s.split("::");
+    if (halves.length > 2) return null;
+    const parseGroups = (part) => {
+      const groups = [];
+      for (const g of part ? part.split(":") : []) {
+        if (g.includes(".")) {
+          const v4 = MMDBReader.parseIP(g);
+          if (!v4 || v4.length !== 4) return null;
+          groups.push((v4[0] << 8) | v4[1], (v4[2] << 8) | v4[3]);
+        } else if (/^[0-9a-f]{1,4}$/i.test(g)) groups.push(parseInt(g, 16));
+        else return null;
+      }
+      return groups;
+    };
+    const head = parseGroups(halves[0]), tail = halves.length === 2 ? parseGroups(halves[1]) : [];
+    if (!head || !tail) return null;
+    const fill = halves.length === 2 ? 8 - head.length - tail.length : 0;
+    if (fill < 0 || head.length + fill + tail.length !== 8) return null;
+    return [...head, ...new Array(fill).fill(0), ...tail].flatMap(g => [g >> 8, g & 0xff]);
+  }
+
+  _findMetadata() {
+    const buf = this._buf, marker = MMDBReader.METADATA_MARKER;
+    const stop = Math.max(0, buf.length - 128 * 1024); // 元数据位于文件末尾 128KB 内
+    for (let i = buf.length - marker.length; i >= stop; i--) {
+      let ok = true;
+      for (let j = 0; j < marker.length; j++) if (buf[i + j] !== marker[j]) { ok = false; break; }
+      if (ok) return i + marker.length;
+    }
+    return -1;
+  }
+
+  _readRecord(node, bit) {
+    const b = this._buf, off = node * this._nodeBytes;
+    if (this._recordSize === 24) { const o = off + bit * 3; return (b[o] << 16) | (b[o + 1] << 8) | b[o + 2]; }
+    if (this._recordSize === 28) {
+      return bit === 0
+        ? ((b[off + 3] & 0xf0) << 20) | (b[off] << 16) | (b[off + 1] << 8) | b[off + 2]
+        : ((b[off + 3] & 0x0f) << 24) | (b[off + 4] << 16) | (b[off + 5] << 8) | b[off + 6];
+    }
+    return this._uint(off + bit * 4, 4);
+  }
+
+  _uint(offset, size) {
+    let v = 0;
+    for (let i = 0; i < size; i++) v = v * 256 + this._buf[offset + i];
+    return v;
+  }
+
+  // 解码数据段中的一个值，返回 { value, next }；base 为指针的基准偏移
+  _decode(offset, base) {
+    const buf = this._buf;
+    const ctrl = buf[offset++];
+    let type = ctrl >> 5;
+    if (type === 1) {
+      const ss = (ctrl >> 3) & 3, vvv = ctrl & 7;
+      const ptr = ss === 0 ? (vvv << 8) | buf[offset]
+        : ss === 1 ? ((vvv << 16) | (buf[offset] << 8) | buf[offset + 1]) + 2048
+        : ss === 2 ? (vvv * 0x1000000 + this._uint(offset, 3)) + 526336
+        : this._uint(offset, 4);
+      return { value: this._decode(base + ptr, base).value, next: offset + ss + 1 };
+    }
+    if (type === 0) type = 7 + buf[offset++];
+    let size = ctrl & 0x1f;
+    if (size >= 29) {
+      const extra = size - 28;
+      size = size === 29 ? 29 + buf[offset] : (size === 30 ? 285 + this._uint(offset, 2) : 65821 + this._uint(offset, 3));
+      offset += extra;
+    }
+    switch (type) {
+      case 2: {
+        const bytes = buf.subarray(offset, offset + size);
+        const value = this._utf8Decoder ? this._utf8Decoder.decode(bytes) : decodeURIComponent(escape(String.fromCharCode(...bytes)));
+        return { value, next: offset + size };
+      }
+      case 3: return { value: new DataView(buf.buffer, buf.byteOffset + offset, 8).getFloat64(0), next: offset + 8 };
+      case 4: return { value: buf.subarray(offset, offset + size), next: offset + size };
+      case 5: case 6: case 9: case 10: return { value: this._uint(offset, size), next: offset + size };
+      case 8: { const v = this._uint(offset, size); return { value: size === 4 ? v | 0 : v, next: offset + size }; }
+      case 7: {
+        const map = {};
+        for (let i = 0; i < size; i++) {
+          const key = this._decode(offset, base);
+          const val = this._decode(key.next, base);
+          map[key.value] = val.value;
+          offset = val.next;
+        }
+        return { value: map, next: offset };
+      }
+      case 11: {
+        const arr = [];
+        for (let i = 0; i < size; i++) { const item = this._decode(offset, base); arr.push(item.value); offset = item.next; }
+        return { value: arr, next: offset };
+      }
+      case 14: return { value: size !== 0, next: offset };
+      case 15: return { value: new DataView(buf.buffer, buf.byteOffset + offset, 4).getFloat32(0), next: offset + 4 };
+      default: return { value: null, next: offset + size };
+    }
+  }
+}
+
 // ================= Config (保留原样式与规则) =================
 const Config = {
   enable: true,
@@ -589,7 +972,14 @@ class MetricsManager { constructor(state) { this.state = state; } append(nodeId,
   if (!nodeId) return; const arr = this.state.metrics.get(nodeId) || []; arr.push(metrics);
   if (arr.length > CONSTANTS.FEATURE_WINDOW_SIZE) this.state.metrics.set(nodeId, arr.slice(-CONSTANTS.FEATURE_WINDOW_SIZE));
   else this.state.metrics.set(nodeId, arr);
-}}
+  // 硬失败记录的延迟是超时值，不计入延迟分布
+  if (metrics && !metrics.__hardFail && metrics.success !== false && Number(metrics.latency) > 0) {
+    const sketch = this.state.sketches.get(nodeId) || LatencySketch.create();
+    this.state.sketches.set(nodeId, LatencySketch.add(sketch, Number(metrics.latency)));
+  }
+}
+quantiles(nodeId) { return LatencySketch.summary(this.state.sketches.get(nodeId)); }
+}
 
 class AvailabilityTracker {
   constructor(state, nodeManager) { this.state = state; this.nodeManager = nodeManager; this.trackers = nodeManager.nodeSuccess; }
@@ -705,6 +1095,7 @@ class CentralManager extends EventEmitter {
     this.availabilityTracker = new AvailabilityTracker(this.state, this.nodeManager);
     this.throughputEstimator = new ThroughputEstimator();
     this.kernelApiAdapter = kernelApiAdapter;
+    this.aiStore = CentralManager.createAIStore();
     CentralManager.instance = this;
   }
 
@@ -937,15 +1328,32 @@ class CentralManager extends EventEmitter {
     const cached = this.geoInfoCache.get(ip);
     if (cached) return cached;
 
-    const primary = await fetchGeoPrimary(ip);
-    if (primary) { this.geoInfoCache.set(ip, primary); return primary; }
-    const fallback = await fetchGeoFallback(ip);
-    if (fallback) { this.geoInfoCache.set(ip, fallback); return fallback; }
+    const dbPath = (typeof Plugin !== "undefined" && Plugin.GeoDatabase) || CONSTANTS.GEO_DATABASE;
+    if (dbPath) {
+      const local = await this.getLocalGeoInfo(ip, dbPath);
+      const resolved = local || fallbackGeo(domain);
+      this.geoInfoCache.set(ip, resolved, local ? undefined : CONSTANTS.GEO_FALLBACK_TTL);
+      return resolved;
+    }
+
+    const remote = await geoProviders.lookup(ip);
+    if (remote) { this.geoInfoCache.set(ip, remote); return remote; }
     const downgraded = fallbackGeo(domain);
     this.geoInfoCache.set(ip, downgraded, CONSTANTS.GEO_FALLBACK_TTL);
     return downgraded;
   }
 
+  async getLocalGeoInfo(ip, dbPath) {
+    try {
+      const reader = await MMDBReader.load(dbPath);
+      const geo = reader && reader.lookupGeo(ip);
+      return geo && geo.country ? { country: geo.country, region: "Unknown", countryCode: geo.code, asn: geo.asn, org: geo.org } : null;
+    } catch (e) {
+      if (!this._geoDbFailed) { this._geoDbFailed = true; Logger.warn(`离线 GeoIP 数据库不可用: ${e.message}`); }
+      return null;
+    }
+  }
+
   async testNodeMultiMetrics(node) {
     const cacheKey = `nodeMetrics:${node.id}`;
     const cached = this.lruCache.get(cacheKey);
@@ -1022,12 +1430,13 @@ class CentralManager extends EventEmitter {
     const nodeHistory = this.nodeManager.nodeHistory.get(node.id) || [];
     const recentMetrics = this.state.metrics.get(node.id) || [];
     if (recentMetrics.length < CONSTANTS.MIN_SAMPLE_SIZE) return metrics.success ? 2 : -2;
-    const features = this.extractNodeFeatures(metrics, recentMetrics, nodeHistory);
+    const features = this.extractNodeFeatures(metrics, recentMetrics, nodeHistory, this.metricsManager.quantiles(node.id));
     const prediction = this.predictNodeFuturePerformance(features);
     return this.calculateScoreAdjustment(prediction, metrics.success);
   }
 
-  extractNodeFeatures(currentMetrics, recentMetrics, history) {
+  /** 分位数特征优先取长期草图 (样本不少于 SKETCH_MIN_SAMPLES)，否则按近期窗口计算 */
+  extractNodeFeatures(currentMetrics, recentMetrics, history, quantiles = null) {
     const latencies = recentMetrics.map(m => Number(m.latency)).filter(Number.isFinite);
     const losses    = recentMetrics.map(m => Number(m.loss)).filter(Number.isFinite);
     const jitters   = recentMetrics.map(m => Number(m.jitter)).filter(Number.isFinite);
@@ -1041,6 +1450,8 @@ class CentralManager extends EventEmitter {
     const avgLatency = latencies.length ? latencies.reduce((a, b) => a + b, 0) / latencies.length : 0;
     const latencyStd = Utils.calculateStdDev(latencies);
     const latencyCV  = (latencyStd / (avgLatency || 1)) || 0;
+    const sketched = quantiles?.samples >= CONSTANTS.SKETCH_MIN_SAMPLES;
+    const [p50Latency, p95Latency, p99Latency] = sketched ? [quantiles.p50, quantiles.p95, quantiles.p99] : [50, 95, 99].map(p => Utils.calculatePercentile(latencies, p));
 
     return {
       currentLatency: Number.isFinite(currentMetrics.latency) ? currentMetrics.latency : 0,
@@ -1049,7 +1460,10 @@ class CentralManager extends EventEmitter {
       currentBps: Number.isFinite(currentMetrics.bps) ? currentMetrics.bps : 0,
       success: currentMetrics.success ? 1 : 0,
       avgLatency,
-      p95Latency: Utils.calculatePercentile(latencies, 95),
+      p50Latency,
+      p95Latency,
+      p99Latency,
+      tailSpread: Math.max(0, (p99Latency || 0) - (p50Latency || 0)),
       weightedLatency,
       latencyStd,
       latencyCV,
@@ -1072,7 +1486,7 @@ class CentralManager extends EventEmitter {
     let risk = 0;
     risk += Math.min(features.currentLatency / 1000, 1) * weights.latency;
     risk += Math.min(features.currentLoss, 1) * weights.loss;
-    risk += Math.min(features.latencyStd / 100, 1) * weights.jitter;
+    risk += Math.min(Math.max(features.latencyStd / 100, (features.tailSpread || 0) / 1000), 1) * weights.jitter;
     risk += Math.max(0, (0.8 - features.successRate) / 0.8) * weights.successRate;
     if (features.latencyTrend > 5) risk += 0.1 * weights.trend;
     if (features.lossTrend > 0.1) risk += 0.1 * weights.trend;
@@ -1106,54 +1520,56 @@ class CentralManager extends EventEmitter {
 
   async loadAIDBFromFile() {
     try {
-      let raw = "";
-      let storage = null;
-      try {
-        if (typeof $persistentStore !== "undefined" && $persistentStore) storage = $persistentStore;
-        else if (typeof window !== "undefined" && window.localStorage) storage = window.localStorage;
-      } catch {}
-      if (storage) {
-        try {
-          if (typeof storage.getItem === "function") raw = storage.getItem("ai_node_data") || "";
-          else if (typeof storage.read === "function") raw = storage.read("ai_node_data") || "";
-        } catch {}
-      }
-      if (raw && typeof raw === "string" && raw.trim()) {
-        try {
-          const data = JSON.parse(raw);
-          if (typeof data === "object" && data !== null && !Array.isArray(data)) {
-            Object.entries(data).forEach(([id, stats]) => {
-              if (id && typeof id === "string" && stats && typeof stats === "object") {
-                try { this.state.metrics.set(id, Array.isArray(stats) ? stats : [stats]); }
-                catch {}
-              }
-            });
-          }
-        } catch (e) {
-          try {
-            if (typeof $persistentStore !== "undefined" && $persistentStore.write) $persistentStore.write("", "ai_node_data");
-            else if (typeof window !== "undefined" && window.localStorage?.removeItem) window.localStorage.removeItem("ai_node_data");
-          } catch {}
-        }
-      }
+      const data = this.aiStore.load();
+      if (!data || typeof data !== "object") return;
+      Object.entries(data.metrics || {}).forEach(([id, metrics]) => { if (Array.isArray(metrics)) this.state.metrics.set(id, metrics); });
+      Object.entries(data.sketches || {}).forEach(([id, sketch]) => { if (sketch?.b && sketch.n > 0) this.state.sketches.set(id, sketch); });
+      Logger.info(`AI 节点数据已加载: ${this.state.metrics.size} 个节点 (${this.aiStore.backend.name})`);
     } catch (e) { Logger.error("AI数据加载失败:", e && e.stack ? e.stack : e); }
   }
 
   saveAIDBToFile() {
     try {
-      if (!this.state || !this.state.metrics) return;
-      const data = Object.fromEntries(this.state.metrics.entries());
-      if (!data || Object.keys(data).length === 0) return;
-      const raw = JSON.stringify(data, null, 2);
-      if (!raw || raw.length === 0) return;
-      let saved = false;
-      try {
-        if (typeof $persistentStore !== "undefined" && $persistentStore?.write === "function") { $persistentStore.write(raw, "ai_node_data"); saved = true; }
-        else if (typeof window !== "undefined" && window.localStorage?.setItem === "function") { window.localStorage.setItem("ai_node_data", raw); saved = true; }
-      } catch (e) { Logger.error("AI数据保存到存储失败:", e && e.message ? e.message : e); }
-      if (!saved) Logger.warn("无法保存AI数据: 未找到可用的存储接口");
+      if (!this.state || !this.state.metrics || this.state.metrics.size === 0) return;
+      if (this.aiStore.backend instanceof MemoryBackend) { Logger.warn("无法保存AI数据: 未找到可用的存储接口"); return; }
+      this.aiStore.save({ metrics: Object.fromEntries(this.state.metrics.entries()), sketches: Object.fromEntries(this.state.sketches.entries()) });
     } catch (e) { Logger.error("AI数据保存失败:", e && e.stack ? e.stack : e); }
   }
+
+  static createAIStore(backend = "auto") {
+    return new VersionedStore({
+      backend: StorageBackend.create(backend),
+      key: CONSTANTS.AI_DATA_KEY,
+      version: CONSTANTS.AI_DATA_SCHEMA,
+      maxBytes: CONSTANTS.AI_DATA_MAX_BYTES,
+      // 版本 0 的值可能是单个指标对象，统一为数组并丢弃无效条目
+      migrations: {
+        0: (data) => Object.fromEntries(Object.entries(data && typeof data === "object" && !Array.isArray(data) ? data : {})
+          .filter(([id, m]) => id && m && typeof m === "object")
+          .map(([id, m]) => [id, Array.isArray(m) ? m : [m]])),
+        // 版本 2 起与延迟草图一起保存
+        1: (data) => ({ metrics: data || {}, sketches: {} })
+      },
+      compact: CentralManager.compactMetrics
+    });
+  }
+
+  /** 超出上限时先把每个节点的指标窗口减半，仍超出则按最近记录时间丢弃最久未更新的节点 (连同其延迟草图) */
+  static compactMetrics(data, maxBytes) {
+    const { metrics = {}, sketches = {} } = data;
+    const sizeOf = (m) => VersionedStore.sizeOf({ metrics: m, sketches });
+    let window = CONSTANTS.FEATURE_WINDOW_SIZE, out = metrics;
+    while (window > 1 && sizeOf(out) > maxBytes) {
+      window = Math.floor(window / 2);
+      out = Object.fromEntries(Object.entries(metrics).map(([id, arr]) => [id, arr.slice(-window)]));
+    }
+    const lastSeen = (id, arr) => arr.reduce((t, m) => Math.max(t, m?.timestamp || 0), sketches[id]?.t || 0);
+    const entries = Object.entries(out).sort(([a, x], [b, y]) => lastSeen(b, y) - lastSeen(a, x));
+    let size = 64;
+    const kept = entries.filter(([id, arr]) => (size += VersionedStore.sizeOf({ [id]: arr, s: sketches[id] })) <= maxBytes * 0.9);
+    Logger.info(`AI 节点数据超出 ${maxBytes} 字节，压缩为每节点 ${window} 条、${kept.length}/${entries.length} 个节点`);
+    return { metrics: Object.fromEntries(kept), sketches: Object.fromEntries(kept.filter(([id]) => sketches[id]).map(([id]) => [id, sketches[id]])) };
+  }
 }
 
 // ================= SingBox request adapter =================
@@ -1192,6 +1608,7 @@ class ProxyServer {
     this.options = options;
 
     this.ewmaLatency = null;
+    this.quantiles = null; // 中央 MetricsManager 的延迟分位数，latencyMetric 不为 ewma 时参与评分
     this.failureCount = 0;
     this.lastDelay = '';
     this.penalty = 0;
@@ -1249,9 +1666,18 @@ class ProxyServer {
     const dt = (now - this.lastPenaltyUpdate) / 1000;
     const decayedPenalty = this.penalty * Math.exp(-this.options.penaltyDecayRate * dt);
     const pScore = this.options.priorityWeight * this.priority;
-    const lScore = this.options.latencyWeight * (1 / this.ewmaLatency);
+    const lScore = this.options.latencyWeight * (1 / this.scoringLatency());
     const penScore = this.options.penaltyWeight * decayedPenalty;
-    return pScore + lScore - penScore;
+    const tailScore = this.options.tailWeight * (this.hasQuantiles() ? this.quantiles.tail / 1000 : 0);
+    return pScore + lScore - penScore - tailScore;
+  }
+
+  hasQuantiles() { return this.quantiles?.samples >= CONSTANTS.SKETCH_MIN_SAMPLES; }
+
+  /** latencyMetric 为 p50 / p95 / p99 且草图样本足够时取对应分位数，否则取 EWMA */
+  scoringLatency() {
+    const metric = this.options.latencyMetric;
+    return (metric !== 'ewma' && this.hasQuantiles() && this.quantiles[metric]) || this.ewmaLatency;
   }
 }
 
@@ -1268,9 +1694,15 @@ class ProxyManager {
       latencyWeight: 100.0,
       penaltyWeight: 1.0,
       hysteresisMargin: 0.1,
+      latencyMetric: 'ewma', // 延迟评分采用的统计量：ewma / p50 / p95 / p99
+      tailWeight: 0, // 尾部离散度 (P99 - P50，秒) 的扣分权重
       monitoringInterval: 60 * 1000,
       requestTimeout: 5000
     }, options);
+    if (!CONSTANTS.LATENCY_METRICS.includes(this.options.latencyMetric)) {
+      Logger.warn(`未知的延迟统计量 ${this.options.latencyMetric}，使用 ewma (可选: ${CONSTANTS.LATENCY_METRICS.join(' / ')})`);
+      this.options.latencyMetric = 'ewma';
+    }
 
     this.proxies = proxyConfigs.map((cfg) => new ProxyServer(cfg.id, cfg.url, cfg.priority, cfg.group, this.options));
     this.current = null;
@@ -1302,6 +1734,7 @@ class ProxyManager {
         const metrics = await this.central.testNodeMultiMetrics(nodeDef);
         metrics.latency = delay;
         this.central.metricsManager.append(proxy.id, metrics);
+        proxy.quantiles = this.central.metricsManager.quantiles(proxy.id);
         const availTracker = this.central.availabilityTracker;
         availTracker.ensure(proxy.id);
         availTracker.record(proxy.id, true, { hardFail: false });
@@ -26,6 +26,20 @@ const CONSTANTS = {
   JITTER_WEIGHT: 0.1,
   AVAILABILITY_WEIGHT: 0.2,
 
+  // 延迟分位数草图：相对误差、计数半衰期 (小时)、最多桶数，与覆写脚本 aiOptions.percentiles 一致
+  SKETCH_ACCURACY: 0.02,
+  SKETCH_HALF_LIFE_H: 24,
+  SKETCH_MAX_BUCKETS: 128,
+  SKETCH_MIN_SAMPLES: 10,
+  // 质量评分的延迟取值：mean 为近期均值，p50 / p95 / p99 取草图分位数 (样本不足时退回 mean)
+  LATENCY_METRIC: 'mean',
+
+  // 持久化：AI_DATA_SCHEMA 2 为 { schema, savedAt, data: { metrics: { 节点: 指标数组 }, sketches: { 节点: 延迟草图 } } }，
+  // 1 的 data 为 { 节点: 指标数组 }，0 为早期直接保存的节点指标对象
+  AI_DATA_KEY: 'ai_node_data',
+  AI_DATA_SCHEMA: 2,
+  AI_DATA_MAX_BYTES: 512 * 1024,
+
   // 输出控制
   EXPORT_TO_GLOBAL: true,
 
@@ -182,6 +196,65 @@ class RollingStats {
   }
 }
 
+/**
+ * 延迟分位数草图，与 Sirkey 覆写脚本 LatencySketch 同源：桶 i 覆盖 (γ^(i-1), γ^i] 毫秒，γ = (1 + a) / (1 - a)，
+ * 计数按半衰期衰减，桶数超限时合并最低的桶；草图为普通对象 { a, b: { 桶号: 计数 }, n, t }，随 AI 数据持久化
+ */
+class LatencySketch {
+  static create(accuracy = CONSTANTS.SKETCH_ACCURACY) {
+    return { a: accuracy, b: {}, n: 0, t: 0 };
+  }
+  static add(sketch, value, now = Date.now()) {
+    if (!Number.isFinite(value)) return sketch;
+    if (sketch.t && now > sketch.t) {
+      const f = Math.pow(0.5, (now - sketch.t) / (CONSTANTS.SKETCH_HALF_LIFE_H * 3600000));
+      if (f < 0.999) {
+        for (const [k, c] of Object.entries(sketch.b)) {
+          const v = Math.round(c * f * 1e4) / 1e4;
+          if (v > 0) sketch.b[k] = v;
+          else delete sketch.b[k];
+        }
+        sketch.n *= f;
+      }
+    }
+    const gamma = (1 + sketch.a) / (1 - sketch.a);
+    const key = Math.max(0, Math.ceil(Math.log(Math.max(value, 1)) / Math.log(gamma)));
+    sketch.b[key] = (sketch.b[key] || 0) + 1;
+    sketch.n += 1;
+    sketch.t = Math.max(sketch.t, now);
+    const keys = Object.keys(sketch.b).map(Number).sort((x, y) => x - y);
+    if (keys.length > CONSTANTS.SKETCH_MAX_BUCKETS) {
+      const target = keys[keys.length - CONSTANTS.SKETCH_MAX_BUCKETS];
+      for (const k of keys.slice(0, keys.length - CONSTANTS.SKETCH_MAX_BUCKETS)) {
+        sketch.b[target] += sketch.b[k];
+        delete sketch.b[k];
+      }
+    }
+    return sketch;
+  }
+  static quantile(sketch, q) {
+    if (!sketch?.n) return null;
+    const keys = Object.keys(sketch.b).map(Number).sort((x, y) => x - y);
+    const rank = Math.max(0, Math.min(1, q)) * sketch.n;
+    let seen = 0;
+    let key = keys[keys.length - 1];
+    for (const k of keys) {
+      seen += sketch.b[k];
+      if (seen >= rank) {
+        key = k;
+        break;
+      }
+    }
+    const gamma = (1 + sketch.a) / (1 - sketch.a);
+    return key <= 0 ? 1 : 2 * Math.pow(gamma, key) / (gamma + 1);
+  }
+  /** P50 / P95 / P99 与尾部离散度 (P99 - P50)，空草图各项为 null */
+  static summary(sketch) {
+    const [p50, p95, p99] = [0.5, 0.95, 0.99].map((q) => LatencySketch.quantile(sketch, q));
+    return { p50, p95, p99, tail: p50 === null ? null : p99 - p50, samples: sketch?.n || 0 };
+  }
+}
+
 /* ===================== 缓存管理 ===================== */
 
 class LRUCache {
@@ -296,6 +369,120 @@ class SmartCacheManager {
   }
 }
 
+/* ===================== 持久化存储 ===================== */
+
+// 与 Sirkey 覆写脚本的 StorageBackend / VersionedStore 同源：后端读写 JSON 值，文档保存为 { schema, savedAt, data }
+class StorageBackend {
+  // 无 $mixin.storage 时 (如 Node 中调试) 仅保存在内存
+  static create() {
+    return typeof $mixin !== 'undefined' && typeof $mixin?.storage?.get === 'function' ? new MixinStorageBackend() : new MemoryBackend();
+  }
+}
+
+class MixinStorageBackend extends StorageBackend {
+  get name() {
+    return 'mixin.storage';
+  }
+  read(key) {
+    const raw = $mixin.storage.get(key);
+    if (raw === null || raw === undefined || raw === '') return null;
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+  }
+  write(key, value) {
+    $mixin.storage.set(key, JSON.stringify(value));
+    return true;
+  }
+  remove(key) {
+    if (typeof $mixin.storage.delete === 'function') $mixin.storage.delete(key);
+    else $mixin.storage.set(key, '');
+  }
+}
+
+class MemoryBackend extends StorageBackend {
+  data = new Map();
+  get name() {
+    return 'memory';
+  }
+  read(key) {
+    return this.data.has(key) ? JSON.parse(this.data.get(key)) : null;
+  }
+  write(key, value) {
+    this.data.set(key, JSON.stringify(value));
+    return true;
+  }
+  remove(key) {
+    this.data.delete(key);
+  }
+}
+
+/**
+ * 读取时按 migrations[n] (版本 n → n+1) 逐级升级，无 schema 字段的旧数据视为版本 0；
+ * 版本高于当前脚本的文档不读取也不覆盖；序列化后超过 maxBytes 时先 compact，仍超出则放弃写入
+ */
+class VersionedStore {
+  constructor({ backend, key, version, migrations = {}, maxBytes = 0, compact = null }) {
+    Object.assign(this, { backend, key, version, migrations, maxBytes, compact });
+    this.readOnly = false;
+  }
+
+  static upgrade(raw, version, migrations = {}) {
+    const versioned = raw && typeof raw === 'object' && Number.isInteger(raw.schema) && 'data' in raw;
+    let schema = versioned ? raw.schema : 0;
+    let data = versioned ? raw.data : raw;
+    if (schema > version) throw new Error(`数据版本 ${schema} 高于当前支持的 ${version}`);
+    const from = schema;
+    for (; schema < version; schema++) {
+      if (typeof migrations[schema] !== 'function') throw new Error(`缺少版本 ${schema} → ${schema + 1} 的迁移`);
+      data = migrations[schema](data);
+    }
+    return { data, schema: from, migrated: from !== version };
+  }
+
+  load() {
+    let raw;
+    try {
+      raw = this.backend.read(this.key);
+    } catch (error) {
+      Logger.warn(`${this.key} 读取失败 (${this.backend.name})，忽略旧数据:`, error.message);
+      return null;
+    }
+    if (raw === null || raw === undefined) return null;
+    try {
+      const { data, schema, migrated } = VersionedStore.upgrade(raw, this.version, this.migrations);
+      if (migrated) Logger.info(`${this.key} 已从版本 ${schema} 迁移到 ${this.version}`);
+      return data;
+    } catch (error) {
+      this.readOnly = raw?.schema > this.version;
+      Logger.warn(`${this.key} 无法加载: ${error.message}${this.readOnly ? '，保留原数据且不再写入' : ''}`);
+      return null;
+    }
+  }
+
+  save(data) {
+    if (this.readOnly) return false;
+    let doc = { schema: this.version, savedAt: Date.now(), data };
+    if (this.maxBytes > 0 && this.compact && VersionedStore.sizeOf(doc) > this.maxBytes) {
+      doc = { ...doc, data: this.compact(data, this.maxBytes) };
+    }
+    const size = VersionedStore.sizeOf(doc);
+    if (this.maxBytes > 0 && size > this.maxBytes) {
+      Logger.warn(`${this.key} 大小 ${size} 字节超过上限 ${this.maxBytes}，未写入`);
+      return false;
+    }
+    try {
+      return this.backend.write(this.key, doc) !== false;
+    } catch (error) {
+      Logger.error(`${this.key} 写入失败 (${this.backend.name}):`, error.message);
+      return false;
+    }
+  }
+
+  static sizeOf(value) {
+    const json = JSON.stringify(value);
+    return typeof TextEncoder !== 'undefined' ? new TextEncoder().encode(json).length : unescape(encodeURIComponent(json)).length;
+  }
+}
+
 /* ===================== 指标与性能 ===================== */
 
 class SuccessRateTracker {
@@ -392,11 +579,18 @@ class MetricsManager {
     } else {
       this.state.metrics.set(nodeId, arr);
     }
+    if (metrics && metrics.success !== false && Number(metrics.latency) > 0) {
+      const sketch = this.state.sketches.get(nodeId) || LatencySketch.create();
+      this.state.sketches.set(nodeId, LatencySketch.add(sketch, Number(metrics.latency)));
+    }
   }
   getRecent(nodeId, n = 10) {
     const arr = this.state.metrics.get(nodeId) || [];
     return arr.slice(-n);
   }
+  quantiles(nodeId) {
+    return LatencySketch.summary(this.state.sketches.get(nodeId));
+  }
 }
 
 class PerformanceMonitor {
@@ -734,6 +928,7 @@ class CentralManager {
     this.state = {
       config: null,
       metrics: new Map(), // nodeTag -> metricsEntry[]
+      sketches: new Map(), // nodeTag -> 延迟草图 (LatencySketch)
       nodeStatus: new Map(),
       currentNode: null,
       lastSwitchTime: 0
@@ -917,7 +1112,7 @@ class CentralManager {
     const metrics = this.state.metrics.get(nodeTag) || [];
     if (metrics.length === 0) return 0.5;
     const recentMetrics = metrics.slice(-10);
-    const avgLatency = recentMetrics.reduce((sum, m) => sum + (m.latency ?? 0), 0) / Math.max(1, recentMetrics.length);
+    const avgLatency = this.scoringLatency(nodeTag, recentMetrics.reduce((sum, m) => sum + (m.latency ?? 0), 0) / Math.max(1, recentMetrics.length));
     const avgLoss = recentMetrics.reduce((sum, m) => sum + (m.loss ?? 0), 0) / Math.max(1, recentMetrics.length);
     const successRate = this.availabilityTracker.rate(nodeTag);
     const latencyScore = Math.max(0, 1 - (avgLatency / 1000));
@@ -930,6 +1125,19 @@ class CentralManager {
     );
   }
 
+  /** 按 LATENCY_METRIC 取评分用的延迟：草图样本足够时用对应分位数，否则用传入的近期均值 */
+  scoringLatency(nodeTag, mean) {
+    const metric = CONSTANTS.LATENCY_METRIC;
+    if (metric === 'mean') return mean;
+    if (!['p50', 'p95', 'p99'].includes(metric)) {
+      if (!this._warnedMetric) Logger.warn(`未知的延迟统计量 ${metric}，使用 mean (可选: mean / p50 / p95 / p99)`);
+      this._warnedMetric = true;
+      return mean;
+    }
+    const quantiles = this.metricsManager.quantiles(nodeTag);
+    return quantiles.samples >= CONSTANTS.SKETCH_MIN_SAMPLES ? quantiles[metric] : mean;
+  }
+
   aiScoreNode(nodeLike) {
     const nodeTag = nodeLike?.name || nodeLike?.tag || nodeLike;
     const features = this.extractNodeFeatures({ name: nodeTag });
@@ -961,13 +1169,20 @@ class CentralManager {
     const jitterStats = Utils.rollingStats(jitters);
     const throughputStats = Utils.rollingStats(throughputs);
     const meanLatency = Math.max(1, latencyStats.mean);
+    // 长期草图的尾部离散度与近期窗口的变异系数取较差者作为稳定性
+    const quantiles = this.metricsManager.quantiles(nodeTag);
+    const tailRatio = quantiles.samples >= CONSTANTS.SKETCH_MIN_SAMPLES && quantiles.p99 > 0 ? quantiles.tail / quantiles.p99 : 0;
     return {
-      latency: latencyStats.mean,
+      latency: this.scoringLatency(nodeTag, latencyStats.mean),
       lossRate: lossStats.mean,
       jitter: jitterStats.mean,
       throughput: throughputStats.mean,
       availability: this.availabilityTracker.rate(nodeTag),
-      stability: 1 - (latencyStats.std / meanLatency)
+      stability: Math.min(1 - (latencyStats.std / meanLatency), 1 - tailRatio),
+      p50: quantiles.p50,
+      p95: quantiles.p95,
+      p99: quantiles.p99,
+      tailSpread: quantiles.tail
     };
   }
 
@@ -1122,39 +1337,69 @@ class CentralManager {
   }
 
   async loadAIDBFromFile() {
-    return new Promise((resolve) => {
-      try {
-        if (typeof $mixin?.storage?.get !== 'undefined') {
-          const data = $mixin.storage.get('ai_node_data');
-          if (data) {
-            const parsed = Utils.safeJsonParse(data, null);
-            if (parsed && typeof parsed === 'object') {
-              this.state.metrics = new Map(Object.entries(parsed));
-              Logger.info('AI节点数据加载成功');
-            }
-          }
-        }
-      } catch (error) {
-        Logger.warn('AI数据加载失败:', error);
-      } finally {
-        resolve();
+    try {
+      this.aiStore ??= CentralManager.createAIStore();
+      const data = this.aiStore.load();
+      if (data && typeof data === 'object') {
+        this.state.metrics = new Map(Object.entries(data.metrics || {}));
+        this.state.sketches = new Map(Object.entries(data.sketches || {}).filter(([, sketch]) => sketch?.b && sketch.n > 0));
+        Logger.info(`AI节点数据加载成功: ${this.state.metrics.size} 个节点`);
       }
-    });
+    } catch (error) {
+      Logger.warn('AI数据加载失败:', error);
+    }
   }
 
   saveAIDBToFile() {
     try {
-      const data = Object.fromEntries(this.state.metrics.entries());
-      if (Object.keys(data).length > 0 && typeof $mixin?.storage?.set !== 'undefined') {
-        const raw = JSON.stringify(data);
-        $mixin.storage.set('ai_node_data', raw);
-        Logger.debug('AI数据保存成功');
-      }
+      if (this.state.metrics.size === 0) return;
+      this.aiStore ??= CentralManager.createAIStore();
+      const data = { metrics: Object.fromEntries(this.state.metrics.entries()), sketches: Object.fromEntries(this.state.sketches.entries()) };
+      if (this.aiStore.save(data)) Logger.debug('AI数据保存成功');
     } catch (error) {
       Logger.error('AI数据保存失败:', error);
     }
   }
 
+  static createAIStore(backend = StorageBackend.create()) {
+    return new VersionedStore({
+      backend,
+      key: CONSTANTS.AI_DATA_KEY,
+      version: CONSTANTS.AI_DATA_SCHEMA,
+      maxBytes: CONSTANTS.AI_DATA_MAX_BYTES,
+      // 版本 0 的值可能是单个指标对象，统一为数组并丢弃无效条目
+      migrations: {
+        0: (data) => Object.fromEntries(Object.entries(data && typeof data === 'object' && !Array.isArray(data) ? data : {})
+          .filter(([tag, m]) => tag && m && typeof m === 'object')
+          .map(([tag, m]) => [tag, Array.isArray(m) ? m : [m]])),
+        // 版本 2 起与延迟草图一起保存
+        1: (data) => ({ metrics: data || {}, sketches: {} })
+      },
+      compact: CentralManager.compactMetrics
+    });
+  }
+
+  /** 超出上限时先把每个节点的指标窗口减半，仍超出则按最近记录时间丢弃最久未更新的节点 (连同其延迟草图) */
+  static compactMetrics(data, maxBytes) {
+    const { metrics = {}, sketches = {} } = data;
+    const sizeOf = (m) => VersionedStore.sizeOf({ metrics: m, sketches });
+    let window = CONSTANTS.FEATURE_WINDOW_SIZE;
+    let out = metrics;
+    while (window > 1 && sizeOf(out) > maxBytes) {
+      window = Math.floor(window / 2);
+      out = Object.fromEntries(Object.entries(metrics).map(([tag, arr]) => [tag, arr.slice(-window)]));
+    }
+    const lastSeen = (tag, arr) => arr.reduce((t, m) => Math.max(t, m?.timestamp || 0), sketches[tag]?.t || 0);
+    const entries = Object.entries(out).sort(([a, x], [b, y]) => lastSeen(b, y) - lastSeen(a, x));
+    let size = 64;
+    const kept = entries.filter(([tag, arr]) => (size += VersionedStore.sizeOf({ [tag]: arr, s: sketches[tag] })) <= maxBytes * 0.9);
+    Logger.info(`AI节点数据超出 ${maxBytes} 字节，压缩为每节点 ${window} 条、${kept.length}/${entries.length} 个节点`);
+    return {
+      metrics: Object.fromEntries(kept),
+      sketches: Object.fromEntries(kept.filter(([tag]) => sketches[tag]).map(([tag]) => [tag, sketches[tag]]))
+    };
+  }
+
   _handleResponse(response) {
     if (!response || !response.node) return;
     try {
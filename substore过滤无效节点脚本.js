@@ -15,7 +15,17 @@ const CONFIG = Object.freeze({
   PORT_BLACKLIST: new Set([25,135,137,138,139,445,1433,3306,3389,69,143,161,162,465,587,993,995,5432,6379,22,23,1935,554,37777,47808]),
   TEST_URLS: ["https://www.google.com/generate_204", "https://www.gstatic.com/generate_204"],
   USER_AGENT: "SubStore/1.1 (Sirkey Optimized)",
-  GEO_API: "https://ip-api.com/json/{ip}?fields=status,country,city",
+  GEO_PROVIDERS: [
+    { name: "ipwho.is", priority: 10, rate: { capacity: 20, perSecond: 1 }, url: (ip) => `https://ipwho.is/${ip}?fields=success,country,country_code,city`,
+      parse: (d) => d?.success ? { code: d.country_code, country: d.country, city: d.city } : null },
+    { name: "ipapi.co", priority: 20, rate: { capacity: 10, perSecond: 0.5 }, url: (ip) => `https://ipapi.co/${ip}/json/`,
+      parse: (d) => d?.country_code ? { code: d.country_code, country: d.country_name, city: d.city } : null },
+    { name: "ipinfo.io", priority: 30, rate: { capacity: 10, perSecond: 0.5 }, url: (ip) => `https://ipinfo.io/${ip}/json`,
+      parse: (d) => d?.country ? { code: d.country, country: GeoProviderRegistry.countryName(d.country), city: d.city } : null }
+  ],
+  TRUSTED_GEO_ENDPOINTS: ["ipwho.is", "ipapi.co", "ipinfo.io"], // 仅请求 https 且列于此处的主机 (或 URL 前缀)
+  GEO_QUORUM: 1, // 采纳结果所需的一致数据源数
+  GEO_DATABASE: "", // 离线 GeoIP 数据库路径 (.mmdb)，配置后不再请求外部数据源
   DOH_URL: "https://cloudflare-dns.com/dns-query?name={host}&type=A"
 });
 
@@ -98,10 +108,269 @@ const utils = {
   }
 };
 
+// ===================== 离线 GeoIP (MMDB) =====================
+// 纯 JS 读取 MaxMind DB (GeoLite2 Country/ASN、MetaCubeX geoip.metadb)，查询不产生网络请求
+class MMDBReader {
+  static METADATA_MARKER = [0xab, 0xcd, 0xef, 0x4d, 0x61, 0x78, 0x4d, 0x69, 0x6e, 0x64, 0x2e, 0x63, 0x6f, 0x6d]; // \xAB\xCD\xEFMaxMind.com
+  static _loaded = new Map();
+
+  constructor(bytes) {
+    this._buf = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    this._utf8Decoder = typeof TextDecoder !== "undefined" ? new TextDecoder("utf-8") : null;
+    const metaStart = this._findMetadata();
+    if (metaStart < 0) throw new Error("无效的 MMDB 文件: 缺少元数据段");
+    this.metadata = this._decode(metaStart, metaStart).value || {};
+    const { node_count: nodeCount, record_size: recordSize, ip_version: ipVersion } = this.metadata;
+    if (![24, 28, 32].includes(recordSize) || !(nodeCount > 0)) throw new Error(`不支持的 MMDB 结构 (record_size=${recordSize})`);
+    this._nodeCount = nodeCount;
+    this._recordSize = recordSize;
+    this._nodeBytes = recordSize / 4;
+    this._dataStart = nodeCount * this._nodeBytes + 16;
+    this._ipv4Start = 0;
+    if (ipVersion === 6) {
+      let node = 0;
+      for (let i = 0; i < 96 && node < nodeCount; i++) node = this._readRecord(node, 0);
+      this._ipv4Start = node;
+    }
+  }
+
+  // 加载数据库并按路径缓存 (Sub-Store 后端为 Node 环境，经 fs 读取)
+  static load(path) {
+    if (!path) return null;
+    if (this._loaded.has(path)) return this._loaded.get(path);
+    if (typeof require !== "function") throw new Error("当前环境无法读取本地文件");
+    const reader = new MMDBReader(require("fs").readFileSync(path));
+    this._loaded.set(path, reader);
+    utils.log(`已加载离线 GeoIP 数据库 ${reader.metadata.database_type || "MMDB"} (${reader._nodeCount} 节点)`);
+    return reader;
+  }
+
+  lookup(ip) {
+    let bytes = MMDBReader.parseIP(ip);
+    if (!bytes) return null;
+    if (bytes.length === 16 && bytes.slice(0, 10).every(b => b === 0) && bytes[10] === 0xff && bytes[11] === 0xff) bytes = bytes.slice(12);
+    if (bytes.length === 16 && this.metadata.ip_version === 4) return null;
+    let node = bytes.length === 4 ? this._ipv4Start : 0;
+    const bits = bytes.length * 8;
+    for (let i = 0; i < bits && node < this._nodeCount; i++) node = this._readRecord(node, (bytes[i >> 3] >> (7 - (i & 7))) & 1);
+    if (node <= this._nodeCount) return null;
+    return this._decode(this._dataStart + node - this._nodeCount - 16, this._dataStart).value;
+  }
+
+  // 归一化为 { code, country, asn, org }：MaxMind 为 { country: { iso_code, names } }，sing-geoip 为代码字符串，Meta-geoip0 为代码数组
+  lookupGeo(ip) {
+    const record = this.lookup(ip);
+    if (!record) return null;
+    if (typeof record === "string" || Array.isArray(record)) {
+      const code = [].concat(record).find(c => /^[a-z]{2}$/i.test(c));
+      return code ? { code: code.toUpperCase(), country: code.toUpperCase() } : null;
+    }
+    const out = {};
+    const country = record.country || record.registered_country || record.represented_country;
+    if (country?.iso_code) { out.code = country.iso_code.toUpperCase(); out.country = country.names?.en || out.code; }
+    if (record.autonomous_system_number) { out.asn = record.autonomous_system_number; out.org = record.autonomous_system_organization || ""; }
+    return Object.keys(out).length ? out : null;
+  }
+
+  static parseIP(ip) {
+    const s = String(ip ?? "").trim().replace(/^\[|\]$/g, "").replace(/%.*$/, "");
+    if (REGEX.IPV4.test(s)) return s.split(".").map(Number);
+    if (!s.includes(":")) return null;
+    const halves = s.split("::");
+    if (halves.length > 2) return null;
+    const parseGroups = (part) => {
+      const groups = [];
+      for (const g of part ? part.split(":") : []) {
+        if (g.includes(".")) {
+          const v4 = MMDBReader.parseIP(g);
+          if (!v4 || v4.length !== 4) return null;
+          groups.push((v4[0] << 8) | v4[1], (v4[2] << 8) | v4[3]);
+        } else if (/^[0-9a-f]{1,4}$/i.test(g)) groups.push(parseInt(g, 16));
+        else return null;
+      }
+      return groups;
+    };
+    const head = parseGroups(halves[0]), tail = halves.length === 2 ? parseGroups(halves[1]) : [];
+    if (!head || !tail) return null;
+    const fill = halves.length === 2 ? 8 - head.length - tail.length : 0;
+    if (fill < 0 || head.length + fill + tail.length !== 8) return null;
+    return [...head, ...new Array(fill).fill(0), ...tail].flatMap(g => [g >> 8, g & 0xff]);
+  }
+
+  _findMetadata() {
+    const buf = this._buf, marker = MMDBReader.METADATA_MARKER;
+    const stop = Math.max(0, buf.length - 128 * 1024); // 元数据位于文件末尾 128KB 内
+    for (let i = buf.length - marker.length; i >= stop; i--) {
+      let ok = true;
+      for (let j = 0; j < marker.length; j++) if (buf[i + j] !== marker[j]) { ok = false; break; }
+      if (ok) return i + marker.length;
+    }
+    return -1;
+  }
+
+  _readRecord(node, bit) {
+    const b = this._buf, off = node * this._nodeBytes;
+    if (this._recordSize === 24) { const o = off + bit * 3; return (b[o] << 16) | (b[o + 1] << 8) | b[o + 2]; }
+    if (this._recordSize === 28) {
+      return bit === 0
+        ? ((b[off + 3] & 0xf0) << 20) | (b[off] << 16) | (b[off + 1] << 8) | b[off + 2]
+        : ((b[off + 3] & 0x0f) << 24) | (b[off + 4] << 16) | (b[off + 5] << 8) | b[off + 6];
+    }
+    return this._uint(off + bit * 4, 4);
+  }
+
+  _uint(offset, size) {
+    let v = 0;
+    for (let i = 0; i < size; i++) v = v * 256 + this._buf[offset + i];
+    return v;
+  }
+
+  // 解码数据段中的一个值，返回 { value, next }；base 为指针的基准偏移
+  _decode(offset, base) {
+    const buf = this._buf;
+    const ctrl = buf[offset++];
+    let type = ctrl >> 5;
+    if (type === 1) {
+      const ss = (ctrl >> 3) & 3, vvv = ctrl & 7;
+      const ptr = ss === 0 ? (vvv << 8) | buf[offset]
+        : ss === 1 ? ((vvv << 16) | (buf[offset] << 8) | buf[offset + 1]) + 2048
+        : ss === 2 ? (vvv * 0x1000000 + this._uint(offset, 3)) + 526336
+        : this._uint(offset, 4);
+      return { value: this._decode(base + ptr, base).value, next: offset + ss + 1 };
+    }
+    if (type === 0) type = 7 + buf[offset++];
+    let size = ctrl & 0x1f;
+    if (size >= 29) {
+      const extra = size - 28;
+      size = size === 29 ? 29 + buf[offset] : (size === 30 ? 285 + this._uint(offset, 2) : 65821 + this._uint(offset, 3));
+      offset += extra;
+    }
+    switch (type) {
+      case 2: {
+        const bytes = buf.subarray(offset, offset + size);
+        const value = this._utf8Decoder ? this._utf8Decoder.decode(bytes) : decodeURIComponent(escape(String.fromCharCode(...bytes)));
+        return { value, next: offset + size };
+      }
+      case 3: return { value: new DataView(buf.buffer, buf.byteOffset + offset, 8).getFloat64(0), next: offset + 8 };
+      case 4: return { value: buf.subarray(offset, offset + size), next: offset + size };
+      case 5: case 6: case 9: case 10: return { value: this._uint(offset, size), next: offset + size };
+      case 8: { const v = this._uint(offset, size); return { value: size === 4 ? v | 0 : v, next: offset + size }; }
+      case 7: {
+        const map = {};
+        for (let i = 0; i < size; i++) {
+          const key = this._decode(offset, base);
+          const val = this._decode(key.next, base);
+          map[key.value] = val.value;
+          offset = val.next;
+        }
+        return { value: map, next: offset };
+      }
+      case 11: {
+        const arr = [];
+        for (let i = 0; i < size; i++) { const item = this._decode(offset, base); arr.push(item.value); offset = item.next; }
+        return { value: arr, next: offset };
+      }
+      case 14: return { value: size !== 0, next: offset };
+      case 15: return { value: new DataView(buf.buffer, buf.byteOffset + offset, 4).getFloat32(0), next: offset + 4 };
+      default: return { value: null, next: offset + size };
+    }
+  }
+}
+
+// ===================== GeoIP 数据源 =====================
+// 令牌桶：按秒匀速补充
+class TokenBucket {
+  constructor(capacity, perSecond) {
+    this.capacity = Math.max(1, capacity);
+    this.perSecond = Math.max(0, perSecond);
+    this.tokens = this.capacity;
+    this.last = Date.now();
+  }
+
+  take(n = 1) {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.last) / 1000 * this.perSecond);
+    this.last = now;
+    if (this.tokens < n) return false;
+    this.tokens -= n;
+    return true;
+  }
+}
+
+// 按 priority 依次询问各数据源，令牌耗尽则跳过；GEO_QUORUM 个数据源国家一致即采纳，问完未达成时取唯一多数
+// 只请求 https 且主机 (或 URL 前缀) 列于 TRUSTED_GEO_ENDPOINTS 的端点
+class GeoProviderRegistry {
+  constructor(providers = [], opt = CONFIG) {
+    this.opt = opt;
+    this.providers = new Map();
+    this.buckets = new Map();
+    providers.forEach(p => this.register(p));
+  }
+
+  /** 只返回国家代码的数据源 (ipinfo) 统一换算为英文国家名，与其余数据源的输出一致；无法换算时保留代码 */
+  static countryName(code) {
+    try {
+      return new Intl.DisplayNames(["en"], { type: "region" }).of(String(code).toUpperCase()) || code;
+    } catch {
+      return code;
+    }
+  }
+
+  register(provider) {
+    if (!provider?.name || typeof provider.url !== "function" || typeof provider.parse !== "function") throw new Error("GeoProvider 需要 name、url() 与 parse()");
+    const rate = provider.rate || {};
+    this.providers.set(provider.name, { priority: 100, ...provider });
+    this.buckets.set(provider.name, new TokenBucket(rate.capacity ?? 10, rate.perSecond ?? 1));
+    return this;
+  }
+
+  isTrusted(url) {
+    let u;
+    try { u = new URL(url); } catch { return false; }
+    if (u.protocol !== "https:") return false;
+    return (this.opt.TRUSTED_GEO_ENDPOINTS || []).some(t => {
+      const e = String(t).trim();
+      return e.includes("://") ? url.startsWith(e) : u.hostname === e.toLowerCase();
+    });
+  }
+
+  list() {
+    return [...this.providers.values()].filter(p => this.isTrusted(p.url("1.1.1.1"))).sort((a, b) => a.priority - b.priority);
+  }
+
+  async lookup(ip) {
+    const quorum = Math.max(1, Number(this.opt.GEO_QUORUM) || 1);
+    const tally = new Map();
+    for (const provider of this.list()) {
+      if (!this.buckets.get(provider.name).take()) continue;
+      let geo = null;
+      try {
+        const res = await utils.fetch(provider.url(ip));
+        if (!res.ok) continue;
+        geo = provider.parse(await res.json());
+      } catch (e) {
+        utils.log(`${provider.name} 查询失败: ${e.message}`, "warn");
+        continue;
+      }
+      if (!geo?.code) continue;
+      const key = String(geo.code).toUpperCase();
+      const vote = tally.get(key) || { ...geo, count: 0 };
+      vote.count++;
+      tally.set(key, vote);
+      if (vote.count >= quorum) return vote;
+    }
+    const ranked = [...tally.values()].sort((a, b) => b.count - a.count);
+    if (ranked.length === 1 || (ranked.length > 1 && ranked[0].count > ranked[1].count)) return ranked[0];
+    if (ranked.length > 1) utils.log(`${ip} 数据源结果分歧，已忽略`, "warn");
+    return null;
+  }
+}
+
 class Validator {
   constructor(options = {}) {
     this.opt = { ...CONFIG, ...options };
     utils.isDebug = !!this.opt.debug;
+    this.geo = new GeoProviderRegistry([...(this.opt.GEO_PROVIDERS || []), ...(options.geoProviders || [])], this.opt);
     this.keywords = new Set([...(this.opt.INVALID_KEYWORDS || []), ...(this.opt.FREE_KEYWORDS || [])].map(k => k.toLowerCase()));
     this.tldMap = {
       cn: "中国", hk: "中国香港", mo: "中国澳门", tw: "中国台湾", jp: "日本", sg: "新加坡", us: "美国", kr: "韩国", 
@@ -161,6 +430,17 @@ class Validator {
     } catch { return null; }
   }
 
+  getGeoDatabase() {
+    const path = this.opt.geoDatabase || this.opt.GEO_DATABASE;
+    if (!path || this._geoDbFailed) return null;
+    try { return MMDBReader.load(path); }
+    catch (e) {
+      this._geoDbFailed = true;
+      utils.log(`离线 GeoIP 数据库不可用: ${e.message}`, "error");
+      return null;
+    }
+  }
+
   async getGeoTag(p) {
     const host = String(p.server).toLowerCase();
     // 优先 TLD
@@ -169,20 +449,27 @@ class Validator {
     if (this.tldMap[tld]) return `[${this.tldMap[tld]}]`;
     if (parts.length > 0 && this.tldMap[parts[parts.length - 1]]) return `[${this.tldMap[parts.pop()]}]`;
 
+    // 离线数据库：IP 直接查询，域名仅在允许远程解析时经 DoH 解析后查询
+    const db = this.getGeoDatabase();
+    if (db) {
+      const ip = REGEX.IPV4.test(host) || REGEX.IPV6.test(host) ? host : (this.opt.enableRemoteGeo ? await this.resolveIP(host) : null);
+      const geo = ip ? db.lookupGeo(ip) : null;
+      if (!geo?.code) return "";
+      const lc = geo.code.toLowerCase();
+      return `[${this.tldMap[lc === "gb" ? "uk" : lc] || geo.country}]`;
+    }
+
     // 远程解析 (仅在必要时)
     if (this.opt.enableRemoteGeo) {
       const ip = await this.resolveIP(host);
       if (ip) {
         if (utils.cache.has(`geo:${ip}`)) return utils.cache.get(`geo:${ip}`);
-        try {
-          const res = await utils.fetch(CONFIG.GEO_API.replace("{ip}", ip));
-          const json = await res.json();
-          if (json?.status === "success") {
-            const tag = `[${json.country}${json.city ? "-" + json.city : ""}]`;
-            utils.cache.set(`geo:${ip}`, tag);
-            return tag;
-          }
-        } catch {}
+        const geo = await this.geo.lookup(ip);
+        if (geo) {
+          const tag = `[${geo.country}${geo.city ? "-" + geo.city : ""}]`;
+          utils.cache.set(`geo:${ip}`, tag);
+          return tag;
+        }
       }
     }
     return "";
@@ -294,7 +581,8 @@ async function filter(proxies = [], options = {}) {
 
 // Sub-Store 环境自动执行逻辑
 if (typeof $proxies !== "undefined") {
-  filter($proxies).then(res => {
+  const args = typeof $arguments !== "undefined" && $arguments ? $arguments : {};
+  filter($proxies, args.geoDatabase ? { geoDatabase: args.geoDatabase } : {}).then(res => {
     $done({ proxies: res });
   }).catch(e => {
     console.log(`Sub-Store 运行错误: ${e.message}`);
@@ -0,0 +1,435 @@
+// 节点切换策略回放模拟脚本 - Sirkey 覆写脚本 / sing-box 插件配套工具
+// 用录制或合成的逐节点延迟 / 丢包 / 可用性轨迹，在虚拟时钟上驱动真实的评分与切换逻辑，离线比较不同策略：
+//   mihomo:<模式>  覆写脚本 AIEngine 的节点挑选 (tiers / ucb1 / thompson)，按构建间隔重新挑选；
+//                  可再接延迟统计量，如 mihomo:tiers:p95 以 P95 延迟代替 EWMA 评分
+//   singbox:<预设> sing-box 插件 ProxyManager 的 EWMA / 断路器 / 惩罚分与滞后切换，切换冷却取自 NodeManager
+// 输出切换次数、停留在劣化节点上的时间、平均体验延迟与冷却期内切换次数
+//
+// 用法:
+//   node 节点切换策略回放模拟脚本.js                                       # 合成 72 小时轨迹，比较默认策略
+//   node 节点切换策略回放模拟脚本.js --trace ./node_stats.json --engines mihomo:tiers,mihomo:thompson
+//   node 节点切换策略回放模拟脚本.js --presets ./presets.json --engines singbox:Stable,singbox:Mine --format json
+// --trace 可为本脚本 --save-trace 保存的轨迹，或节点统计采集脚本输出的 node_stats.json
+"use strict";
+
+const path = require("path");
+
+const CONFIG = Object.freeze({
+  MIHOMO_SCRIPT: path.join(__dirname, "clash-verge&flclash&mihomo.js"),
+  SINGBOX_PLUGIN: path.join(__dirname, "singbox全自动节点分流管理插件.js"),
+  STEP: 60, // 轨迹步长 (秒)
+  HOURS: 72, // 合成轨迹时长
+  NODES: 6,
+  SEED: 1,
+  MIHOMO_INTERVAL: 600, // 覆写脚本重新挑选节点的间隔 (秒)，对应配置重载周期
+  SINGBOX_INTERVAL: 60, // 插件 monitoringInterval (秒)
+  DEGRADED_LATENCY: 500, // 体验延迟超过该值 (ms) 或丢包超过 DEGRADED_LOSS 视为劣化
+  DEGRADED_LOSS: 0.1,
+  ENGINES: ["mihomo:tiers", "mihomo:ucb1", "singbox:Stable", "singbox:LatencyFirst"],
+  // 示例预设，格式同插件配置的 StableMode / LatencyFirstMode (只列与默认值不同的参数)；实际参数可用 --presets 传入
+  PRESETS: {
+    Stable: { ewmaAlpha: 0.15, failureThreshold: 5, penaltyDecayRate: 0.05, hysteresisMargin: 0.5 },
+    LatencyFirst: { ewmaAlpha: 0.5, failureThreshold: 2, circuitBreakerTimeout: 120000, latencyWeight: 200, hysteresisMargin: 0.02 },
+    TailAware: { ewmaAlpha: 0.15, failureThreshold: 5, penaltyDecayRate: 0.05, hysteresisMargin: 0.5, latencyMetric: "p95", tailWeight: 1 }
+  },
+  PROFILES: ["peak", "outage", "degrading", "flaky", "stable"]
+});
+
+const utils = {
+  log(msg, level = "info") {
+    console.log(`[${level.toUpperCase()}][${new Date().toLocaleTimeString()}] ${String(msg)}`);
+  },
+
+  /** 可复现的伪随机数 (mulberry32) */
+  rng(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  },
+
+  deepMerge(target, source) {
+    for (const [k, v] of Object.entries(source || {})) {
+      if (v && typeof v === "object" && !Array.isArray(v) && target[k] && typeof target[k] === "object") utils.deepMerge(target[k], v);
+      else target[k] = v;
+    }
+    return target;
+  },
+
+  percentile(values, p) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+  },
+
+  parseArgs(argv) {
+    const opts = {};
+    for (let i = 0; i < argv.length; i++) {
+      const m = argv[i].match(/^--([\w-]+)(?:=(.*))?$/);
+      if (!m) continue;
+      const key = m[1].replace(/-(\w)/g, (_, c) => c.toUpperCase());
+      if (m[2] !== undefined) opts[key] = m[2];
+      else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith("--")) opts[key] = argv[++i];
+      else opts[key] = true;
+    }
+    return opts;
+  }
+};
+
+// ===================== 轨迹 =====================
+/**
+ * 逐节点等间隔样本：nodes[name][i] = [latency|null, loss]，latency 为 null 表示该步不可用
+ * JSON 格式 { step: 秒, start: 毫秒时间戳, nodes }，与 --save-trace 输出一致
+ */
+class Trace {
+  constructor({ step = CONFIG.STEP, start = Date.now(), nodes = {} } = {}) {
+    this.step = Number(step);
+    this.start = Number(start);
+    this.nodes = nodes;
+    this.length = Math.min(...Object.values(nodes).map(s => s.length));
+    if (!Object.keys(nodes).length || !(this.length > 0)) throw new Error("轨迹为空");
+  }
+
+  get names() { return Object.keys(this.nodes); }
+
+  sample(name, i) {
+    const [latency, loss] = this.nodes[name][i] || [null, 1];
+    return { latency, loss: Number(loss) || 0, available: latency !== null };
+  }
+
+  /**
+   * 合成轨迹：节点依次取 peak (20-24 点延迟 ×5 且丢包) / outage (每 12 小时中断 45 分钟) / degrading (后半程逐渐劣化) /
+   * flaky (偶发不可用) / stable (平稳) 画像，基础延迟逐个递增，越快的节点越不稳定
+   */
+  static synthetic({ hours = CONFIG.HOURS, nodes = CONFIG.NODES, seed = CONFIG.SEED, step = CONFIG.STEP, start } = {}) {
+    const rand = utils.rng(Number(seed));
+    const steps = Math.round(hours * 3600 / step);
+    const t0 = start ?? (() => { const d = new Date(); d.setHours(0, 0, 0, 0); return d.getTime(); })();
+    const out = {};
+    for (let n = 0; n < nodes; n++) {
+      const profile = CONFIG.PROFILES[n % CONFIG.PROFILES.length];
+      const base = 60 + n * 25;
+      const series = [];
+      for (let i = 0; i < steps; i++) {
+        const t = t0 + i * step * 1000, hour = new Date(t).getHours(), progress = i / steps;
+        let latency = base * (0.9 + rand() * 0.2), loss = 0;
+        if (profile === "peak" && hour >= 20) { latency *= 5; loss = 0.08; }
+        if (profile === "flaky" && rand() < 0.03) latency = null;
+        if (profile === "flaky") loss = 0.02;
+        if (profile === "degrading" && progress > 0.5) { latency *= 1 + (progress - 0.5) * 10; loss = (progress - 0.5) * 0.3; }
+        if (profile === "outage" && (t - t0) % 43200000 < 2700000 && i > 0) latency = null;
+        series.push(latency === null ? [null, 1] : [Math.round(latency), +loss.toFixed(3)]);
+      }
+      out[`sim-${String(n + 1).padStart(2, "0")}-${profile}`] = series;
+    }
+    return new Trace({ step, start: t0, nodes: out });
+  }
+
+  /** 由节点统计采集脚本的输出重建轨迹：按采集时间对齐到 step，缺失的步沿用上一步；文件版本按覆写脚本的规则升级 */
+  static fromStatsFile(file, step = CONFIG.STEP) {
+    const { NodeStatsManager, VersionedStore } = require(CONFIG.MIHOMO_SCRIPT);
+    const { data: entries } = VersionedStore.upgrade(file, NodeStatsManager.FILE_SCHEMA, NodeStatsManager.FILE_MIGRATIONS);
+    const histories = Object.entries(entries)
+      .filter(([k, e]) => k.startsWith("node_stats:") && e?.value)
+      .map(([k, e]) => [k.slice("node_stats:".length), e.value]);
+    const times = histories.flatMap(([, v]) => (v.latencyHistory || []).concat(v.availabilityHistory || []).map(h => h.t));
+    if (!times.length) throw new Error("统计文件中没有可用的历史样本");
+    const t0 = Math.min(...times), steps = Math.floor((Math.max(...times) - t0) / (step * 1000)) + 1;
+    const nodes = {};
+    for (const [name, v] of histories) {
+      const series = new Array(steps).fill(undefined);
+      const slot = (t) => Math.floor((t - t0) / (step * 1000));
+      (v.availabilityHistory || []).forEach(h => { if (!h.v) series[slot(h.t)] = [null, 1]; });
+      (v.latencyHistory || []).forEach(h => { series[slot(h.t)] = [h.v, 0]; });
+      (v.lossHistory || []).forEach(h => { const s = series[slot(h.t)]; if (s) s[1] = h.v; });
+      let last = [null, 1];
+      nodes[name] = series.map(s => (last = s ?? last));
+    }
+    return new Trace({ step, start: t0, nodes });
+  }
+
+  static load(file, step) {
+    const data = JSON.parse(require("fs").readFileSync(file, "utf8"));
+    return data?.nodes ? new Trace(data) : Trace.fromStatsFile(data, Number(step) || CONFIG.STEP);
+  }
+
+  toJSON() { return { step: this.step, start: this.start, nodes: this.nodes }; }
+}
+
+// ===================== 虚拟时钟 =====================
+/** 替换 Date.now，使被驱动代码中的冷却、衰减、隔离与时段逻辑按轨迹时间运行 */
+class VirtualClock {
+  constructor(start) { this.time = start; }
+
+  now() { return this.time; }
+
+  set(time) { this.time = time; }
+
+  /** 安装到给定的 Date 构造器 (主上下文或 vm 上下文)，返回还原函数 */
+  install(DateCtor = Date) {
+    const original = DateCtor.now;
+    DateCtor.now = () => this.time;
+    return () => { DateCtor.now = original; };
+  }
+}
+
+// ===================== 策略引擎 =====================
+/**
+ * 覆写脚本 AIEngine：每步写入 NodeStatsManager，每 interval 秒按 buildRegionGroups 的方式计算基准并 rankNodes，
+ * 取首选节点；冷却取 aiOptions.protection.cooldown
+ */
+class MihomoEngine {
+  constructor({ name, aiOptions = {}, interval = CONFIG.MIHOMO_INTERVAL } = {}) {
+    this.name = name || `mihomo:${aiOptions.selection?.mode || "tiers"}`;
+    this.aiOptions = aiOptions;
+    this.interval = Number(interval);
+  }
+
+  setup(trace) {
+    this.m ??= require(CONFIG.MIHOMO_SCRIPT);
+    const { Config, Logger, NodeStatsManager, AIEngine, LRUCache } = this.m;
+    this._savedOptions = JSON.parse(JSON.stringify(Config.aiOptions));
+    this._savedLevel = Logger._currentLevel;
+    Logger._currentLevel = 3;
+    utils.deepMerge(Config.aiOptions, { ...this.aiOptions, statsFile: null });
+    this.stats = new NodeStatsManager(new LRUCache({ maxSize: trace.names.length * 4 + 100, ttl: 8.64e7 * 30 }));
+    this.ai = new AIEngine(this.stats);
+    this.ids = trace.names;
+    this.current = null;
+  }
+
+  observe(samples) {
+    for (const [id, s] of samples) {
+      // 与采集脚本一致：整轮探测失败记为丢包 1，且不写入延迟
+      this.stats.updateStats(id, { ...(s.available && { latency: s.latency }), loss: s.available ? s.loss : 1, availability: s.available, fail: !s.available });
+    }
+  }
+
+  decide() {
+    const alpha = this.m.Config.aiOptions.evaluation?.ewmaAlpha ?? 0.3;
+    const all = this.ids.map(id => {
+      const s = this.stats.getStats(id), latency = this.ai.latencyProfile(id);
+      return { id, latency: latency.value ?? 1500, loss: this.ai.ewma(s.lossHistory, alpha) ?? 0.5, tail: latency.tail };
+    });
+    this.ai.detectNetworkState(this.ids);
+    const { selected } = this.ai.rankNodes(this.ids, 1, all, this.current);
+    this.current = selected[0]?.id ?? this.current ?? this.ids[0];
+    return this.current;
+  }
+
+  cooldownUntil(nodeId, switchedAt) {
+    return switchedAt + (this.m.Config.aiOptions.protection?.cooldown || 300) * 1000;
+  }
+
+  teardown() {
+    const { Config, Logger } = this.m;
+    Config.aiOptions = this._savedOptions;
+    Logger._currentLevel = this._savedLevel;
+  }
+}
+
+/**
+ * sing-box 插件 ProxyManager：插件在独立 vm 上下文中加载，由模拟的 GUI 宿主 (Plugins / Plugin / window) 承接内核调用；
+ * 每步按 checkAll 的方式记录成功 / 失败，每 interval 秒 evaluateSwitch
+ */
+class SingboxEngine {
+  constructor({ name, preset = "Stable", options, interval = CONFIG.SINGBOX_INTERVAL } = {}) {
+    this.name = name || `singbox:${preset}`;
+    this.options = options ?? CONFIG.PRESETS[preset];
+    if (!this.options) throw new Error(`未知预设 ${preset}，请通过 --presets 提供`);
+    this.interval = Number(interval);
+  }
+
+  setup(trace, clock) {
+    const vm = require("vm"), fs = require("fs");
+    const group = "policy-replay";
+    const kernel = { running: true, proxies: { [group]: { name: group, now: "", all: trace.names } } };
+    trace.names.forEach(id => { kernel.proxies[id] = { name: id }; });
+    const quiet = { log() {}, info() {}, debug() {}, warn() {}, error() {} };
+    const host = {
+      Request: class {},
+      useKernelApiStore: () => kernel,
+      handleUseProxy: (g, proxy) => { g.now = proxy.name; },
+      asyncPool: async (limit, items, fn) => Promise.all(items.map(fn))
+    };
+    const context = vm.createContext({ Plugins: host, Plugin: { id: group, name: group }, window: {}, console: quiet, URL, setTimeout, clearTimeout });
+    const source = `${fs.readFileSync(CONFIG.SINGBOX_PLUGIN, "utf8")}\n;({ ProxyManager, NodeManager, MetricsManager, AppState });`;
+    const { ProxyManager, NodeManager, MetricsManager, AppState } = vm.runInContext(source, context, { filename: CONFIG.SINGBOX_PLUGIN });
+    this._restoreClock = clock.install(vm.runInContext("Date", context));
+
+    this.nodeManager = new NodeManager();
+    this.metricsManager = new MetricsManager(new AppState());
+    const options = { ...this.options, monitoringInterval: this.interval * 1000 };
+    this.manager = new ProxyManager(trace.names.map(id => ({ id, url: "", priority: 1, group })), options, { nodeManager: this.nodeManager, metricsManager: this.metricsManager }, kernel);
+  }
+
+  observe(samples) {
+    for (const proxy of this.manager.proxies) {
+      if (!proxy.isAvailable()) continue;
+      const s = samples.get(proxy.id);
+      if (s.probeOk) {
+        // 与 ProxyManager.checkAll 一致：成功探测同时写入中央指标，更新延迟分位数
+        proxy.recordSuccess(s.latency);
+        this.metricsManager.append(proxy.id, { latency: s.latency, loss: s.loss, success: true });
+        proxy.quantiles = this.metricsManager.quantiles(proxy.id);
+      } else proxy.recordFailure();
+    }
+  }
+
+  decide() {
+    this.manager.evaluateSwitch();
+    return this.manager.current?.id ?? null;
+  }
+
+  cooldownUntil(nodeId) {
+    return this.nodeManager.switchCooldown.get(nodeId) || 0;
+  }
+
+  teardown() {
+    this._restoreClock?.();
+  }
+}
+
+// ===================== 模拟器 =====================
+class Simulator {
+  constructor(trace, { seed = CONFIG.SEED, degradedLatency = CONFIG.DEGRADED_LATENCY, degradedLoss = CONFIG.DEGRADED_LOSS } = {}) {
+    this.trace = trace;
+    this.degradedLatency = Number(degradedLatency);
+    this.degradedLoss = Number(degradedLoss);
+    // 单次探测是否成功 (按丢包率抽样) 预先生成，各引擎看到相同的结果
+    const rand = utils.rng(Number(seed) + 7);
+    this.probes = trace.names.map(() => Array.from({ length: trace.length }, () => rand()));
+  }
+
+  _samples(i) {
+    return new Map(this.trace.names.map((id, n) => {
+      const s = this.trace.sample(id, i);
+      return [id, { ...s, probeOk: s.available && this.probes[n][i] >= s.loss }];
+    }));
+  }
+
+  /**
+   * 回放单个引擎：每步先写入观测，到达引擎间隔时决策，再按当前节点该步的真实样本累计体验
+   * 冷却期内切换：离开当前节点时仍未到引擎给出的冷却结束时间
+   */
+  run(engine) {
+    const { trace } = this;
+    const stepMs = trace.step * 1000, every = Math.max(1, Math.round(engine.interval / trace.step));
+    const clock = new VirtualClock(trace.start);
+    const restore = clock.install(Date);
+    const result = { engine: engine.name, switches: 0, cooldownViolations: 0, degradedMs: 0, outageMs: 0, unassignedMs: 0, meanLatency: null, p95Latency: null, timeline: [] };
+    const latencies = [];
+    let current = null, switchedAt = 0;
+
+    try {
+      engine.setup(trace, clock);
+      for (let i = 0; i < trace.length; i++) {
+        clock.set(trace.start + i * stepMs);
+        const samples = this._samples(i);
+        engine.observe(samples);
+        if (i % every === 0) {
+          const next = engine.decide();
+          if (next && next !== current) {
+            if (current !== null) {
+              result.switches++;
+              if (clock.now() < engine.cooldownUntil(current, switchedAt)) result.cooldownViolations++;
+            }
+            result.timeline.push({ t: clock.now(), from: current, to: next });
+            current = next;
+            switchedAt = clock.now();
+          }
+        }
+
+        const s = current && samples.get(current);
+        if (!s) { result.unassignedMs += stepMs; continue; }
+        if (!s.available) { result.outageMs += stepMs; result.degradedMs += stepMs; continue; }
+        latencies.push(s.latency);
+        if (s.latency > this.degradedLatency || s.loss > this.degradedLoss) result.degradedMs += stepMs;
+      }
+    } finally {
+      engine.teardown();
+      restore();
+    }
+
+    const total = trace.length * stepMs;
+    result.degradedRatio = result.degradedMs / total;
+    result.meanLatency = latencies.length ? latencies.reduce((a, b) => a + b, 0) / latencies.length : null;
+    result.p95Latency = utils.percentile(latencies, 0.95);
+    return result;
+  }
+
+  compare(engines) {
+    return engines.map(e => this.run(e));
+  }
+
+  static render(results, trace, format = "markdown") {
+    if (format === "json") return JSON.stringify({ trace: { nodes: trace.names, step: trace.step, start: trace.start, length: trace.length }, results }, null, 2);
+    const hours = (ms) => (ms / 3600000).toFixed(2);
+    const lines = [
+      "# 切换策略回放报告", "",
+      `- 轨迹: ${trace.names.length} 个节点，${trace.length} 步 × ${trace.step}s (${hours(trace.length * trace.step * 1000)} 小时)`,
+      `- 节点: ${trace.names.map(n => `\`${n}\``).join(", ")}`, "",
+      "| 策略 | 切换次数 | 冷却期内切换 | 劣化时长 (h) | 劣化占比 | 中断时长 (h) | 平均延迟 (ms) | P95 延迟 (ms) |",
+      "| --- | --- | --- | --- | --- | --- | --- | --- |"
+    ];
+    for (const r of results) {
+      const ms = (v) => v === null ? "-" : Math.round(v);
+      lines.push(`| ${r.engine} | ${r.switches} | ${r.cooldownViolations} | ${hours(r.degradedMs)} | ${(r.degradedRatio * 100).toFixed(1)}% | ${hours(r.outageMs)} | ${ms(r.meanLatency)} | ${ms(r.p95Latency)} |`);
+    }
+    return lines.join("\n") + "\n";
+  }
+}
+
+// ===================== 入口 =====================
+function createEngine(spec, presets = CONFIG.PRESETS) {
+  const [kind, arg = "", metric] = String(spec).split(":");
+  if (kind === "mihomo") {
+    return new MihomoEngine({
+      name: metric && `mihomo:${arg || "tiers"}:${metric}`,
+      aiOptions: { selection: { mode: arg || "tiers" }, ...(metric && { percentiles: { latency: { default: metric } } }) }
+    });
+  }
+  if (kind === "singbox") {
+    const preset = presets[arg || "Stable"];
+    return new SingboxEngine({ preset: arg || "Stable", options: typeof preset === "string" ? JSON.parse(preset) : preset });
+  }
+  throw new Error(`未知策略 ${spec}，应为 mihomo:<tiers|ucb1|thompson>[:<ewma|p50|p95|p99>] 或 singbox:<预设名>`);
+}
+
+function run(opts = {}) {
+  const fs = require("fs");
+  const trace = opts.trace
+    ? Trace.load(opts.trace, opts.step)
+    : Trace.synthetic({ hours: Number(opts.hours) || CONFIG.HOURS, nodes: Number(opts.nodes) || CONFIG.NODES, seed: Number(opts.seed) || CONFIG.SEED, step: Number(opts.step) || CONFIG.STEP });
+  if (opts.saveTrace) fs.writeFileSync(opts.saveTrace, JSON.stringify(trace));
+
+  const presets = opts.presets ? { ...CONFIG.PRESETS, ...JSON.parse(fs.readFileSync(opts.presets, "utf8")) } : CONFIG.PRESETS;
+  const specs = opts.engines ? String(opts.engines).split(",").map(s => s.trim()).filter(Boolean) : CONFIG.ENGINES;
+  const simulator = new Simulator(trace, opts);
+  const results = simulator.compare(specs.map(s => createEngine(s, presets)));
+  const report = Simulator.render(results, trace, opts.format === "json" ? "json" : "markdown");
+  if (opts.out) {
+    fs.writeFileSync(opts.out, report);
+    utils.log(`报告已写入 ${opts.out}`);
+  } else {
+    console.log(report);
+  }
+  return results;
+}
+
+if (typeof module !== "undefined" && require.main === module) {
+  try {
+    run(utils.parseArgs(process.argv.slice(2)));
+  } catch (e) {
+    utils.log(e.message, "error");
+    process.exitCode = 1;
+  }
+}
+
+if (typeof module !== "undefined") {
+  module.exports = { CONFIG, Trace, VirtualClock, MihomoEngine, SingboxEngine, Simulator, createEngine, run };
+}